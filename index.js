@@ -1,761 +1,806 @@
 // index.js
+require("dotenv").config();
 const express = require("express");
-const puppeteer = require("puppeteer-core");
 const cors = require("cors");
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
-const fetch = require("node-fetch");
-const sharp = require("sharp");
-const fs = require("fs");
 const path = require("path");
+const { createJobQueue } = require("./src/jobs");
+const { createBrowserPool, SessionExpiredError } = require("./src/browserPool");
+const { clientFromEnv, buildProductIndex, upsertProduct, ShopifyError } = require("./src/shopify");
+const { createSyncRunner } = require("./src/sync");
+const { createPricingEngine } = require("./src/pricing");
+const { collectPriceCandidates } = require("./src/priceRoles");
+const { createCentranoHttp } = require("./src/centranoHttp");
+const { parseProductPage, parseProductInfo } = require("./src/centranoParse");
+const { buildListing } = require("./src/product");
+const { createTaxonomy } = require("./src/taxonomy");
+const { createReviewQueue } = require("./src/review");
+const { createTitleTemplates } = require("./src/titles");
+const { createSeo, llmFromEnv } = require("./src/seo");
+const { createSpecParser } = require("./src/specs");
+const { createSanitizer, rewriteImages } = require("./src/sanitize");
+const { createSkuBuilder } = require("./src/sku");
+const { createStockMapper } = require("./src/stock");
+const { createCatalog, catalogId } = require("./src/catalog");
+const { createImageStore } = require("./src/images");
+const { searchUrl, collectSearchResults, parseSearchResults, toSearchResults, parseProductsId, openProductBox } = require("./src/search");
+const { ScrapeError, classifyError } = require("./src/scrapeErrors");
+const { createFailureStore, markStep, newRunId } = require("./src/failures");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, "config");
+
+const pricing = createPricingEngine({ configPath: path.join(CONFIG_DIR, "pricing.json") });
+const catalog = createCatalog({ dir: path.join(DATA_DIR, "catalog") });
+// Failed scrapes: error code, step timings, page HTML and screenshot per run id (/scrape-failures)
+const failures = createFailureStore({ dir: path.join(DATA_DIR, "failures"), keep: parseInt(process.env.FAILURES_KEEP || "200", 10) });
+// Vendors, product types, synonyms and collection handles; editable through /taxonomy
+const taxonomy = createTaxonomy({ file: path.join(CONFIG_DIR, "taxonomy.json") });
+// Title templates per product type and the casing dictionary; try changes with POST /titles/preview
+const titles = createTitleTemplates({ file: path.join(CONFIG_DIR, "titles.json"), taxonomy });
+// Spec labels -> typed fields (deck length, weight, compatibility, …) pushed as Shopify metafields
+const specs = createSpecParser({ file: path.join(CONFIG_DIR, "specs.json") });
+// Variant SKUs from a pattern of vendor / model / colour / size codes
+const skus = createSkuBuilder({ file: path.join(CONFIG_DIR, "sku.json") });
+// Centrano availability indicator -> Shopify inventory quantity / policy
+const stock = createStockMapper({ file: path.join(CONFIG_DIR, "stock.json") });
+// Tag whitelist, supplier notes/phrases and embedded image handling for description and specs HTML
+const sanitizer = createSanitizer({ file: path.join(CONFIG_DIR, "sanitize.json") });
+// Handle, meta title/description and image alt texts; SEO_LLM_URL lets a local model write the description
+const seo = createSeo({ configPath: path.join(CONFIG_DIR, "seo.json"), generate: llmFromEnv() });
+
+// REVIEW_MODE=on: products sent to Shopify wait in the review queue until someone approves them (/review/ui)
+const REVIEW_MODE = (process.env.REVIEW_MODE || "off") === "on";
+const REVIEW_SHOPIFY_STATUS = process.env.REVIEW_SHOPIFY_STATUS || "active";
+const review = createReviewQueue({ dir: path.join(DATA_DIR, "review"), seo });
 
 // ---------- local file serving for processed images ----------
-const PROCESSED_DIR = path.join(__dirname, "processed");
-if (!fs.existsSync(PROCESSED_DIR)) fs.mkdirSync(PROCESSED_DIR, { recursive: true });
-app.use("/processed", express.static(PROCESSED_DIR));
+// processed/<product>/<content hash>.<ext>, one file per image profile, see src/images.js
+const PROCESSED_DIR = process.env.PROCESSED_DIR || path.join(__dirname, "processed");
+const images = createImageStore({
+  dir: PROCESSED_DIR,
+  retentionDays: parseFloat(process.env.PROCESSED_RETENTION_DAYS || "30"),
+  profilesPath: path.join(CONFIG_DIR, "image-profiles.json")
+});
+app.use("/processed", express.static(PROCESSED_DIR, { immutable: true, maxAge: "30d" }));
 
-/* ---------------- Utilities ---------------- */
+/* ---------------- Centrano sessions ---------------- */
 
-// Download image, resize to 2048x2048 with white background, save, return public URL
-async function processImage(url, idx, baseUrl) {
-  try {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Failed to fetch image: ${url}`);
-    const buffer = await res.buffer();
+const CENTRANO_BASE = "https://www.centrano.com/ro";
+
+// A page is "logged out" when Centrano bounced it back to the login form
+async function isCentranoLoginPage(page) {
+  if (/\/login\.php/i.test(page.url())) return true;
+  return !!(await page.$('input[name="email_address"]'));
+}
 
-    const outFile = `processed_${idx}.jpg`;
-    const outPath = path.join(PROCESSED_DIR, outFile);
+async function centranoLogin(page) {
+  const email = process.env.CENTRANO_EMAIL;
+  const password = process.env.CENTRANO_PASSWORD;
+  if (!email || !password) throw new Error("CENTRANO_EMAIL / CENTRANO_PASSWORD are not configured");
 
-    const processed = await sharp(buffer)
-      .flatten({ background: { r: 255, g: 255, b: 255 } })
-      .resize(2048, 2048, { fit: "contain", background: { r: 255, g: 255, b: 255 } })
-      .jpeg({ quality: 95, chromaSubsampling: "4:4:4" })
-      .toBuffer();
+  await page.goto(`${CENTRANO_BASE}/login.php`, { waitUntil: "networkidle2" });
+  await page.type('input[name="email_address"]', email);
+  await page.type('input[name="password"]', password);
+  await Promise.all([page.click('button.button'), page.waitForNavigation({ waitUntil: "networkidle2" })]);
+  if (await isCentranoLoginPage(page)) throw new Error("Centrano login failed");
+}
 
-    fs.writeFileSync(outPath, processed);
-    return `${baseUrl}/processed/${outFile}`;
-  } catch (err) {
-    console.error("❌ Image processing failed:", err);
-    return null;
+const browserPool = createBrowserPool({
+  size: parseInt(process.env.CENTRANO_SESSIONS || "2", 10),
+  launchOptions: {
+    headless: "new",
+    args: ["--no-sandbox","--disable-setuid-sandbox","--disable-gpu","--disable-dev-shm-usage"],
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || "/usr/bin/chromium-browser",
+  },
+  login: centranoLogin,
+  isLoggedOut: isCentranoLoginPage
+});
+
+// "http" (default): Centrano's AJAX endpoints, no browser; "browser": Puppeteer only.
+// With SCRAPER_FALLBACK=browser (default) a failed HTTP scrape is retried in the browser.
+const SCRAPER_BACKEND = (process.env.SCRAPER_BACKEND || "http").toLowerCase();
+const SCRAPER_FALLBACK = (process.env.SCRAPER_FALLBACK || "browser").toLowerCase() === "browser";
+const centranoHttp = createCentranoHttp({
+  email: process.env.CENTRANO_EMAIL,
+  password: process.env.CENTRANO_PASSWORD
+});
+
+/* ---------------- Search ---------------- */
+
+async function searchWithBrowser(term) {
+  return browserPool.withPage(async (page) => {
+    await page.goto(`${CENTRANO_BASE}/`, { waitUntil: "networkidle2" });
+    await browserPool.assertLoggedIn(page);
+    await page.evaluate(`window.__collectPriceCandidates = ${collectPriceCandidates}`);
+    await page.evaluate(`window.__collectSearchResults = ${collectSearchResults}`);
+
+    // same-origin request from the logged-in page, so the session cookie goes along
+    const raw = await page.evaluate(async (url) => {
+      const res = await fetch(url, { credentials: "include" });
+      if (!res.ok) throw new Error(`Centrano search failed (${res.status})`);
+      const doc = new DOMParser().parseFromString(await res.text(), "text/html");
+      if (doc.querySelector('input[name="email_address"]')) return null;   // bounced to the login form
+      return window.__collectSearchResults(doc.body);
+    }, searchUrl(term));
+    if (raw === null) throw new SessionExpiredError();
+    return raw;
+  });
+}
+
+// Every Centrano product matching `term`: [{ products_id, title, thumbnail, price }]
+async function searchCentrano(term) {
+  if (SCRAPER_BACKEND === "http") {
+    try {
+      return toSearchResults(parseSearchResults(await centranoHttp.search(term)));
+    } catch (err) {
+      if (!SCRAPER_FALLBACK) throw err;
+      console.warn(`⚠️ HTTP search failed (${err.message}), falling back to the browser`);
+    }
   }
+  return toSearchResults(await searchWithBrowser(term));
 }
 
-// ---------- Vendor & Type detection ----------
-const VENDORS = [
-  "Revolution Supply Co","Radio Bike Co","Cadillac Wheels","Retrospec","Reversal",
-  "Whitespace","GoZone Skimboards","DB Skimboards","Family","Colony","Dominator", "Drone", "Dial 911",
-  "Habitat Skateboards","Meow Skateboards","Ocean Pacific","Root Industries",
-  "Triple Eight","Essentials Skateboarding","Grit","Salt","Sisu","TLC","Apex",
-  "Academy","Alien Workshop","Blueprint BMXFIX","BSD","Cadillac","Core","Crisp",
-  "Dial 911","Division","Doomed","Drone Scooters","Eclat","Eight Ball","Fiction BMX",
-  "Figz Collection","Flexsurfing","Flypaper","Fuse","Graw Jump Ramps","Habitat",
-  "HangUp","Heart Supply","Hella Grip","Hohing","Indo","JD Bug","Jessup","KFD",
-  "Kitefix","Longway","Lucky","Madrid","Mafia","Native","North Scooters","North",
-  "Panda","Pivot","Prime8","Primus","Proto","RAD Skateboards","Rampage","River",
-  "Roces","Rocker", "Root Industries", "Root","Skatemate","Speed Demons","Stolen","Striker","Supreme",
-  "Tall Order","Tempish","Tilt","Triple Skate Hook","Trynyty","Venom","Venor Skates",
-  "Verb","Wethepeople","Wildcat","Zoo York" , "Odi"
-].sort((a,b)=>b.length-a.length);
-
-const PRODUCT_TYPES = [
-  "Adaptor","Bar End", "BPM","Casca","Ceara","Clamp","Complete","Deck","Deck End",
-  "Distantieri","Diverse", "Frana","Furca","Genunchiere","Ghidon","Glezniere","Griptape",
-  "Headset","Imbracaminte","Imbus","Inbus","Kendama","Mansoane","Peg","Roti", "Roata", "Roți",
-  "Rulmenti","Sporting Goods","Stand","Sticker","Suruburi","Talpici"
-];
-
-// Canonical product type -> list of patterns that should map to it
-const PRODUCT_TYPE_ALIASES = {
-  Mansoane: [
-    /\bmans?oane\b/i,      // Mansoane, Manșoane, etc. (diacritics removed by norm)
-    /\bgrips?\b/i          // Grip / Grips
-  ],
-  "Bar End": [
-    /\bbar\s*end(s)?\b/i,   // "Bar End" / "Bar Ends" / "Bar    Ends"
-    /\bbar-?ends?\b/i,      // "Bar-Ends" / "Bar-end"
-    /\bbarends?\b/i         // "barends" / "barend"
-  ],
-  Clamp: [
-    /\bclamps?\b/i,        // "Clamp" / "Clamps"
-    /\bclema\b/i,           // "Clemă" (diacritics removed -> clema)
-    /\bscs\b/i              // "SCS"
-  ],
-  Adaptor: [
-    /\badaptors?\b/i,
-    /\badapters?\b/i,
-    /\bshim(s)?\b/i,
-    /\bc[-\s]?ring\b/i,
-    /\bsleeves?\b/i
-  ],
-
-  // Distantieri (spacers)
-  Distantieri: [
-    /\bspacer(s)?\b/i,
-    /\bdistantier(i)?\b/i
-  ],
-
-  // Deck End / Plugs
-  "Deck End": [
-    /\bdeck\s*end(s)?\b/i,
-    /\bplugs?\b/i,
-    /\bplug\b/i
-  ],
-
-  // Ceara / Wax
-  Ceara: [
-    /\bceara\b/i,
-    /\bwax\b/i
-  ],
-
-  // Stand
-  Stand: [
-    /\bstand\b/i
-  ],
-
-  // Headset parts
-  "Top Cap": [
-    /\btop\s*cap\b/i,
-    /\bstar[-\s]?nut\b/i,
-    /\bstarnut\b/i
-  ],
-
-  // Suruburi (hardware: bolts/nuts/axles)
-  Suruburi: [
-    /\bbolt(s)?\b/i,
-    /\bsurub(uri)?\b/i,
-    /\bnut(s)?\b/i,
-    /\bpiulit[aă]\b/i,
-    /\bax\b/i,
-    /\bosie(i)?\b/i
-  ],
-
-  // Rulmenti (bearings)
-  Rulmenti: [
-    /\bbearing(s)?\b/i,
-    /\brulment(i)?\b/i
-  ],
-
-  // Imbus / Inbus (tools – generic “Tool(s)” mapped here)
-  Imbus: [
-    /\btool(s)?\b/i,
-    /\bimbus\b/i,
-    /\binbus\b/i
-  ]
-};
+/* ---------------- Scrape pipeline ---------------- */
 
+// Both backends "collect" the same raw product (text, unclassified € candidates, HTML fragments,
+// image URLs); buildProduct turns that into the Shopify-ready payload.
 
-function norm(s) {
-  return (s || "")
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "") // remove diacritics (NOT spaces)
-    .toLowerCase();
+// What the page looked like when a step failed (src/failures.js)
+async function pageArtefacts(page) {
+  return {
+    url: page.url(),
+    html: await page.content().catch(() => null),
+    screenshot: await page.screenshot({ fullPage: true, type: "png" }).catch(() => null)
+  };
 }
 
-function textIncludesWord(text, word) {
-  // word-boundary-ish check on normalized text
-  const t = " " + norm(text).replace(/[^a-z0-9]+/g, " ") + " ";
-  const w = " " + norm(word) + " ";
-  return t.includes(w);
+// The product popup (or its zoom overlay) did not show up in time
+const popupTimeout = (what) => (err) => {
+  throw err.name === "TimeoutError" ? new ScrapeError("product_popup_timeout", `${what} did not open: ${err.message}`, { cause: err }) : err;
+};
+
+// Puppeteer backend: drives the Centrano site like a user would
+async function collectWithBrowser(input, status) {
+  return browserPool.withPage(async (page) => {
+    try {
+      return await browseProduct(page, input, status);
+    } catch (err) {
+      err.artefacts = await pageArtefacts(page);
+      throw err;
+    }
+  });
 }
 
-function detectVendor(fullText) { for (const v of VENDORS) if (textIncludesWord(fullText, v)) return v; return null; }
-// Replace your detectProductType function with this one
-function detectProductType(fullText) {
-  const ntext = norm(fullText);
-
-  // 🔒 Hard-priority: Clamp beats everything else
-  const clampHit =
-    /\bclamps?\b/i.test(ntext) ||
-    /\bclema\b/i.test(ntext) ||
-    /\bscs\b/i.test(ntext);
-  if (clampHit) return "Clamp";
-
-  // 1) Prefer aliases/synonyms FIRST (so keywords like "Shim", "Top Cap", etc. win)
-  for (const [canonical, patterns] of Object.entries(PRODUCT_TYPE_ALIASES)) {
-    if (patterns.some(re => re.test(ntext))) return canonical;
+// The steps themselves; `status` gets each one as it finishes
+async function browseProduct(page, { searchTerm, productsId }, status) {
+  /* 1) Session (logged in by the pool; re-login happens there if it expired) */
+  await page.goto(`${CENTRANO_BASE}/`, { waitUntil: "networkidle2" });
+  await browserPool.assertLoggedIn(page);
+  markStep(status, "login");
+
+  let listProductsId = null;
+  if (productsId) {
+    /* 2+3) Open the product popup directly by Centrano products_id */
+    const opened = await page.evaluate(openProductBox, productsId);
+    if (!opened) throw new ScrapeError("unexpected_markup", "Centrano product popup is not available on this page");
+    await page.waitForSelector("div.medium-24.large-5.columns", { timeout: 15000 }).catch(popupTimeout("Product popup"));
+    markStep(status, "productOpen");
+  } else {
+    /* 2) Search */
+    await page.waitForSelector('input.input-group-field');
+    await page.evaluate(() => (document.querySelector('input.input-group-field').value = ""));
+    await page.type('input.input-group-field', searchTerm);
+    await Promise.all([page.click('button.input-group-label'), page.waitForNavigation({ waitUntil: "networkidle2" })]);
+    await browserPool.assertLoggedIn(page);
+    markStep(status, "search");
+
+    /* 3) Open first product (its open_product_box(<id>) gives us the stable Centrano id) */
+    const product = await page.$("div.column.column-block");
+    if (!product) throw new ScrapeError("no_results", `No Centrano product matches "${searchTerm}"`);
+    status.matches = (await page.$$("div.column.column-block")).length;
+    if (status.matches > 1) {
+      console.warn(`⚠️ "${searchTerm}" matches ${status.matches} products, using the first; GET /search to pick a products_id`);
+    }
+    listProductsId = await product.evaluate(el => {
+      const box = el.matches("[onclick*='open_product_box']") ? el : el.querySelector("[onclick*='open_product_box']");
+      const m = ((box && box.getAttribute("onclick")) || "").match(/open_product_box\((\d+)/);
+      return m ? m[1] : null;
+    });
+    await product.click();
+    await page.waitForSelector("div.medium-24.large-5.columns").catch(popupTimeout("Product popup"));
+    markStep(status, "productClick");
   }
 
-  // 2) Fallback to exact canonical names present in PRODUCT_TYPES
-  for (const t of PRODUCT_TYPES) {
-    if (textIncludesWord(ntext, t)) return t;
+  /* 4-12) Wait for the variant rows, then parse the page like the HTTP backend does (src/centranoParse.js) */
+  await page.waitForSelector("#product_popup .variant_list .row", { timeout: 5000 }).catch(() => {});
+  // raw page before the zoom overlay, also kept as the catalogue snapshot
+  const collected = parseProductPage(await page.content());
+
+  /* 14) OPEN overlay only now to scrape images */
+  await page.click("div.medium-24.large-5.columns");
+  await page.waitForSelector("div.reveal-overlay div#zoom_popup", { visible: true }).catch(popupTimeout("Image zoom popup"));
+
+  const onclickFunctions = await page.evaluate(() =>
+    Array.from(document.querySelectorAll("div"))
+      .map(div => ({
+        selector: div.id ? `#${div.id}` : (div.className ? '.' + div.className.trim().replace(/\s+/g,'.') : div.tagName.toLowerCase()),
+        attr: div.getAttribute('onclick'),
+        prop: typeof div.onclick === 'function' ? div.onclick.toString() : null
+      }))
+      .filter(item => (item.attr && item.attr.includes("open_zoom_box")) || (item.prop && item.prop.includes("open_zoom_box")))
+  );
+
+  function extractUrlsFromOnclick(onclickStr = ''){
+    const m = onclickStr.match(/\(([\s\S]*)\)/);
+    const argBlob = m ? m[1] : '';
+    const raw = (argBlob.match(/\/\/[^,'")\s]+?\.(?:webp|jpe?g|png|gif)/gi) || []);
+    const set = new Set(raw.map(u => u.startsWith('//') ? `https:${u}` : u));
+    return Array.from(set);
   }
 
-  return null;
+  const imageUrls = await page.evaluate(() => {
+    return Array.from(
+      document.querySelectorAll("div.reveal-overlay div#zoom_popup .img-container.slick-slide div.wrapper img")
+    ).map(img => img.src.startsWith("//") ? `https:${img.src}` : img.src);
+  });
+
+  // Close overlay
+  await page.click("div.reveal-overlay");
+  await page.waitForTimeout(800);
+
+  // Combine images from the overlay, onclick attributes and handlers set from script
+  const parsedSet = new Set([...imageUrls, ...collected.imageUrls]);
+  for (const func of onclickFunctions) {
+    const src = func?.attr || func?.prop || '';
+    extractUrlsFromOnclick(src).forEach(u => parsedSet.add(u));
+  }
+
+  markStep(status, "images");
+  return { listProductsId, ...collected, imageUrls: Array.from(parsedSet) };
 }
 
-function isSCS(title) {
-  return /\bscs\b/i.test(title);
+// HTTP backend: the AJAX endpoints behind the site, parsed server-side (src/centranoParse.js)
+async function collectWithHttp({ searchTerm, productsId }, status) {
+  let listProductsId = null;
+  if (!productsId) {
+    const html = await centranoHttp.search(searchTerm);
+    const results = parseSearchResults(html);
+    markStep(status, "login");
+    markStep(status, "search");
+    if (!results.length) {
+      throw Object.assign(new ScrapeError("no_results", `No Centrano product matches "${searchTerm}"`), { artefacts: { url: searchUrl(searchTerm), html } });
+    }
+    status.matches = results.length;
+    if (status.matches > 1) {
+      console.warn(`⚠️ "${searchTerm}" matches ${status.matches} products, using the first; GET /search to pick a products_id`);
+    }
+    listProductsId = results[0].products_id;
+  }
+  const info = await centranoHttp.productInfo(productsId || listProductsId);
+  if (productsId) markStep(status, "login");
+  markStep(status, "productOpen");
+  return { listProductsId, ...parseProductInfo(info) };
 }
 
+// Shared build step: listing (src/product.js), processed images, catalogue record
+async function buildProduct(collected, input, { baseUrl, skipImages = false, imageProfiles }) {
+  const listing = buildListing(collected, input, { pricing, taxonomy, titles, specs, sanitizer, skus, stock });
+  // Nothing priced: the rows were not found (markup changed) or the product is not sold any more
+  if (listing.variants.every(v => v.price == null)) {
+    throw Object.assign(new ScrapeError("no_variants", `No priced variants found for "${collected.rawTitle || input.searchTerm || input.productsId}"`),
+      { artefacts: { html: collected.sourceHtml } });
+  }
+  console.log("🗂️ Options built:", listing.options);
+  console.log("🧩 Variants built:", listing.variants.map(v => ({ o1: v.option1, o2: v.option2, price: v.price, cost: v.cost })));
+
+  // Process images (price/stock syncs never touch images, so they skip the downloads)
+  const imageKey = catalogId(listing);
+  const processedImages = [];
+  if (!skipImages) {
+    const profiles = images.profilesFor({ requested: imageProfiles, productType: listing.product_type });
+    for (const src of listing.imageSources) {
+      const processed = await images.processImage(src, { productKey: imageKey, baseUrl, profiles });
+      if (processed) processedImages.push(processed);
+    }
+    if (listing.imageSources.length && !processedImages.length) {
+      throw new ScrapeError("image_download_failed", `None of the ${listing.imageSources.length} product images could be downloaded`);
+    }
+  }
 
+  // Images embedded in the description/specs: our copies instead of hot-linked Centrano URLs
+  let { description_html, specs_html } = listing;
+  if (!skipImages && listing.embeddedImages.length && sanitizer.rewritesImages()) {
+    const copies = {};
+    for (const src of listing.embeddedImages) {
+      const processed = await images.processImage(src, { productKey: imageKey, baseUrl, profiles: ["main"] });
+      if (processed) copies[src] = processed.url;
+    }
+    description_html = rewriteImages(description_html, copies);
+    specs_html = rewriteImages(specs_html, copies);
+  }
 
+  // Each variant points at its colour's picture (url + 1-based position among the uploaded images)
+  const colourOf = (src) => listing.imageColours[listing.imageSources.indexOf(src)] || null;
+  const variants = listing.variants.map(v => {
+    const i = processedImages.findIndex(img => img.source === v.image_src);
+    return { ...v, image_url: i === -1 ? null : processedImages[i].url, image_position: i === -1 ? null : i + 1 };
+  });
 
-// title helpers
-function toTitleCase(str){ return (str||"").replace(/\S+/g,w=>w[0].toUpperCase()+w.slice(1).toLowerCase()); }
-// --- Title helpers (drop-in replacement) ---
-function stripDiacritics(s) {
-  return (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+  /* Result (also recorded in the catalogue, with the page snapshot) */
+  const result = {
+    products_id: listing.products_id,
+    search_term: listing.search_term,
+    imageUrls: processedImages.map(img => img.url),
+    images: processedImages,
+    image_colours: processedImages.map(img => ({ url: img.url, colour: colourOf(img.source) })),
+    colours: listing.colours,
+    sizes: listing.sizes,
+    count: listing.imageSources.length,
+    options: listing.options,
+    variants,
+    description_html,
+    specs_html,
+    specs: listing.specs,
+    pricing: pricing.summary(),
+    title: listing.title,
+    source_title: listing.source_title,
+    title_fields: listing.title_fields,
+    vendor: listing.vendor,
+    tag: listing.tag,
+    product_type: listing.product_type,
+    collections: listing.collections,
+    detection: listing.detection,
+    needs_review: listing.needs_review,
+    review_reasons: listing.review_reasons
+  };
+  result.seo = await seo.build(result);
+  const record = catalog.recordScrape(result, { html: collected.sourceHtml, keepImages: skipImages });
+  result.catalog_id = record ? record.id : null;
+  return result;
 }
 
-// Remove duplicated words while preserving the original spacing/casing of the first occurrence.
-// "Trotineta Tilt Tilt Contact Pro Pro" -> "Trotineta Tilt Contact Pro"
-function dedupeTitleWords(title) {
-  if (!title) return title;
-  const tokens = title.split(/\s+/);
-  const seen = new Set();
-  const out = [];
-
-  for (const tok of tokens) {
-    // normalize each word for comparison (remove diacritics, lowercase, strip non-alphanumerics)
-    const key = stripDiacritics(tok).toLowerCase().replace(/[^a-z0-9]+/gi, "");
-    if (!key) {                 // keep punctuation-ish tokens as-is
-      out.push(tok);
-      continue;
+// Scrapes one Centrano product (by search term, or directly by products_id) and returns
+// the Shopify-ready payload. `status` is filled step by step so callers can report partial progress.
+// SCRAPER_BACKEND=http (default) uses the AJAX endpoints and falls back to Puppeteer on failure.
+// Failures are thrown as ScrapeError (src/scrapeErrors.js) and saved under status.run_id (src/failures.js).
+async function scrapeProduct(input, { baseUrl, status = {}, skipImages = false, imageProfiles }) {
+  status.run_id = newRunId();
+  status.started_at = new Date().toISOString();
+  try {
+    let collected;
+    if (SCRAPER_BACKEND === "http") {
+      try {
+        collected = await collectWithHttp(input, status);
+        status.backend = "http";
+      } catch (err) {
+        // the browser will not find what the search or the product id does not have either
+        if (!SCRAPER_FALLBACK || (err instanceof ScrapeError && err.statusCode === 404)) throw err;
+        console.warn(`⚠️ HTTP scrape failed (${err.message}), falling back to the browser`);
+        status.http = `failed: ${err.message}`;
+        collected = await collectWithBrowser(input, status);
+        status.backend = "browser";
+      }
+    } else {
+      collected = await collectWithBrowser(input, status);
+      status.backend = "browser";
     }
-    if (!seen.has(key)) {
-      seen.add(key);
-      out.push(tok);
+    const result = await buildProduct(collected, input, { baseUrl, skipImages, imageProfiles });
+    markStep(status, "build");
+    return result;
+  } catch (err) {
+    const error = classifyError(err);
+    try {
+      failures.record(status.run_id, { error, input, status, artefacts: error.artefacts || {} });
+    } catch (saveErr) {
+      console.error(`❌ Could not save the failure artefacts of run ${status.run_id}:`, saveErr.message);
     }
+    throw error;
   }
-  return out.join(" ").replace(/\s{2,}/g, " ").trim();
 }
 
-function toTitleCase(str) {
-  return (str || "").replace(/\S+/g, w => w[0].toUpperCase() + w.slice(1).toLowerCase());
-}
-
-// Build title from parts, dedupe whole parts, THEN dedupe individual words
-function buildTitle(productType, vendor, searchTerm) {
-  const parts = [productType, vendor, searchTerm]
-    .map(s => (s || "").toString().trim())
-    .filter(Boolean);
-
-  // First, dedupe whole parts (so identical chunks aren't repeated)
-  const out = [];
-  const seenParts = new Set();
-  for (const p of parts) {
-    const k = stripDiacritics(p).toLowerCase();
-    if (!seenParts.has(k)) {
-      seenParts.add(k);
-      out.push(p);
+/* ---------------- Batch jobs ---------------- */
+
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS || "500", 10);
+
+const scrapeQueue = createJobQueue({
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY || "2", 10),
+  maxAttempts: parseInt(process.env.BATCH_MAX_ATTEMPTS || "3", 10),
+  worker: async (input, { meta }) => {
+    const status = {};
+    try {
+      const result = await scrapeProduct(input, {
+        baseUrl: meta.baseUrl, status, skipImages: !!meta.skipImages, imageProfiles: meta.imageProfiles
+      });
+      return { ...result, status };
+    } catch (err) {
+      err.details = { code: err.code, run_id: status.run_id, status };   // how far this attempt got
+      throw err;
     }
   }
+});
 
-  // Title Case → then word-level dedupe (handles vendor words duplicated inside searchTerm, etc.)
-  const titled = toTitleCase(out.join(" "));
-  return dedupeTitleWords(titled);
+// Accepts "search term" strings or { searchTerm } / { products_id } objects
+function normaliseBatchItem(item) {
+  if (typeof item === "string") return item.trim() ? { searchTerm: item.trim() } : null;
+  if (!item || typeof item !== "object") return null;
+  const productsId = parseProductsId(item.products_id ?? item.productsId);
+  if (productsId) return { productsId };
+  if (typeof item.searchTerm === "string" && item.searchTerm.trim()) return { searchTerm: item.searchTerm.trim() };
+  return null;
 }
 
+// "profile" / "profiles" from a request body; unknown names throw with statusCode 400
+function requestedImageProfiles(body) {
+  const requested = body.profiles ?? body.profile;
+  if (requested == null) return undefined;
+  images.profilesFor({ requested });
+  return [].concat(requested);
+}
 
-/* ---------------- Route ---------------- */
+/* ---------------- Price / stock sync ---------------- */
+
+const syncRunner = createSyncRunner({
+  clientFactory: clientFromEnv,
+  queue: scrapeQueue,
+  reportsDir: path.join(DATA_DIR, "sync-reports")
+});
+
+/* ---------------- Routes ---------------- */
+
+// All candidates for a search term, to pick an exact products_id before scraping
+app.get("/search", async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (!q) return res.status(400).json({ error: "Missing required fields" });
+  try {
+    const results = await searchCentrano(q);
+    return res.json({ q, count: results.length, results });
+  } catch (err) {
+    console.error("❌ Error in /search:", err);
+    const error = classifyError(err);
+    return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+  }
+});
 
 app.post("/scrape-product-images", async (req, res) => {
-  const { email, password, searchTerm } = req.body;
-  if (!email || !password || !searchTerm) {
+  const { searchTerm } = req.body;
+  const productsId = parseProductsId(req.body.products_id);
+  if (req.body.products_id != null && !productsId) {
+    return res.status(400).json({ error: "products_id must be a Centrano product id (digits only)" });
+  }
+  if (!searchTerm && !productsId) {
     return res.status(400).json({ error: "Missing required fields" });
   }
 
-  const status = {};
-  const browser = await puppeteer.launch({
-    headless: "new",
-    args: ["--no-sandbox","--disable-setuid-sandbox","--disable-gpu","--disable-dev-shm-usage"],
-    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || "/usr/bin/chromium-browser",
-  });
-  const page = await browser.newPage();
-
+  let imageProfiles;
   try {
-    /* 1) Login */
-    await page.goto("https://www.centrano.com/ro/login.php", { waitUntil: "networkidle2" });
-    await page.type('input[name="email_address"]', email);
-    await page.type('input[name="password"]', password);
-    await Promise.all([page.click('button.button'), page.waitForNavigation({ waitUntil: "networkidle2" })]);
-    status.login = "ok";
-
-    /* 2) Search */
-    await page.waitForSelector('input.input-group-field');
-    await page.evaluate(() => (document.querySelector('input.input-group-field').value = ""));
-    await page.type('input.input-group-field', searchTerm);
-    await Promise.all([page.click('button.input-group-label'), page.waitForNavigation({ waitUntil: "networkidle2" })]);
-    status.search = "ok";
+    imageProfiles = requestedImageProfiles(req.body);
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ error: err.message });
+  }
 
-    /* 3) Open first product */
-    const product = await page.$("div.column.column-block");
-    if (!product) throw new Error("Product not found");
-    await product.click();
-    await page.waitForSelector("div.medium-24.large-5.columns");
-    status.productClick = "ok";
-
-    /* 4) Title + vendor/type detection */
-    const titleVendorType = await page.evaluate(() => {
-      const card = document.querySelector(".medium-24.large-5.columns");
-      const norm = (s) => (s || "").replace(/\s+/g, " ").trim();
-      let rawTitle = "";
-      if (card) {
-        const candidates = Array.from(card.querySelectorAll(".hide-for-large, [style*='text-align: center']"))
-          .map(n => norm(n.textContent))
-          .filter(t => t && !/^Culoare\s*:/i.test(t) && !/^\(/.test(t));
-        rawTitle = candidates[0] || "";
-      }
-      if (!rawTitle) {
-        const alt = document.querySelector(".hide-for-large");
-        rawTitle = norm(alt ? alt.textContent : document.title);
-      }
-      const fullText = norm(document.body ? document.body.innerText : "");
-      return { rawTitle, fullText };
+  const status = {};
+  try {
+    const baseUrl = `${req.protocol}://${req.get("host")}`;
+    const result = await scrapeProduct({ searchTerm, productsId }, { baseUrl, status, imageProfiles });
+    return res.json({ success: true, ...result, status });
+  } catch (err) {
+    console.error(`❌ Error in /scrape-product-images (${err.code}, run ${status.run_id}):`, err);
+    return res.status(err.statusCode || 500).json({
+      success: false, error: err.message, code: err.code, run_id: status.run_id, artefacts: `/scrape-failures/${status.run_id}`, status
     });
+  }
+});
 
-    function cleanTitle(s){
-      return (s||"").replace(/\s+/g," ").replace(/\bzoom[_-]?in\b/gi,"").replace(/\s*\(Culoare:[^)]+?\)\s*$/i,"").trim();
-    }
-    const productTitle = cleanTitle(titleVendorType.rawTitle);
-    const detectedVendor = detectVendor(titleVendorType.fullText) || detectVendor(productTitle) || null;
-    let detectedType = detectProductType(titleVendorType.fullText) || detectProductType(productTitle) || "";
-    const productTag = detectedVendor || "";
-
-    /* 5) Best-quality thumbnail */
-    const thumbnail = await page.evaluate(() => {
-      const img = document.querySelector("div.medium-24.large-5.columns img");
-      if (!img) return null;
-      const rawUrl = img.src.startsWith("//") ? `https:${img.src}` : img.src;
-      const fileName = rawUrl.substring(rawUrl.lastIndexOf("/"));
-      const regex = new RegExp(`https?://[^/]+/(\\d+)${fileName.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")}`);
-      const candidates = Array.from(document.querySelectorAll("img"))
-        .map(el => el.src.startsWith("//") ? `https:${el.src}` : el.src)
-        .filter(u => regex.test(u));
-      if (!candidates.length) return rawUrl;
-      let best = candidates[0], bestNum = 0;
-      for (const url of candidates) {
-        const m = url.match(/\/(\d+)\//);
-        if (m) { const n = parseInt(m[1],10); if (n > bestNum) { bestNum = n; best = url; } }
-      }
-      return best;
-    });
+// Failed scrapes by run id: report (code, input, step timings), the page HTML and a screenshot
+app.get("/scrape-failures", (req, res) => res.json({ failures: failures.list({ limit: parseInt(req.query.limit || "50", 10) }) }));
 
-    /* 6) Colours from main page */
-    const colours = await page.evaluate(() => {
-      const nodes = Array.from(document.querySelectorAll(".show-for-large"));
-      const vals = [];
-      for (const n of nodes) {
-        const txt = (n.textContent || "").replace(/\s+/g, " ").trim();
-        const m = txt.match(/Culoare:\s*([^)]+?)(?:$|\)|,)/i);
-        if (m && m[1]) vals.push(m[1].trim());
-      }
-      return Array.from(new Set(vals.filter(Boolean)));
-    });
+app.get("/scrape-failures/:runId", (req, res) => {
+  const report = failures.get(req.params.runId);
+  if (!report) return res.status(404).json({ error: "Not found" });
+  const links = Object.fromEntries(report.files.map(kind => [kind, `/scrape-failures/${report.id}/${kind}`]));
+  return res.json({ ...report, links });
+});
 
-    /* 7) Try to locate variant rows (don’t throw if missing) */
-    await page.waitForSelector("#product_popup .variant_list .row", { timeout: 5000 }).catch(() => {});
-
-    /* 8) Highest € on page as fallback price */
-    const highestEuroOnPage = await page.evaluate(() => {
-      const txt = document.body ? document.body.innerText : "";
-      const euros = Array.from(txt.matchAll(/(\d{1,3}(?:[.,]\d{3})*|\d+)(?:[.,]\d+)?\s*€/g))
-        .map(m => m[1].replace(/\./g,"").replace(",","."))
-        .map(Number)
-        .filter(n => !isNaN(n));
-      return euros.length ? Math.max(...euros) : null;
-    });
+app.get("/scrape-failures/:runId/:kind(html|screenshot)", (req, res) => {
+  const file = failures.file(req.params.runId, req.params.kind);
+  if (!file) return res.status(404).json({ error: "Not found" });
+  // Centrano's page is shown as source, not run from our origin
+  if (req.params.kind === "html") res.type("text/plain; charset=utf-8");
+  return res.sendFile(file);
+});
 
-    /* 9) Parse variant rows (supports letter sizes, numeric sizes, picks max € on row) */
-    const parsed = await page.evaluate(() => {
-      const norm = s => (s || "")
-        .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
-        .replace(/\s+/g, " ")
-        .trim();
-
-      const roots = [
-        document,
-        document.querySelector("#product_popup"),
-        document.querySelector("div.reveal-overlay"),
-      ].filter(Boolean);
-
-      const colourSet = new Set();
-      const sizeSet   = new Set();
-      const rowsOut   = [];
-
-      const colourFromText = (t) => {
-        // strictly "<Culoare|Colour|Color> : <value>"
-        const m = t.match(/(?:Culoare|Colour|Color)\s*:\s*([^)]+?)(?=$|\)|,)/i);
-        return m && m[1] ? m[1].trim() : null;
-      };
-
-      // Extract a size value (letters first, then numeric) from a chunk
-      function extractSizeValue(chunkRaw) {
-        const chunk = norm(chunkRaw);
-
-        // 1) Try letter sizes (longest first)
-        const letter = (chunk.match(/\b(XXXL|XXL|XL|XS|S|M|L)\b/i) || [])[1];
-        if (letter) return letter.toUpperCase();
-
-        // 2) Try something like "One Size" or "Universal"
-        const oneSize = (chunk.match(/\b(one\s*size|marime\s*universala|universal(?:a)?)\b/i) || [])[1];
-        if (oneSize) return "One Size";
-
-        // 3) Prefer numeric WITH unit if present (mm/cm/inch/")
-const unitMatch = chunk.match(/(\d+(?:[.,]\d+)?)\s*(mm|cm|inch|["”])/i);
-if (unitMatch) {
-  const num  = unitMatch[1].replace(",", ".");
-  let unit = unitMatch[2].toLowerCase();
-  if (unit === "”") unit = '"';
-  return unit === '"' ? `${num}"` : `${num}${unit}`; // e.g. 110mm, 100mm, 4.5"
-}
+// Queue a batch of search terms / products_ids; returns immediately with a job id to poll
+app.post("/scrape-batch", (req, res) => {
+  const { items, maxAttempts } = req.body;
+  if (!Array.isArray(items) || !items.length) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
+  if (items.length > BATCH_MAX_ITEMS) {
+    return res.status(400).json({ error: `Too many items (max ${BATCH_MAX_ITEMS})` });
+  }
 
-// 4) Fallback to bare numeric (no unit found)
-const numOnly =
-  (chunk.match(/(\d+(?:[.,]\d+)?)(?=\s*(?:mm|cm|["”]|$))/i) || [])[1] ||
-  (chunk.match(/(\d+(?:[.,]\d+)?)/) || [])[1];
-if (numOnly) return numOnly.replace(",", ".");
+  const inputs = items.map(normaliseBatchItem);
+  const invalid = inputs.map((v, i) => (v ? null : i)).filter(i => i !== null);
+  if (invalid.length) {
+    return res.status(400).json({ error: "Invalid items (expected a search term or { products_id })", invalid });
+  }
 
-      }
+  let imageProfiles;
+  try {
+    imageProfiles = requestedImageProfiles(req.body);
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ error: err.message });
+  }
 
-      // Helper to pick all euro amounts in text
-      const pickPrices = (txt) =>
-        Array.from((txt || "").matchAll(/(\d{1,3}(?:[.,]\d{3})*|\d+)(?:[.,]\d+)?\s*€/g))
-          .map(m => m[0].replace(/[^\d.,]/g, "").replace(/\./g, "").replace(",", "."))
-          .map(Number)
-          .filter(n => !Number.isNaN(n));
-
-      for (const root of roots) {
-        // mixed order: headers + rows
-        const nodes = Array.from(
-          root.querySelectorAll(".show-for-large, .variant_list .row, .variant-row, .variant_list_row, .row")
-        );
-
-        let currentColour = null;
-
-        for (const el of nodes) {
-          const t = norm(el.innerText || "");
-          if (!t) continue;
-
-          // 1) colour header updates context
-          const headerColour = colourFromText(t);
-          if (headerColour) {
-            currentColour = headerColour;
-            colourSet.add(currentColour);
-            continue;
-          }
-
-          // 2) size row
-          const sizeMatch = t.match(
-            /(?:Marime|Mărime|Lungime|Inaltime|Înălțime|Diametru)\s*:\s*([\s\S]*?)(?=\s*(?:EAN|IN)\b|$)/i
-          );
-          if (!sizeMatch || !sizeMatch[1]) continue;
-
-          const sizeChunk = sizeMatch[1].trim();
-          const sizeVal = extractSizeValue(sizeChunk);
-          if (!sizeVal) continue;
-
-          sizeSet.add(sizeVal);
-
-          // 3) price: prefer blue span, else max in row text
-          let priceEur = null;
-          const spans = Array.from(el.querySelectorAll("span"));
-          const blueSpan = spans.find(s => /color\s*:\s*#?0066cc/i.test(s.getAttribute("style") || ""));
-
-          if (blueSpan) {
-            const euros = pickPrices(blueSpan.textContent);
-            if (euros.length) priceEur = Math.max(...euros);
-          }
-          if (priceEur == null) {
-            const euros = pickPrices(t);
-            if (euros.length) priceEur = Math.max(...euros);
-          }
-
-          const rowColour = currentColour || colourFromText(t) || null;
-          if (rowColour) colourSet.add(rowColour);
-
-          rowsOut.push({
-            color: rowColour,
-            size:  sizeVal,   // <-- can be "S", "M", "L", "110", etc.
-            priceEur
-          });
-        }
-
-        if (rowsOut.length) break; // stop at first root that yields variants
-      }
+  const job = scrapeQueue.submit(inputs, {
+    meta: { baseUrl: `${req.protocol}://${req.get("host")}`, imageProfiles },
+    maxAttempts: Number.isInteger(maxAttempts) && maxAttempts > 0 ? maxAttempts : undefined
+  });
+  return res.status(202).json({ success: true, jobId: job.id, total: job.items.length, poll: `/scrape-batch/${job.id}` });
+});
 
-      return {
-        rows: rowsOut,
-        colours: Array.from(colourSet),
-        sizes:   Array.from(sizeSet)
-      };
-    });
+app.get("/scrape-batch/:jobId", (req, res) => {
+  const job = scrapeQueue.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  return res.json(scrapeQueue.summary(job));
+});
 
-    console.log("🎨 Colours (clean):", parsed.colours);
-    console.log("📏 Sizes (strings):", parsed.sizes);
-    console.log("💶 Row prices (EUR):", parsed.rows.map(r => ({ c: r.color, s: r.size, eur: r.priceEur })));
+app.get("/scrape-batch/:jobId/items/:index", (req, res) => {
+  const job = scrapeQueue.get(req.params.jobId);
+  const item = job && job.items[parseInt(req.params.index, 10)];
+  if (!item) return res.status(404).json({ error: "Item not found" });
+  const { index, input, state, attempts, error, errorDetails, result } = item;
+  return res.json({ index, input, state, attempts, error, errorDetails, result });
+});
 
-    /* 10) Pricing rule (RON, per-variant: round up in 5-lei increments, end with .99) */
-const EUR_TO_RON = 4.97;
+// Re-queue only the items that exhausted their attempts
+app.post("/scrape-batch/:jobId/retry", (req, res) => {
+  const requeued = scrapeQueue.retryFailed(req.params.jobId);
+  if (requeued == null) return res.status(404).json({ error: "Job not found" });
+  return res.json({ success: true, requeued });
+});
 
-function toRON99_99(eur) {
-  if (eur == null) return null;                // keep null if no price was parsed
-  const ron = Number(eur) * EUR_TO_RON;        // convert EUR → RON
-  const step = 5;                              // 5 RON bucket size
-  const bucketUp = Math.ceil(ron / step);      // round UP to nearest 5 RON
-  const target = bucketUp * step - 0.01;       // subtract 0.01 → always ends with .99
-  return target.toFixed(2);
+// Create or update Shopify products straight from scrape results (replaces the n8n POST + per-variant PUT).
+// Body: one scrape result, or { items: [scrapeResult, ...] }. Matches existing products by Centrano id / EAN.
+// In review mode everything goes to the queue; otherwise only low-confidence detections
+// (needs_review), unless the caller passes `force: true`
+function reviewReasonsFor(scraped, force) {
+  if (REVIEW_MODE) return ["Review mode", ...(scraped.review_reasons || [])];
+  return scraped.needs_review && !force ? scraped.review_reasons || [] : null;
 }
 
+function queueForReview(scraped, reasons) {
+  const draft = review.submit(scraped, { reasons });
+  return { status: "pending_review", review_id: draft.id, catalog_id: draft.id, title: draft.product.title, products_id: scraped.products_id || null, review_reasons: reasons };
+}
 
+app.post("/shopify/products", async (req, res) => {
+  const body = req.body || {};
+  const items = Array.isArray(body.items) ? body.items : [body];
+  if (!items.length || items.some(it => !it || !it.title)) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
 
-
-    /* 11) Build Shopify options + variants */
-    // If parsed.colours missed but we saw colours earlier, merge:
-    const allColours = parsed.colours && parsed.colours.length ? parsed.colours
-                      : (colours && colours.length ? colours : []);
-
-    // If there are no sizes, try to derive a per-colour price map directly from the page
-let colourPriceMap = {};
-if (!parsed.sizes.length) {
-  colourPriceMap = await page.evaluate(() => {
-    const norm = s => (s || "")
-      .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
-      .replace(/\s+/g, " ")
-      .trim();
-
-    const pickPrices = (txt) =>
-      Array.from((txt || "").matchAll(/(\d{1,3}(?:[.,]\d{3})*|\d+)(?:[.,]\d+)?\s*€/g))
-        .map(m => m[0].replace(/[^\d.,]/g, "").replace(/\./g, "").replace(",", "."))
-        .map(Number)
-        .filter(n => !Number.isNaN(n));
-
-    const roots = [
-      document,
-      document.querySelector("#product_popup"),
-      document.querySelector("div.reveal-overlay"),
-    ].filter(Boolean);
-
-    const out = {};
-    for (const root of roots) {
-      const nodes = Array.from(
-        root.querySelectorAll(".show-for-large, .variant_list .row, .variant-row, .variant_list_row, .row")
-      );
-
-      let currentColour = null;
-
-      for (const el of nodes) {
-        const t = norm(el.innerText || "");
-        if (!t) continue;
-
-        // Detect colour headers like "Culoare: Verde"
-        const mColour = t.match(/(?:Culoare|Colour|Color)\s*:\s*([^)]+?)(?=$|\)|,)/i);
-        if (mColour && mColour[1]) {
-          currentColour = mColour[1].trim();
-          if (!(currentColour in out)) out[currentColour] = null;
-          continue;
-        }
-
-        // If we’re inside a colour section, harvest prices under it
-        if (currentColour) {
-          const euros = pickPrices(t);
-          if (euros.length) {
-            const maxEur = Math.max(...euros);
-            out[currentColour] = out[currentColour] == null
-              ? maxEur
-              : Math.max(out[currentColour], maxEur);
-          }
-        }
+  // Shopify is only reached once an item goes there: the review queue works without it (not configured, or down)
+  let shopify = null;
+  const connect = () => (shopify = shopify || (async () => {
+    const client = clientFromEnv();
+    return { client, index: await buildProductIndex(client) };
+  })());
+
+  const results = [];
+  for (const scraped of items) {
+    const reasons = reviewReasonsFor(scraped, body.force || scraped.force);
+    if (reasons) {
+      // an item without products_id / search_term cannot be a draft (ReviewError)
+      try {
+        results.push(queueForReview(scraped, reasons));
+      } catch (err) {
+        results.push({ status: "failed", title: scraped.title, products_id: scraped.products_id || null, error: err.message });
       }
-
-      // stop at first root that yields any prices
-      if (Object.values(out).some(v => v != null)) break;
+      continue;
     }
-
-    return out;
-  });
-
-  // Also merge in any prices we already parsed on rows (if any) as a safety net
-  for (const r of parsed.rows || []) {
-    if (r?.color && r?.priceEur != null) {
-      colourPriceMap[r.color] = Math.max(colourPriceMap[r.color] ?? -Infinity, r.priceEur);
+    try {
+      const { client, index } = await connect();
+      const result = await upsertProduct(client, scraped, { index });
+      const record = catalog.markPublished(scraped.catalog_id || catalogId(scraped), result);
+      results.push(record ? { ...result, catalog_id: record.id } : result);
+    } catch (err) {
+      console.error("❌ Upsert failed:", err);
+      results.push({ status: "failed", title: scraped.title, products_id: scraped.products_id || null, error: err.message, shopify: err.body });
     }
   }
-}
 
+  const ok = results.every(r => r.status !== "failed" && r.status !== "pending_review" && !r.partial);
+  if (!Array.isArray(body.items)) {
+    const [r] = results;
+    if (r.status === "pending_review") return res.status(202).json({ success: true, ...r });
+    const code = r.status === "failed" ? 502 : (r.status === "created" ? (r.partial ? 207 : 201) : (r.partial ? 207 : 200));
+    return res.status(code).json({ success: r.status !== "failed", ...r });
+  }
+  return res.status(ok ? 200 : 207).json({ success: ok, results });
+});
 
-    let options, variants = [];
-    if (parsed.sizes.length > 0) {
-      options = [{ name: "Colour", values: allColours }, { name: "Size", values: parsed.sizes }];
-      const seen = new Set();
-      for (const r of parsed.rows) {
-        if (!r.size) continue;
-        const colorVal = r.color || (allColours[0] || "Default");
-        const key = `${colorVal}|||${r.size}`;
-        if (seen.has(key)) continue;
-        seen.add(key);
-
-        // choose price: row price or fallback highest on page
-        const eur = r.priceEur != null ? r.priceEur : highestEuroOnPage;
-
-        variants.push({
-          option1: colorVal,
-          option2: r.size,
-          price: toRON99_99(eur),
-          inventory_policy: "continue",
-          taxable: false,
-          inventory_management: "shopify"
-        });
-      }
-    } else {
-  // No sizes -> colour-only variants, but price per colour if possible
-  const colourValues = allColours.length ? allColours : ["Default"];
-  options = [{ name: "Colour", values: colourValues }];
-
-  variants = colourValues.map(color => {
-    const eur =
-      (colourPriceMap && colourPriceMap[color] != null)
-        ? colourPriceMap[color]
-        : highestEuroOnPage; // fallback
-
-    return {
-      option1: color,
-      price: toRON99_99(eur),
-      inventory_policy: "continue",
-      taxable: false,
-      inventory_management: "shopify"
-    };
-  });
-}
+// Start a sync run now (no-op if one is already running); poll the report for progress
+app.post("/sync/run", (req, res) => {
+  const { report, started } = syncRunner.run({ baseUrl: `${req.protocol}://${req.get("host")}`, trigger: "manual" });
+  return res.status(started ? 202 : 409).json({ success: started, id: report.id, state: report.state, poll: `/sync/runs/${report.id}` });
+});
 
+app.get("/sync/runs", (_, res) => res.json({ running: syncRunner.running()?.id || null, runs: syncRunner.listReports() }));
 
-    console.log("🗂️ Options built:", options);
-    console.log("🧩 Variants built:", variants);
-
-    /* 12) Description + specs */
-    const { description_html, specs_html } = await page.evaluate(() => {
-      function cleanHtml(el){
-        if (!el) return null;
-        const clone = el.cloneNode(true);
-        clone.querySelectorAll("script, style").forEach(n=>n.remove());
-        clone.querySelectorAll("[onclick],[onmouseover],[onmouseout],[onchange]").forEach(n=>{
-          n.removeAttribute("onclick"); n.removeAttribute("onmouseover"); n.removeAttribute("onmouseout"); n.removeAttribute("onchange");
-        });
-        clone.querySelectorAll("img").forEach(img=>{
-          const src = img.getAttribute("src") || "";
-          if (src.startsWith("//")) img.setAttribute("src", "https:" + src);
-          img.style.maxWidth = "100%"; img.style.height = "auto";
-        });
-        return clone.innerHTML.trim();
-      }
-      const descEl = document.querySelector("#description_content");
-      const specEl = document.querySelector("#spec_content");
-      return { description_html: descEl ? cleanHtml(descEl) : null, specs_html: specEl ? cleanHtml(specEl) : null };
-    });
+app.get("/sync/runs/:id", (req, res) => {
+  const report = syncRunner.getReport(req.params.id);
+  if (!report) return res.status(404).json({ error: "Sync run not found" });
+  return res.json(report);
+});
 
-    /* 13) Detect Complete scooter for title / product_type */
-    function normLower(s){ return (s||"").normalize("NFD").replace(/[\u0300-\u036f]/g,"").toLowerCase(); }
-    const specsStr = normLower(specs_html);
-    const isCompleteScooter = specsStr.includes(normLower("Înălțime Ghidon")) && specsStr.includes(normLower("Lungime Deck"));
-    let titleTypeForDisplay = detectedType;
+/* ---------------- Taxonomy ---------------- */
 
-if (isCompleteScooter) {
-  detectedType = "Complete";
-  titleTypeForDisplay = "Trotineta";
-}
+// The whole taxonomy plus validation warnings
+app.get("/taxonomy", (_, res) => res.json(taxonomy.get()));
 
-// ✅ If it’s a Clamp, and "SCS" is in the product title, show "SCS" instead of Clamp in the title
-if (detectedType === "Clamp" && isSCS(productTitle)) {
-  titleTypeForDisplay = "SCS";
+// Edits are validated (duplicates, conflicting synonyms, bad regexes) before config/taxonomy.json is written
+function taxonomyRoute(fn) {
+  return (req, res) => {
+    try {
+      return res.json(fn(req));
+    } catch (err) {
+      return res.status(err.statusCode || 500).json({ error: err.message, errors: err.errors });
+    }
+  };
 }
 
-const finalTitle = buildTitle(titleTypeForDisplay, detectedVendor, searchTerm);
-
-
-    /* 14) OPEN overlay only now to scrape images */
-    await page.click("div.medium-24.large-5.columns");
-    await page.waitForSelector("div.reveal-overlay div#zoom_popup", { visible: true });
-
-    const onclickFunctions = await page.evaluate(() =>
-      Array.from(document.querySelectorAll("div"))
-        .map(div => ({
-          selector: div.id ? `#${div.id}` : (div.className ? '.' + div.className.trim().replace(/\s+/g,'.') : div.tagName.toLowerCase()),
-          attr: div.getAttribute('onclick'),
-          prop: typeof div.onclick === 'function' ? div.onclick.toString() : null
-        }))
-        .filter(item => (item.attr && item.attr.includes("open_zoom_box")) || (item.prop && item.prop.includes("open_zoom_box")))
-    );
-
-    function extractUrlsFromOnclick(onclickStr = ''){
-      const m = onclickStr.match(/\(([\s\S]*)\)/);
-      const argBlob = m ? m[1] : '';
-      const raw = (argBlob.match(/\/\/[^,'")\s]+?\.(?:webp|jpe?g|png|gif)/gi) || []);
-      const set = new Set(raw.map(u => u.startsWith('//') ? `https:${u}` : u));
-      return Array.from(set);
-    }
+app.post("/taxonomy/vendors", taxonomyRoute(req => taxonomy.addVendor(req.body || {})));
+app.put("/taxonomy/vendors/:name", taxonomyRoute(req => taxonomy.updateVendor(req.params.name, req.body || {})));
+app.delete("/taxonomy/vendors/:name", taxonomyRoute(req => taxonomy.removeVendor(req.params.name)));
+app.post("/taxonomy/product-types", taxonomyRoute(req => taxonomy.addProductType(req.body || {})));
+app.put("/taxonomy/product-types/:name", taxonomyRoute(req => taxonomy.updateProductType(req.params.name, req.body || {})));
+app.delete("/taxonomy/product-types/:name", taxonomyRoute(req => taxonomy.removeProductType(req.params.name)));
 
-    const imageUrls = await page.evaluate(() => {
-      return Array.from(
-        document.querySelectorAll("div.reveal-overlay div#zoom_popup .img-container.slick-slide div.wrapper img")
-      ).map(img => img.src.startsWith("//") ? `https:${img.src}` : img.src);
-    });
+/* ---------------- Titles ---------------- */
 
-    // Close overlay
-    await page.click("div.reveal-overlay");
-    await page.waitForTimeout(800);
+app.get("/titles", (_, res) => res.json(titles.get()));
 
-    // Combine images from onclick attributes
-    const parsedSet = new Set(imageUrls);
-    for (const func of onclickFunctions) {
-      const src = func?.attr || func?.prop || '';
-      extractUrlsFromOnclick(src).forEach(u => parsedSet.add(u));
+// Renders a title without saving anything: `fields` as given, one catalogue record (`catalog_id`),
+// or the latest `limit` records (of `product_type`). `template` overrides the configured one.
+app.post("/titles/preview", (req, res) => {
+  const { template, fields, catalog_id, product_type } = req.body || {};
+  const limit = Math.min(parseInt((req.body || {}).limit || "10", 10) || 10, 100);
+  try {
+    const preview = (f, current) => ({ title: titles.render(f, { template }), template: template ?? titles.templateFor(f.product_type), current_title: current, fields: f });
+    if (fields) return res.json(preview(fields, null));
+    if (catalog_id) {
+      const record = catalog.get(String(catalog_id));
+      if (!record) return res.status(404).json({ error: "Catalogue record not found" });
+      if (!record.title_fields) return res.status(400).json({ error: "Record has no title fields, scrape it again" });
+      return res.json({ catalog_id: record.id, ...preview(record.title_fields, record.title) });
     }
-    let finalImageUrls = Array.from(parsedSet);
+    const records = catalog.list({ product_type, limit: 500 }).items
+      .map(item => catalog.get(item.id))
+      .filter(r => r && r.title_fields)
+      .slice(0, limit);
+    return res.json({ items: records.map(r => ({ catalog_id: r.id, ...preview(r.title_fields, r.title) })) });
+  } catch (err) {
+    return res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
 
-    // Build a public base URL for this request
-    const baseUrl = `${req.protocol}://${req.get("host")}`;
+/* ---------------- Review queue ---------------- */
 
-    // Put best-quality thumbnail first
-    if (thumbnail) {
-      const fileName = thumbnail.substring(thumbnail.lastIndexOf("/"));
-      const regex = new RegExp(`${fileName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`);
-      const candidates = finalImageUrls.filter(u => regex.test(u));
-      let bestThumb = thumbnail, bestNum = 0;
-      for (const url of candidates) {
-        const m = url.match(/\/(\d+)\//);
-        if (m) { const n = parseInt(m[1],10); if (n > bestNum) { bestNum = n; bestThumb = url; } }
-      }
-      finalImageUrls = [bestThumb, ...finalImageUrls.filter(u => u !== bestThumb)];
-    }
+app.get("/review/ui", (_, res) => res.sendFile(path.join(__dirname, "public", "review.html")));
 
-    // Process images
-    const processedImages = [];
-    for (let i = 0; i < finalImageUrls.length; i++) {
-      const processed = await processImage(finalImageUrls[i], i, baseUrl);
-      if (processed) processedImages.push(processed);
+function reviewRoute(fn) {
+  return async (req, res) => {
+    try {
+      return res.json(await fn(req));
+    } catch (err) {
+      console.error(`❌ Error in ${req.method} ${req.path}:`, err.message);
+      const code = err.statusCode || (err instanceof ShopifyError ? 502 : 500);
+      return res.status(code).json({ error: err.message, shopify: err.body });
     }
+  };
+}
 
-    /* 15) Respond */
-    await browser.close();
-    return res.json({
-      success: true,
-      imageUrls: processedImages,
-      colours: allColours,
-      sizes: parsed.sizes,                 // <-- return robust size list (letters + numbers)
-      count: finalImageUrls.length,
-      options,
-      variants,
-      description_html,
-      specs_html,
-      title: finalTitle,
-      vendor: detectedVendor || undefined,
-      tag: productTag || undefined,
-      product_type: detectedType || "",
-      status
-    });
+// ?state=pending|approved|rejected|published
+app.get("/review", reviewRoute(req => review.list({ state: req.query.state })));
+app.get("/review/:id", reviewRoute(req => review.get(req.params.id)));
+app.put("/review/:id", reviewRoute(req => review.edit(req.params.id, req.body || {})));
+app.post("/review/:id/reject", reviewRoute(req => review.reject(req.params.id, { note: (req.body || {}).note || null })));
+
+// Approve and publish; `shopify_status: "draft"` creates the product hidden from the storefront
+app.post("/review/:id/approve", reviewRoute(async req => {
+  const body = req.body || {};
+  const shopifyStatus = body.shopify_status || REVIEW_SHOPIFY_STATUS;
+  if (!["active", "draft"].includes(shopifyStatus)) {
+    throw Object.assign(new Error("shopify_status must be active or draft"), { statusCode: 400 });
+  }
+  const draft = review.approve(req.params.id, { note: body.note || null });
+  try {
+    const result = await upsertProduct(clientFromEnv(), { ...draft.product, shopify_status: shopifyStatus });
+    catalog.markPublished(draft.id, result);
+    return { draft: review.markPublished(draft.id, result), shopify: result };
+  } catch (err) {
+    review.markFailed(draft.id, err);
+    throw err;
+  }
+}));
+
+/* ---------------- Catalogue ---------------- */
+
+// ?q=&vendor=&product_type=&published=true|false&needs_review=true|false&limit=&offset=
+app.get("/catalog", (req, res) => {
+  const { q, vendor, product_type } = req.query;
+  const published = req.query.published == null ? undefined : req.query.published === "true";
+  const needs_review = req.query.needs_review == null ? undefined : req.query.needs_review === "true";
+  const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 500);
+  const offset = parseInt(req.query.offset || "0", 10) || 0;
+  return res.json(catalog.list({ q, vendor, product_type, published, needs_review, limit, offset }));
+});
 
+app.get("/catalog/:id", (req, res) => {
+  const record = catalog.get(req.params.id);
+  if (!record) return res.status(404).json({ error: "Catalogue record not found" });
+  return res.json(record);
+});
+
+app.get("/catalog/:id/snapshot", (req, res) => {
+  const html = catalog.snapshot(req.params.id);
+  if (html == null) return res.status(404).json({ error: "Snapshot not found" });
+  // Centrano's page is shown as source, not run from our origin
+  return res.type("text/plain; charset=utf-8").send(html);
+});
+
+// Re-publish the stored scrape to Shopify (upsert) without scraping Centrano again
+app.post("/catalog/:id/publish", async (req, res) => {
+  const record = catalog.get(req.params.id);
+  if (!record) return res.status(404).json({ error: "Catalogue record not found" });
+  const reasons = reviewReasonsFor(record, (req.body || {}).force);
+  if (reasons) {
+    try {
+      return res.status(202).json({ success: true, ...queueForReview(record, reasons) });
+    } catch (err) {
+      return res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+  }
+
+  try {
+    const result = await upsertProduct(clientFromEnv(), record);
+    catalog.markPublished(record.id, result);
+    const code = result.status === "created" ? (result.partial ? 207 : 201) : (result.partial ? 207 : 200);
+    return res.status(code).json({ success: true, catalog_id: record.id, ...result });
   } catch (err) {
-    console.error("❌ Error in /scrape-product-images:", err);
-    await browser.close();
-    return res.status(500).json({ success: false, error: err.message, status });
+    console.error("❌ Error in /catalog/:id/publish:", err);
+    const code = err instanceof ShopifyError ? 502 : 500;
+    return res.status(code).json({ success: false, error: err.message, shopify: err.body });
   }
 });
 
 /* ---------------- Boot ---------------- */
 
 app.get("/", (_, res) => res.send("Centrano Scraper Running"));
+app.get("/sessions", (_, res) => res.json(browserPool.stats()));
+
+app.post("/processed/cleanup", async (_, res) => res.json(await images.cleanup()));
+
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`🟢 Server listening on port ${PORT}`));
+const server = app.listen(PORT, () => console.log(`🟢 Server listening on port ${PORT}`));
+
+// processed image retention, once a day
+setInterval(() => images.cleanup().catch(err => console.error("❌ Image cleanup failed:", err)), 24 * 60 * 60 * 1000).unref();
+
+syncRunner.schedule(parseFloat(process.env.SYNC_INTERVAL_MINUTES || "0"), {
+  baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    server.close();
+    browserPool.close().finally(() => process.exit(0));
+  });
+}
@@ -0,0 +1,248 @@
+// scripts/mock-shopify.js
+// Tiny in-memory stand-in for the Shopify Admin REST API, for running the service locally:
+//   node scripts/mock-shopify.js          (listens on MOCK_SHOPIFY_PORT, default 4000)
+//   SHOPIFY_BASE_URL=http://localhost:4000 npm start
+// MOCK_RATE_LIMIT_EVERY=n answers every n-th request with 429 to exercise the backoff.
+// MOCK_COLLECTIONS=handle,handle seeds custom collections (taxonomy collection mapping).
+// One active location ("Depozit") holds the stock levels.
+const express = require("express");
+
+function createMockShopify({ apiVersion = "2024-04", rateLimitEvery = 0, failImages = [], collections = [] } = {}) {
+  const app = express();
+  app.use(express.json({ limit: "5mb" }));
+
+  const state = { products: [], inventoryItems: {}, collections: [], collects: [], locations: [], levels: {}, requests: [], nextId: 1000 };
+  const nextId = () => state.nextId++;
+  state.locations.push({ id: nextId(), name: "Depozit", active: true });
+  for (const handle of collections) state.collections.push({ id: nextId(), handle, title: handle });
+  let count = 0;
+
+  app.use("/admin/api/:version", (req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, version: req.params.version, body: req.body });
+    res.set("X-Shopify-API-Version", apiVersion);
+    res.set("X-Shopify-Shop-Api-Call-Limit", "1/40");
+    if (rateLimitEvery && ++count % rateLimitEvery === 0) {
+      res.set("Retry-After", "0.05");
+      return res.status(429).json({ errors: "Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service." });
+    }
+    next();
+  });
+
+  const newInventoryItem = () => {
+    const id = nextId();
+    state.inventoryItems[id] = { id, cost: null };
+    return id;
+  };
+
+  // As in Shopify, metafields_global_* product fields are stored as "global" metafields, not returned with the product
+  const SEO_TAGS = { metafields_global_title_tag: "title_tag", metafields_global_description_tag: "description_tag" };
+  const storeSeoTags = (product) => {
+    for (const [field, key] of Object.entries(SEO_TAGS)) {
+      if (!(field in product)) continue;
+      const existing = product.metafields.find(m => m.namespace === "global" && m.key === key);
+      if (existing) existing.value = product[field];
+      else product.metafields.push({ namespace: "global", key, type: "single_line_text_field", value: product[field], id: nextId(), owner_id: product.id });
+      delete product[field];
+    }
+  };
+
+  const findProduct = (id) => state.products.find(p => String(p.id) === String(id));
+  const findVariant = (id) => {
+    for (const p of state.products) {
+      const v = p.variants.find(x => String(x.id) === String(id));
+      if (v) return v;
+    }
+    return null;
+  };
+
+  app.post("/admin/api/:version/products.json", (req, res) => {
+    const input = (req.body || {}).product;
+    if (!input || !input.title) return res.status(422).json({ errors: { title: ["can't be blank"] } });
+    const id = nextId();
+    const product = {
+      ...input,
+      id,
+      handle: input.handle || input.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, ""),
+      variants: (input.variants || [{ price: "0.00" }]).map((v, i) => ({
+        inventory_policy: "deny", taxable: true, ...v, id: nextId(), product_id: id, position: i + 1, inventory_item_id: newInventoryItem()
+      })),
+      metafields: (input.metafields || []).map(m => ({ ...m, id: nextId(), owner_id: id })),
+      images: []
+    };
+    storeSeoTags(product);
+    state.products.push(product);
+    res.status(201).json({ product });
+  });
+
+  // Cursor pagination like the real API: page_info is opaque, here just the offset
+  app.get("/admin/api/:version/products.json", (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit || "50", 10), 250);
+    const offset = req.query.page_info ? parseInt(Buffer.from(req.query.page_info, "base64").toString(), 10) : 0;
+    const fields = req.query.fields ? String(req.query.fields).split(",") : null;
+    const products = req.query.handle ? state.products.filter(p => p.handle === req.query.handle) : state.products;
+    const page = products.slice(offset, offset + limit).map(p =>
+      fields ? Object.fromEntries(fields.filter(f => f in p).map(f => [f, p[f]])) : p
+    );
+    if (offset + limit < products.length) {
+      const next = Buffer.from(String(offset + limit)).toString("base64");
+      const params = new URLSearchParams({ limit: String(limit), page_info: next });
+      if (req.query.fields) params.set("fields", req.query.fields);
+      res.set("Link", `<${req.protocol}://${req.get("host")}/admin/api/${req.params.version}/products.json?${params}>; rel="next"`);
+    }
+    res.json({ products: page });
+  });
+
+  app.get("/admin/api/:version/products/:id.json", (req, res) => {
+    const product = findProduct(req.params.id);
+    if (!product) return res.status(404).json({ errors: "Not Found" });
+    res.json({ product });
+  });
+
+  app.put("/admin/api/:version/products/:id.json", (req, res) => {
+    const product = findProduct(req.params.id);
+    if (!product) return res.status(404).json({ errors: "Not Found" });
+    const { variants, images, metafields, ...fields } = (req.body || {}).product || {};
+    Object.assign(product, fields, { id: product.id });
+    storeSeoTags(product);
+    res.json({ product });
+  });
+
+  app.post("/admin/api/:version/products/:id/variants.json", (req, res) => {
+    const product = findProduct(req.params.id);
+    if (!product) return res.status(404).json({ errors: "Not Found" });
+    const input = (req.body || {}).variant || {};
+    const variant = {
+      inventory_policy: "deny", taxable: true, ...input,
+      id: nextId(), product_id: product.id, position: product.variants.length + 1, inventory_item_id: newInventoryItem()
+    };
+    product.variants.push(variant);
+    // new option values show up on the product's options, as in Shopify
+    (product.options || []).forEach((o, i) => {
+      const val = variant[`option${i + 1}`];
+      if (val != null && !(o.values || []).includes(val)) o.values = [...(o.values || []), val];
+    });
+    res.status(201).json({ variant });
+  });
+
+  app.put("/admin/api/:version/variants/:id.json", (req, res) => {
+    const variant = findVariant(req.params.id);
+    if (!variant) return res.status(404).json({ errors: "Not Found" });
+    Object.assign(variant, (req.body || {}).variant, { id: variant.id });
+    res.json({ variant });
+  });
+
+  app.get("/admin/api/:version/inventory_items.json", (req, res) => {
+    const ids = String(req.query.ids || "").split(",").filter(Boolean);
+    res.json({ inventory_items: ids.map(id => state.inventoryItems[id]).filter(Boolean) });
+  });
+
+  app.put("/admin/api/:version/inventory_items/:id.json", (req, res) => {
+    const item = state.inventoryItems[req.params.id];
+    if (!item) return res.status(404).json({ errors: "Not Found" });
+    Object.assign(item, (req.body || {}).inventory_item, { id: item.id });
+    res.json({ inventory_item: item });
+  });
+
+  app.get("/admin/api/:version/locations.json", (req, res) => res.json({ locations: state.locations }));
+
+  app.get("/admin/api/:version/inventory_levels.json", (req, res) => {
+    const items = String(req.query.inventory_item_ids || "").split(",").filter(Boolean);
+    const locations = String(req.query.location_ids || "").split(",").filter(Boolean);
+    const inventory_levels = Object.values(state.levels)
+      .filter(l => items.includes(String(l.inventory_item_id)) && (!locations.length || locations.includes(String(l.location_id))));
+    res.json({ inventory_levels });
+  });
+
+  app.post("/admin/api/:version/inventory_levels/set.json", (req, res) => {
+    const { location_id, inventory_item_id, available } = req.body || {};
+    if (!state.inventoryItems[inventory_item_id] || !state.locations.some(l => String(l.id) === String(location_id))) {
+      return res.status(422).json({ errors: ["Inventory item or location does not exist"] });
+    }
+    const level = { inventory_item_id, location_id, available, updated_at: new Date().toISOString() };
+    state.levels[`${inventory_item_id}:${location_id}`] = level;
+    res.json({ inventory_level: level });
+  });
+
+  app.post("/admin/api/:version/products/:id/images.json", (req, res) => {
+    const product = findProduct(req.params.id);
+    if (!product) return res.status(404).json({ errors: "Not Found" });
+    const image = (req.body || {}).image || {};
+    if (failImages.some(f => (image.src || "").includes(f))) {
+      return res.status(422).json({ errors: { image: ["Image URL is invalid"] } });
+    }
+    const created = { ...image, id: nextId(), product_id: product.id, variant_ids: image.variant_ids || [] };
+    product.images.push(created);
+    // as in Shopify, the image becomes the picture of the variants it lists
+    for (const v of product.variants) if (created.variant_ids.includes(v.id)) v.image_id = created.id;
+    res.status(200).json({ image: created });
+  });
+
+  app.put("/admin/api/:version/products/:id/images/:imageId.json", (req, res) => {
+    const image = (findProduct(req.params.id)?.images || []).find(img => String(img.id) === String(req.params.imageId));
+    if (!image) return res.status(404).json({ errors: "Not Found" });
+    Object.assign(image, (req.body || {}).image, { id: image.id });
+    res.json({ image });
+  });
+
+  app.get("/admin/api/:version/products/:id/metafields.json", (req, res) => {
+    const product = findProduct(req.params.id);
+    if (!product) return res.status(404).json({ errors: "Not Found" });
+    const namespace = req.query.namespace;
+    res.json({ metafields: product.metafields.filter(m => !namespace || m.namespace === namespace) });
+  });
+
+  app.post("/admin/api/:version/products/:id/metafields.json", (req, res) => {
+    const product = findProduct(req.params.id);
+    if (!product) return res.status(404).json({ errors: "Not Found" });
+    const input = (req.body || {}).metafield || {};
+    if (product.metafields.some(m => m.namespace === input.namespace && m.key === input.key)) {
+      return res.status(422).json({ errors: { key: ["must be unique within this namespace on this resource"] } });
+    }
+    const metafield = { ...input, id: nextId(), owner_id: product.id };
+    product.metafields.push(metafield);
+    res.status(201).json({ metafield });
+  });
+
+  app.put("/admin/api/:version/metafields/:id.json", (req, res) => {
+    const metafield = state.products.flatMap(p => p.metafields).find(m => String(m.id) === String(req.params.id));
+    if (!metafield) return res.status(404).json({ errors: "Not Found" });
+    Object.assign(metafield, (req.body || {}).metafield, { id: metafield.id });
+    res.json({ metafield });
+  });
+
+  app.get("/admin/api/:version/custom_collections.json", (req, res) => {
+    const handle = req.query.handle;
+    res.json({ custom_collections: state.collections.filter(c => !handle || c.handle === handle) });
+  });
+
+  app.get("/admin/api/:version/collects.json", (req, res) => {
+    const productId = req.query.product_id;
+    res.json({ collects: state.collects.filter(c => !productId || String(c.product_id) === String(productId)) });
+  });
+
+  app.post("/admin/api/:version/collects.json", (req, res) => {
+    const { product_id, collection_id } = (req.body || {}).collect || {};
+    if (!findProduct(product_id) || !state.collections.some(c => String(c.id) === String(collection_id))) {
+      return res.status(422).json({ errors: { collect: ["is invalid"] } });
+    }
+    if (state.collects.some(c => String(c.product_id) === String(product_id) && String(c.collection_id) === String(collection_id))) {
+      return res.status(422).json({ errors: { product_id: ["already exists in this collection"] } });
+    }
+    const collect = { id: nextId(), product_id, collection_id };
+    state.collects.push(collect);
+    res.status(201).json({ collect });
+  });
+
+  return { app, state };
+}
+
+if (require.main === module) {
+  const { app } = createMockShopify({
+    rateLimitEvery: parseInt(process.env.MOCK_RATE_LIMIT_EVERY || "0", 10),
+    collections: (process.env.MOCK_COLLECTIONS || "").split(",").map(s => s.trim()).filter(Boolean)
+  });
+  const PORT = process.env.MOCK_SHOPIFY_PORT || 4000;
+  app.listen(PORT, () => console.log(`🧪 Mock Shopify listening on port ${PORT}`));
+}
+
+module.exports = { createMockShopify };
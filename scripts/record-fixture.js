@@ -0,0 +1,84 @@
+// scripts/record-fixture.js
+// Saves a real Centrano product as a parser fixture (test/fixtures/<name>/) and writes its
+// expected.json from what the parsers produce today. Review expected.json before committing it.
+//   node scripts/record-fixture.js <name> --products-id 12345 [--search "club g4"]   live, via the HTTP backend
+//   node scripts/record-fixture.js <name> --search "club g4"                          live, first search match
+//   node scripts/record-fixture.js <name> --catalog 12345                             from a catalogue snapshot
+//   node scripts/record-fixture.js <name> --html saved-page.html [--search ...]      a page saved from the browser
+//   node scripts/record-fixture.js <name> --refresh                                   re-write expected.json only
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { createCentranoHttp } = require("../src/centranoHttp");
+const { parseSearchResults } = require("../src/search");
+const { createCatalog } = require("../src/catalog");
+const { FIXTURES_DIR, loadFixture, expectedView, buildFixture } = require("../test/support/fixtures");
+
+function parseArgs(argv) {
+  const [name, ...rest] = argv;
+  const opts = {};
+  for (let i = 0; i < rest.length; i++) {
+    const key = rest[i].replace(/^--/, "");
+    if (key === "refresh") opts.refresh = true;
+    else opts[key] = rest[++i];
+  }
+  return { name, opts };
+}
+
+async function record(name, opts) {
+  const dir = path.join(FIXTURES_DIR, name);
+  const input = {};
+  if (opts["products-id"]) input.productsId = String(opts["products-id"]);
+  if (opts.search) input.searchTerm = opts.search;
+
+  let file, content;
+  if (opts.html) {
+    file = "page.html";
+    content = fs.readFileSync(opts.html, "utf8");
+  } else if (opts.catalog) {
+    const catalog = createCatalog({ dir: path.join(process.env.DATA_DIR || path.join(__dirname, "..", "data"), "catalog") });
+    const rec = catalog.get(opts.catalog);
+    content = catalog.snapshot(opts.catalog);
+    if (!rec || !content) throw new Error(`No catalogue snapshot for ${opts.catalog}`);
+    file = "page.html";
+    if (rec.products_id && !input.productsId) input.productsId = String(rec.products_id);
+    if (rec.search_term && !input.searchTerm) input.searchTerm = rec.search_term;
+  } else if (input.productsId || input.searchTerm) {
+    const http = createCentranoHttp({ email: process.env.CENTRANO_EMAIL, password: process.env.CENTRANO_PASSWORD });
+    let id = input.productsId;
+    if (!id) {
+      const [first] = parseSearchResults(await http.search(input.searchTerm));
+      if (!first) throw new Error(`No Centrano product matches "${input.searchTerm}"`);
+      id = first.products_id;
+    }
+    file = "productinfo.json";
+    content = JSON.stringify(await http.productInfo(id), null, 2) + "\n";
+  } else {
+    throw new Error("Nothing to record: pass --products-id, --search, --catalog or --html");
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const f of ["page.html", "productinfo.json"]) fs.rmSync(path.join(dir, f), { force: true });
+  fs.writeFileSync(path.join(dir, file), content);
+  fs.writeFileSync(path.join(dir, "input.json"), JSON.stringify(input, null, 2) + "\n");
+}
+
+async function main() {
+  const { name, opts } = parseArgs(process.argv.slice(2));
+  if (!name || !/^[\w-]+$/.test(name)) {
+    console.error("Usage: node scripts/record-fixture.js <name> [--products-id id] [--search term] [--catalog id] [--html file] [--refresh]");
+    process.exit(1);
+  }
+  if (!opts.refresh) await record(name, opts);
+
+  const fixture = loadFixture(name);
+  const expected = expectedView(buildFixture(fixture));
+  fs.writeFileSync(path.join(fixture.dir, "expected.json"), JSON.stringify(expected, null, 2) + "\n");
+  console.log(`🧪 Fixture ${name}: "${expected.title}" (${expected.vendor || "no vendor"} / ${expected.product_type || "no type"}), ${expected.variants.length} variants`);
+  console.log(`   Check ${path.relative(process.cwd(), path.join(fixture.dir, "expected.json"))} before committing.`);
+}
+
+main().catch(err => {
+  console.error("❌", err.message);
+  process.exit(1);
+});
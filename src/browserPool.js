@@ -0,0 +1,136 @@
+// src/browserPool.js
+// Long-lived Chromium with a fixed number of logged-in sessions (incognito contexts).
+// Each caller leases one session exclusively and gets a fresh page inside it.
+const puppeteer = require("puppeteer-core");
+
+class SessionExpiredError extends Error {
+  constructor(message = "Session expired") {
+    super(message);
+    this.name = "SessionExpiredError";
+  }
+}
+
+/**
+ * createBrowserPool({ size, launchOptions, login, isLoggedOut, launch })
+ *  - login(page): performs the login inside a page of the session's context; throws on failure.
+ *  - isLoggedOut(page): true when the page was bounced back to the login form.
+ *  - launch(launchOptions): starts the browser (puppeteer.launch by default).
+ */
+function createBrowserPool({ size = 2, launchOptions = {}, login, isLoggedOut, launch = (options) => puppeteer.launch(options) }) {
+  let browserPromise = null;
+  const sessions = Array.from({ length: size }, (_, id) => ({ id, context: null, loggedIn: false, busy: false, uses: 0 }));
+  const waiters = [];
+
+  async function getBrowser() {
+    if (!browserPromise) {
+      browserPromise = Promise.resolve(launch(launchOptions)).then(browser => {
+        browser.on("disconnected", () => {
+          console.warn("⚠️ Browser disconnected, sessions will be recreated");
+          browserPromise = null;
+          for (const s of sessions) { s.context = null; s.loggedIn = false; }
+        });
+        return browser;
+      });
+      browserPromise.catch(() => { browserPromise = null; });
+    }
+    return browserPromise;
+  }
+
+  function acquire() {
+    const free = sessions.find(s => !s.busy);
+    if (free) {
+      free.busy = true;
+      return Promise.resolve(free);
+    }
+    return new Promise(resolve => waiters.push(resolve));
+  }
+
+  function release(session) {
+    const next = waiters.shift();
+    if (next) return next(session);   // hand over without freeing
+    session.busy = false;
+  }
+
+  async function ensureContext(session) {
+    if (session.context) return session.context;
+    const browser = await getBrowser();
+    session.context = await browser.createIncognitoBrowserContext();
+    session.loggedIn = false;
+    return session.context;
+  }
+
+  async function ensureLoggedIn(session) {
+    await ensureContext(session);
+    if (session.loggedIn) return;
+    const page = await session.context.newPage();
+    try {
+      await login(page);
+      session.loggedIn = true;
+      console.log(`🔐 Session ${session.id} logged in`);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async function resetSession(session) {
+    const ctx = session.context;
+    session.context = null;
+    session.loggedIn = false;
+    if (ctx) await ctx.close().catch(() => {});
+  }
+
+  // Throws SessionExpiredError when the page shows the login form again
+  async function assertLoggedIn(page) {
+    if (await isLoggedOut(page)) throw new SessionExpiredError();
+  }
+
+  /**
+   * withPage(fn): runs fn(page) on an isolated page of a logged-in session.
+   * If fn hits an expired session (SessionExpiredError), logs in again and retries once.
+   */
+  async function withPage(fn) {
+    const session = await acquire();
+    try {
+      for (let attempt = 1; ; attempt++) {
+        await ensureLoggedIn(session);
+        session.uses++;
+        const page = await session.context.newPage();
+        try {
+          return await fn(page);
+        } catch (err) {
+          if (err instanceof SessionExpiredError && attempt < 2) {
+            console.warn(`🔐 Session ${session.id} expired, logging in again`);
+            session.loggedIn = false;
+            continue;
+          }
+          // the context may be in a bad state after a crash: start clean next time
+          if (/Target closed|Session closed|Protocol error/i.test(err.message || "")) await resetSession(session);
+          throw err;
+        } finally {
+          await page.close().catch(() => {});
+        }
+      }
+    } finally {
+      release(session);
+    }
+  }
+
+  async function close() {
+    const p = browserPromise;
+    browserPromise = null;
+    if (p) await p.then(b => b.close()).catch(() => {});
+  }
+
+  function stats() {
+    return {
+      size,
+      busy: sessions.filter(s => s.busy).length,
+      waiting: waiters.length,
+      sessions: sessions.map(({ id, loggedIn, busy, uses }) => ({ id, loggedIn, busy, uses }))
+    };
+  }
+
+  return { withPage, assertLoggedIn, close, stats };
+}
+
+module.exports = { createBrowserPool, SessionExpiredError };
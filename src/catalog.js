@@ -0,0 +1,148 @@
+// src/catalog.js
+// Persistent catalogue of scraped Centrano products: one JSON record per product plus a gzipped
+// HTML snapshot of the page it was parsed from. Records are kept in memory for listing/search.
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const norm = (s) => (s || "").toString().normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+const slug = (s) => norm(s).replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 80);
+
+// Stable record id: the Centrano products_id, else the search term it was found with
+function catalogId(result) {
+  if (result.products_id) return String(result.products_id);
+  if (result.search_term) return `q-${slug(result.search_term)}`;
+  return null;
+}
+
+/**
+ * createCatalog({ dir })
+ *  recordScrape(result, { html, keepImages }) -> record
+ *  markPublished(id, shopifyResult) / list(query) / get(id) / snapshot(id)
+ */
+function createCatalog({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const records = new Map();
+
+  const recordDir = (id) => path.join(dir, id);
+  const recordFile = (id) => path.join(recordDir(id), "record.json");
+  const snapshotFile = (id) => path.join(recordDir(id), "snapshot.html.gz");
+  const validId = (id) => typeof id === "string" && /^[\w-]+$/.test(id);
+
+  for (const entry of fs.readdirSync(dir)) {
+    const file = recordFile(entry);
+    if (!fs.existsSync(file)) continue;
+    try {
+      records.set(entry, JSON.parse(fs.readFileSync(file, "utf8")));
+    } catch (err) {
+      console.error(`❌ Skipping unreadable catalogue record ${file}:`, err.message);
+    }
+  }
+
+  function save(record) {
+    fs.mkdirSync(recordDir(record.id), { recursive: true });
+    const tmp = `${recordFile(record.id)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(record, null, 2));
+    fs.renameSync(tmp, recordFile(record.id));
+    records.set(record.id, record);
+  }
+
+  function recordScrape(result, { html = null, keepImages = false } = {}) {
+    const id = catalogId(result);
+    if (!id) return null;
+    const previous = records.get(id);
+    const now = new Date().toISOString();
+
+    const { status, ...fields } = result;
+    const record = {
+      ...(previous || {}),
+      ...fields,
+      id,
+      first_scraped_at: previous?.first_scraped_at || now,
+      scraped_at: now,
+      scrape_count: (previous?.scrape_count || 0) + 1,
+      shopify: previous?.shopify || null
+    };
+    // price/stock syncs skip image processing: keep what the last full scrape stored
+    if (keepImages && previous) {
+      record.images = previous.images;
+      record.imageUrls = previous.imageUrls;
+      record.count = previous.count;
+    }
+
+    if (html) {
+      fs.mkdirSync(recordDir(id), { recursive: true });
+      fs.writeFileSync(snapshotFile(id), zlib.gzipSync(html));
+      record.snapshot = { bytes: Buffer.byteLength(html), taken_at: now };
+    }
+    save(record);
+    return record;
+  }
+
+  function markPublished(id, shopify) {
+    const record = records.get(id);
+    if (!record) return null;
+    record.shopify = {
+      product_id: shopify.product_id,
+      handle: shopify.handle || record.shopify?.handle || null,
+      status: shopify.status,
+      published_at: record.shopify?.published_at || new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    save(record);
+    return record;
+  }
+
+  const summary = (r) => ({
+    id: r.id,
+    products_id: r.products_id || null,
+    search_term: r.search_term || null,
+    title: r.title,
+    vendor: r.vendor || null,
+    product_type: r.product_type || null,
+    needs_review: !!r.needs_review,
+    variants: (r.variants || []).length,
+    images: (r.images || []).length,
+    scraped_at: r.scraped_at,
+    scrape_count: r.scrape_count,
+    shopify_product_id: r.shopify?.product_id || null
+  });
+
+  /**
+   * list({ q, vendor, product_type, published, needs_review, limit, offset }) -> { total, items }
+   * `q` matches (diacritics-insensitive) title, vendor, type, search term, products_id and option values.
+   */
+  function list({ q, vendor, product_type, published, needs_review, limit = 50, offset = 0 } = {}) {
+    const terms = norm(q).split(/\s+/).filter(Boolean);
+    let items = Array.from(records.values());
+
+    if (vendor) items = items.filter(r => norm(r.vendor) === norm(vendor));
+    if (product_type) items = items.filter(r => norm(r.product_type) === norm(product_type));
+    if (published != null) items = items.filter(r => !!r.shopify?.product_id === published);
+    if (needs_review != null) items = items.filter(r => !!r.needs_review === needs_review);
+    if (terms.length) {
+      items = items.filter(r => {
+        const hay = norm([
+          r.title, r.vendor, r.product_type, r.search_term, r.products_id,
+          ...(r.options || []).flatMap(o => o.values || [])
+        ].join(" "));
+        return terms.every(t => hay.includes(t));
+      });
+    }
+
+    items.sort((a, b) => (b.scraped_at || "").localeCompare(a.scraped_at || ""));
+    return { total: items.length, items: items.slice(offset, offset + limit).map(summary) };
+  }
+
+  const get = (id) => (validId(id) && records.get(id)) || null;
+
+  function snapshot(id) {
+    if (!get(id) || !fs.existsSync(snapshotFile(id))) return null;
+    return zlib.gunzipSync(fs.readFileSync(snapshotFile(id))).toString("utf8");
+  }
+
+  return { recordScrape, markPublished, list, get, snapshot, catalogId };
+}
+
+module.exports = { createCatalog, catalogId };
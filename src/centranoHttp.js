@@ -0,0 +1,133 @@
+// src/centranoHttp.js
+// Browser-less Centrano session: cookie login plus the two AJAX endpoints the shop itself uses
+// (and the n8n workflow already called): ajax_productlist.php and ajax_productinfo.php.
+const fetch = require("node-fetch");
+const cheerio = require("cheerio");
+const { SessionExpiredError } = require("./browserPool");
+const { ScrapeError } = require("./scrapeErrors");
+const { searchUrl, CENTRANO_ORIGIN } = require("./search");
+
+const USER_AGENT = "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36";
+
+const looksLoggedOut = (html) => /name=["']?email_address["']?/i.test(html || "");
+
+/**
+ * createCentranoHttp({ email, password, origin, timeoutMs })
+ *  login()              -> logs in (cookies kept in memory)
+ *  search(term)         -> ajax_productlist.php HTML
+ *  productInfo(id)      -> { listing, description, specs, specs2 } from ajax_productinfo.php
+ * Requests log in on first use and once more when Centrano answers with the login form.
+ */
+function createCentranoHttp({ email, password, origin = CENTRANO_ORIGIN, timeoutMs = 20000 }) {
+  const jar = new Map();   // cookie name -> value
+  let session = null;      // login promise, shared by concurrent requests
+
+  const cookieHeader = () => Array.from(jar, ([k, v]) => `${k}=${v}`).join("; ");
+
+  function storeCookies(res) {
+    for (const c of res.headers.raw()["set-cookie"] || []) {
+      const [pair] = c.split(";");
+      const i = pair.indexOf("=");
+      if (i > 0) jar.set(pair.slice(0, i).trim(), pair.slice(i + 1).trim());
+    }
+  }
+
+  // Redirects are followed by hand so cookies set on the 302 (login) are not lost
+  async function send(url, { method = "GET", body, headers = {} } = {}) {
+    for (let hops = 0; hops < 5; hops++) {
+      const res = await fetch(url, {
+        method, body, redirect: "manual", timeout: timeoutMs,
+        headers: { "User-Agent": USER_AGENT, Cookie: cookieHeader(), ...headers }
+      });
+      storeCookies(res);
+      if (res.status >= 300 && res.status < 400 && res.headers.get("location")) {
+        url = new URL(res.headers.get("location"), url).href;
+        method = "GET";
+        body = undefined;
+        continue;
+      }
+      if (!res.ok) throw new Error(`Centrano ${url} responded ${res.status}`);
+      return res.text();
+    }
+    throw new Error(`Centrano ${url}: too many redirects`);
+  }
+
+  async function login() {
+    if (!email || !password) throw new ScrapeError("login_failed", "CENTRANO_EMAIL / CENTRANO_PASSWORD are not configured");
+    jar.clear();
+    const loginUrl = `${origin}/ro/login.php`;
+    const $ = cheerio.load(await send(loginUrl));
+    const form = $("input[name='email_address']").closest("form");
+    if (!form.length) throw new ScrapeError("login_failed", "Centrano login form not found");
+
+    // keep hidden fields (osCommerce formid / action) exactly as the page sends them
+    const fields = new URLSearchParams();
+    form.find("input[name]").each((_, el) => {
+      const input = $(el);
+      if ((input.attr("type") || "").toLowerCase() === "hidden") fields.set(input.attr("name"), input.attr("value") || "");
+    });
+    fields.set("email_address", email);
+    fields.set("password", password);
+
+    const action = new URL(form.attr("action") || loginUrl, loginUrl).href;
+    const html = await send(action, {
+      method: "POST",
+      body: fields.toString(),
+      headers: { "Content-Type": "application/x-www-form-urlencoded", Referer: loginUrl }
+    });
+    if (looksLoggedOut(html)) throw new ScrapeError("login_failed", "Centrano login failed");
+    console.log("🔐 Centrano HTTP session logged in");
+  }
+
+  function ensureSession() {
+    if (!session) session = login().catch(err => { session = null; throw err; });
+    return session;
+  }
+
+  async function withSession(fn) {
+    const used = ensureSession();
+    await used;
+    try {
+      return await fn();
+    } catch (err) {
+      if (!(err instanceof SessionExpiredError)) throw err;
+      console.warn("🔁 Centrano HTTP session expired, logging in again");
+      if (session === used) session = null;   // another request may have logged in already
+      await ensureSession();
+      return fn();
+    }
+  }
+
+  const ajaxHeaders = { "X-Requested-With": "XMLHttpRequest", Referer: `${origin}/ro/` };
+
+  function search(term) {
+    const url = searchUrl(term).replace(CENTRANO_ORIGIN, origin);
+    return withSession(async () => {
+      const html = await send(url, { headers: ajaxHeaders });
+      if (looksLoggedOut(html)) throw new SessionExpiredError();
+      return html;
+    });
+  }
+
+  function productInfo(productsId) {
+    const url = `${origin}/ajax_productinfo.php?products_id=${encodeURIComponent(productsId)}&action=product_info&cPath=&page=&manufacturers_id=&keywords=`;
+    return withSession(async () => {
+      const text = await send(url, { headers: ajaxHeaders });
+      let info;
+      try {
+        info = JSON.parse(text);
+      } catch {
+        if (looksLoggedOut(text)) throw new SessionExpiredError();
+        // the response is kept with the failure (src/failures.js) to see what Centrano sent instead
+        throw Object.assign(new ScrapeError("unexpected_markup", `Centrano product ${productsId}: unexpected ajax_productinfo response`),
+          { artefacts: { url, html: text } });
+      }
+      if (!info || !info.listing) throw new ScrapeError("product_not_found", `Centrano product ${productsId} not found`);
+      return info;
+    });
+  }
+
+  return { login, search, productInfo };
+}
+
+module.exports = { createCentranoHttp };
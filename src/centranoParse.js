@@ -0,0 +1,284 @@
+// src/centranoParse.js
+// Pure parsers for Centrano's product HTML: the live page (Puppeteer backend) and the fragments
+// returned by ajax_productinfo.php (HTTP backend) go through the same functions, so both backends
+// collect the same thing and saved pages can be replayed offline (test/fixtures).
+const cheerio = require("cheerio");
+const { priceCandidatesFromNode } = require("./priceRoles");
+const { extractSizeValue, parseRowSizes } = require("./sizes");
+
+const norm = (s) => (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/\s+/g, " ").trim();
+const squash = (s) => (s || "").replace(/\s+/g, " ").trim();
+const absUrl = (u) => {
+  if (!u) return u;
+  try {
+    return new URL(u.startsWith("//") ? `https:${u}` : u, "https://www.centrano.com/").href;
+  } catch {
+    return u;
+  }
+};
+
+// Text of a node with element boundaries kept as spaces (like innerText, unlike cheerio's .text())
+function textOf(node) {
+  if (!node) return "";
+  if (node.type === "text") return node.data || "";
+  if (node.type !== "tag" && node.type !== "root") return "";
+  return (node.children || []).map(textOf).join(" ");
+}
+
+const colourFromText = (t) => {
+  // strictly "<Culoare|Colour|Color> : <value>"
+  const m = t.match(/(?:Culoare|Colour|Color)\s*:\s*([^)]+?)(?=$|\)|,)/i);
+  return m && m[1] ? m[1].trim() : null;
+};
+
+// Barcode and supplier article code printed in a variant row: "EAN: 4064317001234", "Cod articol: TL-FRM-BK"
+function extractCodes(t) {
+  const ean = (t.match(/\bEAN\s*:?\s*(\d{8,14})\b/i) || [])[1] || null;
+  const article = (t.match(/\b(?:Cod(?:\s+(?:articol|produs))?|Art(?:icol)?\.?(?:\s*nr\.?)?|Item\s*(?:no\.?|#))\s*[:#]\s*([A-Z0-9][\w./-]{2,})/i) || [])[1] || null;
+  return { ean, article };
+}
+
+// Availability shown in a row: its text plus the title/alt/class/src of its icons ("stoc_verde.png", class="in-stock");
+// src/stock.js decides what it means
+function stockHint(node) {
+  const attrs = [];
+  const walk = (n) => {
+    if (n.type !== "tag") return;
+    for (const name of ["title", "alt", "class", "src", "data-stock"]) {
+      if (n.attribs && n.attribs[name]) attrs.push(n.attribs[name]);
+    }
+    (n.children || []).forEach(walk);
+  };
+  walk(node);
+  return norm([textOf(node), ...attrs].join(" | "));
+}
+
+const ROW_SELECTOR = ".show-for-large, .variant_list .row, .variant-row, .variant_list_row, .row";
+
+function extractTitle($) {
+  const card = $(".medium-24.large-5.columns").first();
+  const candidates = card.find(".hide-for-large, [style*='text-align: center']").toArray()
+    .map(n => squash(textOf(n)))
+    .filter(t => t && !/^Culoare\s*:/i.test(t) && !/^\(/.test(t));
+  if (candidates[0]) return candidates[0];
+  const alt = $(".hide-for-large").first();
+  return squash(alt.length ? textOf(alt[0]) : $("title").text());
+}
+
+function extractThumbnail($) {
+  const img = $("div.medium-24.large-5.columns img").first();
+  if (!img.length) return null;
+  const rawUrl = absUrl(img.attr("src") || "");
+  const fileName = rawUrl.substring(rawUrl.lastIndexOf("/"));
+  const regex = new RegExp(`https?://[^/]+/(\\d+)${fileName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`);
+  const candidates = $("img").toArray().map(el => absUrl($(el).attr("src") || "")).filter(u => regex.test(u));
+  let best = candidates[0] || rawUrl, bestNum = 0;
+  for (const url of candidates) {
+    const m = url.match(/\/(\d+)\//);
+    if (m && parseInt(m[1], 10) > bestNum) { bestNum = parseInt(m[1], 10); best = url; }
+  }
+  return best;
+}
+
+function extractColours($) {
+  const vals = $(".show-for-large").toArray()
+    .map(n => (squash(textOf(n)).match(/Culoare:\s*([^)]+?)(?:$|\)|,)/i) || [])[1])
+    .filter(Boolean)
+    .map(v => v.trim());
+  return Array.from(new Set(vals));
+}
+
+// Colour headers and size rows in document order; rows carry unclassified € candidates
+function extractRows($) {
+  const roots = [$.root(), $("#product_popup").first(), $("div.reveal-overlay").first()].filter(r => r.length);
+  const colourSet = new Set();
+  const sizeSet = new Set();
+  const rows = [];
+
+  for (const root of roots) {
+    let currentColour = null;
+    for (const el of root.find(ROW_SELECTOR).toArray()) {
+      const t = norm(textOf(el));
+      if (!t) continue;
+
+      const headerColour = colourFromText(t);
+      if (headerColour) {
+        currentColour = headerColour;
+        colourSet.add(currentColour);
+        continue;
+      }
+
+      // every dimension the row gives (src/sizes.js); `size` is them all, for telling rows apart
+      const dimensions = parseRowSizes(t);
+      if (!Object.keys(dimensions).length) continue;
+      const size = Object.values(dimensions).join(" / ");
+      sizeSet.add(size);
+
+      const color = currentColour || colourFromText(t) || null;
+      if (color) colourSet.add(color);
+      rows.push({ color, size, dimensions, prices: priceCandidatesFromNode(el), ...extractCodes(t), stock: stockHint(el) });
+    }
+    if (rows.length) break;   // first root that yields variants
+  }
+  return { rows, colours: Array.from(colourSet), sizes: Array.from(sizeSet) };
+}
+
+// Colour-only products: every € candidate under each "Culoare: X" header, and the first EAN / article code
+// and the availability shown there
+function extractColourPrices($) {
+  const roots = [$.root(), $("#product_popup").first(), $("div.reveal-overlay").first()].filter(r => r.length);
+  const prices = {};
+  const codes = {};
+  for (const root of roots) {
+    let currentColour = null;
+    for (const el of root.find(ROW_SELECTOR).toArray()) {
+      const t = norm(textOf(el));
+      if (!t) continue;
+      const colour = colourFromText(t);
+      if (colour) {
+        currentColour = colour;
+        if (!(currentColour in prices)) prices[currentColour] = [];
+        continue;
+      }
+      if (!currentColour) continue;
+      prices[currentColour].push(...priceCandidatesFromNode(el));
+      const found = extractCodes(t);
+      const known = codes[currentColour] || (codes[currentColour] = { ean: null, article: null, stock: "" });
+      known.ean = known.ean || found.ean;
+      known.article = known.article || found.article;
+      known.stock = [known.stock, stockHint(el)].filter(Boolean).join(" | ");
+    }
+    if (Object.values(prices).some(v => v.length)) break;
+  }
+  return { prices, codes };
+}
+
+function extractPagePrices($) {
+  const card = $("div.medium-24.large-5.columns").get(0);
+  const fromCard = priceCandidatesFromNode(card);
+  return fromCard.length ? fromCard : priceCandidatesFromNode($("#product_popup").get(0) || $.root().get(0));
+}
+
+// URLs passed to open_zoom_box('//…/a.jpg', '//…/b.jpg')
+function zoomBoxUrls(onclick) {
+  const args = (String(onclick || "").match(/\(([\s\S]*)\)/) || [])[1] || "";
+  return (args.match(/\/\/[^,'")\s]+?\.(?:webp|jpe?g|png|gif)/gi) || []).map(absUrl);
+}
+
+// Full-size images: the zoom slides if present, plus every URL passed to open_zoom_box(...)
+function extractImageUrls($) {
+  const set = new Set(
+    $("#zoom_popup .img-container div.wrapper img").toArray().map(el => absUrl($(el).attr("src") || "")).filter(Boolean)
+  );
+  $("[onclick*='open_zoom_box']").each((_, el) => {
+    for (const u of zoomBoxUrls($(el).attr("onclick"))) set.add(u);
+  });
+  return Array.from(set);
+}
+
+// Image URLs shown by an element: <img> sources and every URL passed to open_zoom_box(...)
+function imageUrlsIn($, el) {
+  const urls = $(el).find("img").addBack("img").toArray().map(img => absUrl($(img).attr("src") || "")).filter(Boolean);
+  $(el).find("[onclick*='open_zoom_box']").addBack("[onclick*='open_zoom_box']").each((_, z) => {
+    urls.push(...zoomBoxUrls($(z).attr("onclick")));
+  });
+  return urls;
+}
+
+// Colour hints for images: pictures inside a colour section of the variant list ("section"), and the card
+// thumbnail when the card title names a colour ("card", "… (Culoare: Red)"). src/product.js also matches file names.
+function extractImageColours($) {
+  const hints = [];
+  let current = null;
+  for (const el of $(".variant_list").find(".show-for-large, .row").toArray()) {
+    const colour = colourFromText(norm(textOf(el)));
+    if (colour) current = colour;
+    if (!current) continue;
+    for (const url of imageUrlsIn($, el)) hints.push({ url, colour: current, source: "section" });
+  }
+  const card = $("div.medium-24.large-5.columns").first();
+  const cardColour = card.length ? colourFromText(squash(textOf(card.get(0)))) : null;
+  const thumbnail = extractThumbnail($);
+  if (cardColour && thumbnail) hints.push({ url: thumbnail, colour: cardColour, source: "card" });
+  return hints;
+}
+
+// Description/specs container -> inner HTML without scripts or inline handlers, protocol-less images fixed;
+// null when the page has no such container. What gets published is decided later by src/sanitize.js.
+function cleanContent($page, selector) {
+  const el = $page(selector).first();
+  if (!el.length) return null;
+  const $ = cheerio.load(el.html() || "", null, false);
+  $("script, style").remove();
+  $("[onclick],[onmouseover],[onmouseout],[onchange]")
+    .removeAttr("onclick").removeAttr("onmouseover").removeAttr("onmouseout").removeAttr("onchange");
+  $("img").each((_, img) => {
+    $(img).attr("src", absUrl($(img).attr("src") || ""));
+  });
+  return $.html().trim();
+}
+
+// Inner HTML of a fragment's #id wrapper, or the whole fragment when it has none
+function innerOf(html, id) {
+  const $ = cheerio.load(String(html || ""), null, false);
+  const wrapper = $(`#${id}`);
+  return (wrapper.length ? wrapper.html() : $.html()).trim();
+}
+
+// ajax_productinfo.php JSON -> one page-like document, laid out like the live product page
+// (this is what the catalogue snapshot and the test fixtures hold)
+function productInfoToHtml(info) {
+  const listing = String((info && info.listing) || "");
+  if (!listing.trim()) throw new Error("Centrano product info has no listing");
+  const parts = [listing];
+  if (info.description) parts.push(`<div id="description_content">${innerOf(info.description, "description_content")}</div>`);
+  if (info.specs) parts.push(`<div id="spec_content">${innerOf(info.specs, "spec_content")}</div>`);
+  if (info.specs2) parts.push(`<div id="spec_content2">${innerOf(info.specs2, "spec_content2")}</div>`);
+  return `<html><body>\n${parts.join("\n")}\n</body></html>`;
+}
+
+// Category path above the product ("Acasă › Trotinete › Deck-uri"); the AJAX fragments have none
+function extractBreadcrumb($) {
+  const trail = $(".breadcrumb, .breadcrumbs, #breadcrumb, [itemtype*='BreadcrumbList']").first();
+  if (!trail.length) return "";
+  const links = trail.find("a, li").map((_, el) => squash($(el).text())).get().filter(Boolean);
+  return links.length ? Array.from(new Set(links)).join(" › ") : squash(textOf(trail.get(0)));
+}
+
+/**
+ * parseProductPage(html) -> collected product, from a full product page (Puppeteer) or productInfoToHtml()
+ *  { rawTitle, breadcrumb, fullText, thumbnail, colours, pagePrices, rows, sizes, rowColours, colourPrices, colourCodes,
+ *    description_html, specs_html, imageUrls, imageColours, sourceHtml }
+ * Rows are { color, size, dimensions, prices, ean, article, stock }; colourCodes holds { ean, article, stock } per colour for colour-only products
+ * (`stock` is the row's availability text and icon hints).
+ * Prices are unclassified € candidates; src/product.js turns this into the Shopify listing.
+ */
+function parseProductPage(html) {
+  const $ = cheerio.load(String(html || ""));
+  const parsed = extractRows($);
+  const specs = ["#spec_content", "#spec_content2"].map(sel => cleanContent($, sel)).filter(s => s != null);
+  const colourOnly = parsed.sizes.length ? { prices: {}, codes: {} } : extractColourPrices($);
+
+  return {
+    rawTitle: extractTitle($),
+    breadcrumb: extractBreadcrumb($),
+    fullText: squash(textOf($("body").get(0) || $.root().get(0))),
+    thumbnail: extractThumbnail($),
+    colours: extractColours($),
+    pagePrices: extractPagePrices($),
+    rows: parsed.rows,
+    sizes: parsed.sizes,
+    rowColours: parsed.colours,
+    colourPrices: colourOnly.prices,
+    colourCodes: colourOnly.codes,
+    description_html: cleanContent($, "#description_content"),
+    specs_html: specs.length ? specs.join("\n") : null,
+    imageUrls: extractImageUrls($),
+    imageColours: extractImageColours($),
+    sourceHtml: String(html)
+  };
+}
+
+const parseProductInfo = (info) => parseProductPage(productInfoToHtml(info));
+
+module.exports = { parseProductPage, parseProductInfo, productInfoToHtml, extractSizeValue, extractCodes, stockHint, textOf };
@@ -0,0 +1,24 @@
+// src/configFile.js
+// JSON config files re-read when they change on disk (mtime), so edits apply without a restart.
+const fs = require("fs");
+
+const cache = new Map();
+
+function readJson(file) {
+  const { mtimeMs } = fs.statSync(file);
+  const hit = cache.get(file);
+  if (hit && hit.mtimeMs === mtimeMs) return hit.data;
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  cache.set(file, { mtimeMs, data });
+  return data;
+}
+
+// Atomic write (tmp + rename) for config edited through the API; `text` defaults to pretty JSON
+function writeJson(file, data, text = JSON.stringify(data, null, 2) + "\n") {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, file);
+  cache.delete(file);
+}
+
+module.exports = { readJson, writeJson };
@@ -0,0 +1,83 @@
+// src/failures.js
+// Failed scrape runs, by run id: report.json (error code, input, status, step timings) plus page.html and
+// screenshot.png when the failing step could capture them. Only the newest `keep` runs are kept.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const newRunId = () => `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(3).toString("hex")}`;
+
+// status.<step> = "ok" and its time since the run started (status.started_at) in status.timings
+function markStep(status, step, value = "ok") {
+  status[step] = value;
+  status.timings = status.timings || [];
+  status.timings.push({ step, elapsed_ms: status.started_at ? Date.now() - Date.parse(status.started_at) : null });
+}
+
+const FILES = { html: "page.html", screenshot: "screenshot.png" };
+
+/**
+ * createFailureStore({ dir, keep })
+ *  record(runId, { error, input, status, artefacts: { url, html, screenshot } }) -> report
+ *  get(runId) -> report | null, file(runId, "html" | "screenshot") -> path | null, list({ limit }) -> newest first
+ */
+function createFailureStore({ dir, keep = 200 }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const validId = (id) => typeof id === "string" && /^[\w-]+$/.test(id);
+  const runDir = (id) => path.join(dir, id);
+  const reportFile = (id) => path.join(runDir(id), "report.json");
+
+  function record(runId, { error, input, status = {}, artefacts = {} }) {
+    fs.mkdirSync(runDir(runId), { recursive: true });
+    const files = [];
+    for (const [kind, name] of Object.entries(FILES)) {
+      if (!artefacts[kind]) continue;
+      fs.writeFileSync(path.join(runDir(runId), name), artefacts[kind]);
+      files.push(kind);
+    }
+    const report = {
+      id: runId,
+      failed_at: new Date().toISOString(),
+      code: error.code,
+      status_code: error.statusCode,
+      error: error.message,
+      input,
+      url: artefacts.url || null,
+      status,
+      timings: status.timings || [],
+      files,
+      stack: error.stack || null
+    };
+    fs.writeFileSync(reportFile(runId), JSON.stringify(report, null, 2));
+    prune();
+    return report;
+  }
+
+  // run ids start with their timestamp, so name order is age order
+  function prune() {
+    const runs = fs.readdirSync(dir).filter(validId).sort();
+    for (const id of runs.slice(0, Math.max(0, runs.length - keep))) fs.rmSync(runDir(id), { recursive: true, force: true });
+  }
+
+  function get(runId) {
+    if (!validId(runId) || !fs.existsSync(reportFile(runId))) return null;
+    return JSON.parse(fs.readFileSync(reportFile(runId), "utf8"));
+  }
+
+  function file(runId, kind) {
+    if (!validId(runId) || !FILES[kind]) return null;
+    const f = path.join(runDir(runId), FILES[kind]);
+    return fs.existsSync(f) ? f : null;
+  }
+
+  function list({ limit = 50 } = {}) {
+    return fs.readdirSync(dir).filter(validId).sort().reverse().slice(0, limit)
+      .map(get)
+      .filter(Boolean)
+      .map(({ id, failed_at, code, error, input, files }) => ({ id, failed_at, code, error, input, files }));
+  }
+
+  return { record, get, file, list };
+}
+
+module.exports = { createFailureStore, markStep, newRunId };
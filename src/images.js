@@ -0,0 +1,282 @@
+// src/images.js
+// Content-addressed storage for processed product images:
+//   <dir>/<productKey>/<sha256 of the processed bytes>.<ext>  + a per-product manifest.json
+// Same picture -> same file name, so concurrent scrapes never overwrite each other's images,
+// unchanged sources are not downloaded again (ETag / Last-Modified), and Shopify uploads can be
+// matched by file name. Each source is rendered once per processing profile
+// (config/image-profiles.json).
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const fetch = require("node-fetch");
+const sharp = require("sharp");
+const { readJson } = require("./configFile");
+
+const HASH_LENGTH = 32;   // hex chars of sha256 used in file names
+const FORMATS = { jpeg: "jpg", webp: "webp", png: "png" };
+const GRAVITIES = ["north", "northeast", "east", "southeast", "south", "southwest", "west", "northwest", "center", "centre"];
+
+const sha256 = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+
+// Hash embedded in one of our processed image URLs / Shopify CDN copies of them
+function hashFromUrl(url) {
+  const m = String(url || "").match(/(?:^|\/)([a-f0-9]{32})(?:_[^/.?]*)?\.(?:jpe?g|png|webp)(?:\?|$)/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+function parseColour(hex) {
+  const m = String(hex || "#ffffff").match(/^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+  if (!m) throw new Error(`image profile: invalid background colour ${hex}`);
+  return { r: parseInt(m[1], 16), g: parseInt(m[2], 16), b: parseInt(m[3], 16) };
+}
+
+function validateProfile(name, p) {
+  if (!(p.width > 0 && p.height > 0)) throw new Error(`image profile ${name}: width/height required`);
+  if (p.format && !FORMATS[p.format]) throw new Error(`image profile ${name}: format must be one of ${Object.keys(FORMATS).join(", ")}`);
+  if (p.padding != null && !(p.padding >= 0 && p.padding < 0.5)) throw new Error(`image profile ${name}: padding must be in [0, 0.5)`);
+  if (p.watermark) {
+    if (!p.watermark.file) throw new Error(`image profile ${name}: watermark.file required`);
+    if (p.watermark.gravity && !GRAVITIES.includes(p.watermark.gravity)) throw new Error(`image profile ${name}: unknown watermark gravity`);
+  }
+  parseColour(p.background);
+}
+
+/**
+ * renderProfile(buffer, profile, { configDir }) -> { data, info }
+ * trim existing borders -> fit inside the padded box -> pad to the canvas -> optional watermark -> encode
+ */
+async function renderProfile(buffer, profile, { configDir }) {
+  const background = parseColour(profile.background);
+  const pad = profile.padding || 0;
+  const padX = Math.round(profile.width * pad), padY = Math.round(profile.height * pad);
+
+  let input = buffer;
+  if (profile.trim) {
+    try {
+      input = await sharp(buffer).trim({ threshold: profile.trim.threshold ?? 10 }).toBuffer();
+    } catch {
+      input = buffer;   // nothing to trim (e.g. a uniform image)
+    }
+  }
+
+  let img = sharp(input)
+    .flatten({ background })
+    .resize(profile.width - 2 * padX, profile.height - 2 * padY, { fit: profile.fit || "contain", background });
+  if (padX || padY) img = img.extend({ top: padY, bottom: padY, left: padX, right: padX, background });
+
+  if (profile.watermark) {
+    const wm = profile.watermark;
+    const wmWidth = Math.max(1, Math.round(profile.width * (wm.scale || 0.2)));
+    const margin = Math.round(profile.width * (wm.margin || 0));
+    let mark = sharp(path.resolve(configDir, wm.file)).resize({ width: wmWidth }).ensureAlpha();
+    if (wm.opacity != null && wm.opacity < 1) {
+      // scale the logo's alpha channel by `opacity`
+      mark = mark.composite([{ input: Buffer.from([255, 255, 255, Math.round(255 * wm.opacity)]), raw: { width: 1, height: 1, channels: 4 }, tile: true, blend: "dest-in" }]);
+    }
+    let markBuf = await mark.png().toBuffer();
+    if (margin) markBuf = await sharp(markBuf).extend({ top: margin, bottom: margin, left: margin, right: margin, background: { r: 0, g: 0, b: 0, alpha: 0 } }).png().toBuffer();
+    // composite needs the resized canvas, so materialise it first
+    img = sharp(await img.toBuffer()).composite([{ input: markBuf, gravity: wm.gravity || "southeast" }]);
+  }
+
+  const format = profile.format || "jpeg";
+  if (format === "jpeg") img = img.jpeg({ quality: profile.quality || 90, chromaSubsampling: "4:4:4" });
+  if (format === "webp") img = img.webp({ quality: profile.quality || 85 });
+  if (format === "png") img = img.png();
+  return img.toBuffer({ resolveWithObject: true });
+}
+
+function writeAtomic(file, data) {
+  // the product folder may have been swept by cleanup() while its scrape was downloading
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * createImageStore({ dir, retentionDays, profilesPath })
+ *  profilesFor({ requested, productType }) -> profile names to render (first one is the main image)
+ *  processImage(url, { productKey, baseUrl, profiles }) ->
+ *    { source, source_hash, url, hash, reused, derivatives: [{ profile, url, hash, format, width, height, bytes, reused }] } | null
+ *  cleanup() -> { removedFiles, removedDirs }
+ */
+function createImageStore({ dir, retentionDays = 30, profilesPath }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const configDir = path.dirname(profilesPath);
+  const locks = new Map();   // productKey -> promise chain (manifest read/modify/write)
+
+  const productDir = (key) => path.join(dir, key);
+  const manifestFile = (key) => path.join(productDir(key), "manifest.json");
+
+  function loadProfiles() {
+    const config = readJson(profilesPath);
+    for (const [name, p] of Object.entries(config.profiles || {})) validateProfile(name, p);
+    return config;
+  }
+
+  // request > product type mapping > defaults
+  function profilesFor({ requested, productType } = {}) {
+    const config = loadProfiles();
+    const byType = Object.entries(config.productTypes || {})
+      .find(([type]) => productType && type.toLowerCase() === String(productType).toLowerCase());
+    const names = [].concat(requested || (byType && byType[1]) || config.defaultProfiles || ["main"]);
+    const unknown = names.filter(n => !config.profiles[n]);
+    if (unknown.length) {
+      const err = new Error(`Unknown image profile(s): ${unknown.join(", ")}`);
+      err.statusCode = 400;
+      throw err;
+    }
+    return names;
+  }
+
+  function readManifest(key) {
+    try {
+      return JSON.parse(fs.readFileSync(manifestFile(key), "utf8"));
+    } catch {
+      return { images: {} };
+    }
+  }
+
+  function withLock(key, fn) {
+    const prev = locks.get(key) || Promise.resolve();
+    const next = prev.then(fn, fn);
+    locks.set(key, next.catch(() => {}));
+    return next;
+  }
+
+  async function processImage(url, { productKey, baseUrl, profiles = ["main"] }) {
+    const key = String(productKey || "unsorted").replace(/[^\w-]/g, "_");
+    const config = loadProfiles();
+    try {
+      fs.mkdirSync(productDir(key), { recursive: true });
+      const known = readManifest(key).images[url];
+      const fileExists = (f) => f && fs.existsSync(path.join(productDir(key), f));
+
+      const headers = {};
+      if (known && known.etag) headers["If-None-Match"] = known.etag;
+      if (known && known.last_modified) headers["If-Modified-Since"] = known.last_modified;
+
+      const res = await fetch(url, { headers });
+      let buffer = null;
+      let sourceHash = known ? known.source_hash : null;
+      if (res.status !== 304) {
+        if (!res.ok) throw new Error(`Failed to fetch image: ${url}`);
+        buffer = await res.buffer();
+        sourceHash = sha256(buffer);
+      }
+      const sameSource = known && known.source_hash === sourceHash;
+
+      const derivatives = [];
+      for (const name of profiles) {
+        const profile = config.profiles[name];
+        const profileHash = sha256(JSON.stringify(profile)).slice(0, 12);
+        const prev = sameSource && known.derivatives && known.derivatives[name];
+        if (prev && prev.profile_hash === profileHash && fileExists(prev.file)) {
+          derivatives.push({ ...prev, profile: name, reused: true });
+          continue;
+        }
+        if (!buffer) {
+          // 304 but the derivative is missing / the profile changed: fetch the bytes after all
+          const full = await fetch(url);
+          if (!full.ok) throw new Error(`Failed to fetch image: ${url}`);
+          buffer = await full.buffer();
+          sourceHash = sha256(buffer);
+        }
+        try {
+          const { data, info } = await renderProfile(buffer, profile, { configDir });
+          const hash = sha256(data).slice(0, HASH_LENGTH);
+          const file = `${hash}.${FORMATS[profile.format || "jpeg"]}`;
+          if (!fileExists(file)) writeAtomic(path.join(productDir(key), file), data);
+          derivatives.push({
+            profile: name, file, hash, profile_hash: profileHash,
+            format: info.format, width: info.width, height: info.height, bytes: data.length, reused: false
+          });
+        } catch (err) {
+          console.error(`❌ Image profile ${name} failed for ${url}:`, err.message);
+          derivatives.push({ profile: name, error: err.message });
+        }
+      }
+
+      const etag = res.status === 304 ? known.etag : res.headers.get("etag");
+      const lastModified = res.status === 304 ? known.last_modified : res.headers.get("last-modified");
+      await withLock(key, () => {
+        const manifest = readManifest(key);
+        const entry = manifest.images[url] && manifest.images[url].source_hash === sourceHash
+          ? manifest.images[url]
+          : { derivatives: {} };
+        entry.source_hash = sourceHash;
+        entry.etag = etag || null;
+        entry.last_modified = lastModified || null;
+        entry.derivatives = entry.derivatives || {};
+        for (const d of derivatives) {
+          if (d.error) continue;
+          const { reused, profile, ...stored } = d;
+          entry.derivatives[profile] = stored;
+        }
+        entry.last_used_at = new Date().toISOString();
+        manifest.images[url] = entry;
+        writeAtomic(manifestFile(key), JSON.stringify(manifest, null, 2));
+      });
+
+      const publicUrl = (file) => `${baseUrl}/processed/${key}/${file}`;
+      const out = derivatives.map(({ file, profile_hash, ...d }) => (d.error ? d : { ...d, url: publicUrl(file) }));
+      const main = out[0];
+      if (!main || main.error) throw new Error(main ? main.error : "No image profile rendered");
+      return { source: url, source_hash: sourceHash, url: main.url, hash: main.hash, reused: main.reused, derivatives: out };
+    } catch (err) {
+      console.error("❌ Image processing failed:", err);
+      return null;
+    }
+  }
+
+  /**
+   * Retention: drop manifest entries (and their files) not used for `retentionDays`,
+   * old files no manifest points to, and legacy flat processed_<n>.jpg files.
+   */
+  async function cleanup() {
+    const cutoff = Date.now() - retentionDays * 86400000;
+    let removedFiles = 0, removedDirs = 0;
+
+    for (const name of fs.readdirSync(dir)) {
+      const full = path.join(dir, name);
+      const stat = fs.statSync(full);
+
+      if (stat.isFile()) {
+        if (stat.mtimeMs < cutoff) { fs.unlinkSync(full); removedFiles++; }
+        continue;
+      }
+
+      await withLock(name, () => {
+        const manifest = readManifest(name);
+        for (const [src, img] of Object.entries(manifest.images)) {
+          if (Date.parse(img.last_used_at || 0) < cutoff) delete manifest.images[src];
+        }
+        // entries written before profiles existed only carry `file`
+        const keep = new Set(Object.values(manifest.images)
+          .flatMap(img => [img.file, ...Object.values(img.derivatives || {}).map(d => d.file)]));
+        for (const f of fs.readdirSync(full)) {
+          if (f === "manifest.json" || keep.has(f)) continue;
+          const fp = path.join(full, f);
+          // young unreferenced files may belong to a scrape that is still running
+          if (fs.statSync(fp).mtimeMs < cutoff) { fs.unlinkSync(fp); removedFiles++; }
+        }
+        // an empty manifest is not enough: a running scrape writes its files before its manifest entry
+        const young = fs.readdirSync(full)
+          .some(f => f !== "manifest.json" && fs.statSync(path.join(full, f)).mtimeMs >= cutoff);
+        if (Object.keys(manifest.images).length) {
+          writeAtomic(manifestFile(name), JSON.stringify(manifest, null, 2));
+        } else if (!young) {
+          fs.rmSync(full, { recursive: true, force: true });
+          removedDirs++;
+        }
+      });
+    }
+    console.log(`🧹 Processed images cleanup: ${removedFiles} files, ${removedDirs} product folders removed`);
+    return { removedFiles, removedDirs };
+  }
+
+  return { processImage, profilesFor, cleanup };
+}
+
+module.exports = { createImageStore, renderProfile, hashFromUrl, HASH_LENGTH };
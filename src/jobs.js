@@ -0,0 +1,152 @@
+// src/jobs.js
+// In-memory batch job queue with a bounded worker pool shared by every job.
+const crypto = require("crypto");
+
+/**
+ * createJobQueue({ worker, concurrency, maxAttempts, retryDelayMs, ttlMs })
+ *  - worker(input, ctx) is called once per item attempt and must return the item result.
+ *  - Items of all jobs share one pool of `concurrency` slots (one Chromium per slot).
+ *  - A failed item is re-queued until it has used `maxAttempts` attempts; other items keep going.
+ */
+function createJobQueue({ worker, concurrency = 2, maxAttempts = 3, retryDelayMs = 2000, ttlMs = 24 * 60 * 60 * 1000 }) {
+  const jobs = new Map();
+  const pending = [];   // [{ job, item }]
+  let running = 0;
+
+  function pump() {
+    while (running < concurrency && pending.length) {
+      const { job, item } = pending.shift();
+      running++;
+      runItem(job, item).finally(() => {
+        running--;
+        pump();
+      });
+    }
+  }
+
+  async function runItem(job, item) {
+    item.state = "running";
+    item.attempts++;
+    item.startedAt = item.startedAt || new Date().toISOString();
+    refreshJobState(job);
+
+    try {
+      item.result = await worker(item.input, { jobId: job.id, index: item.index, attempt: item.attempts, meta: job.meta });
+      item.state = "done";
+      item.error = null;
+      item.errorDetails = null;
+    } catch (err) {
+      item.error = err.message;
+      item.errorDetails = err.details || null;
+      // errors marked retryable: false (no search results, no variants, …) fail at once
+      if (item.attempts < job.maxAttempts && err.retryable !== false) {
+        item.state = "retrying";
+        console.warn(`🔁 Job ${job.id} item ${item.index} failed (attempt ${item.attempts}/${job.maxAttempts}): ${err.message}`);
+        // back off outside the worker slot so other items keep the pool busy
+        setTimeout(() => {
+          item.state = "queued";
+          pending.push({ job, item });
+          pump();
+        }, retryDelayMs * item.attempts);
+      } else {
+        item.state = "failed";
+        console.error(`❌ Job ${job.id} item ${item.index} failed permanently: ${err.message}`);
+      }
+    }
+
+    if (item.state === "done" || item.state === "failed") item.finishedAt = new Date().toISOString();
+    refreshJobState(job);
+  }
+
+  function refreshJobState(job) {
+    const counts = countItems(job);
+    if (counts.done + counts.failed === job.items.length) {
+      job.state = counts.failed ? (counts.done ? "partial" : "failed") : "done";
+      job.finishedAt = job.finishedAt || new Date().toISOString();
+      job.resolveFinished();
+    } else {
+      job.state = counts.queued === job.items.length ? "queued" : "running";
+      job.finishedAt = null;
+    }
+  }
+
+  function countItems(job) {
+    const counts = { queued: 0, running: 0, retrying: 0, done: 0, failed: 0 };
+    for (const it of job.items) counts[it.state]++;
+    return counts;
+  }
+
+  function prune() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && now - Date.parse(job.finishedAt) > ttlMs) jobs.delete(id);
+    }
+  }
+
+  function submit(inputs, { meta = {}, maxAttempts: jobMaxAttempts } = {}) {
+    prune();
+    const job = {
+      id: crypto.randomUUID(),
+      state: "queued",
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      maxAttempts: jobMaxAttempts || maxAttempts,
+      meta,
+      items: inputs.map((input, index) => ({
+        index, input, state: "queued", attempts: 0, error: null, errorDetails: null, result: null, startedAt: null, finishedAt: null
+      }))
+    };
+    // `finished` resolves once every item is done or failed (the first time)
+    job.finished = new Promise(resolve => { job.resolveFinished = () => resolve(job); });
+    jobs.set(job.id, job);
+    for (const item of job.items) pending.push({ job, item });
+    pump();
+    return job;
+  }
+
+  // Re-queue the failed items of a job (fresh attempt budget), leaving finished ones untouched.
+  function retryFailed(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    const failed = job.items.filter(it => it.state === "failed");
+    for (const item of failed) {
+      item.state = "queued";
+      item.attempts = 0;
+      item.finishedAt = null;
+      pending.push({ job, item });
+    }
+    refreshJobState(job);
+    pump();
+    return failed.length;
+  }
+
+  // Public views (results are only included per item, to keep polling cheap)
+  function summary(job) {
+    return {
+      id: job.id,
+      state: job.state,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      total: job.items.length,
+      counts: countItems(job),
+      items: job.items.map(it => ({
+        index: it.index,
+        input: it.input,
+        state: it.state,
+        attempts: it.attempts,
+        error: it.error,
+        startedAt: it.startedAt,
+        finishedAt: it.finishedAt
+      }))
+    };
+  }
+
+  return {
+    submit,
+    retryFailed,
+    get: (id) => jobs.get(id) || null,
+    summary
+  };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,149 @@
+// src/priceRoles.js
+// Tells Centrano's prices apart by role instead of taking "the highest € on the page":
+//   cost -> our dealer price, rrp -> recommended retail price, sale -> discounted retail price.
+
+// Runs IN THE BROWSER (installed with page.evaluate): every € amount inside `el`, with the hints
+// needed to classify it. Must stay self-contained.
+function collectPriceCandidates(el) {
+  const clean = s => (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/\s+/g, " ").toLowerCase();
+  const isBlue = (n) => {
+    for (; n && n !== el.parentElement; n = n.parentElement) {
+      if (/color\s*:\s*#?0066cc/i.test(n.getAttribute("style") || "")) return true;
+    }
+    return false;
+  };
+  const out = [];
+  if (!el) return out;
+  let before = "";
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const text = node.textContent || "";
+    const parent = node.parentElement;
+    const struck = !!(parent && parent.closest("s, del, strike, [style*='line-through']"));
+    const blue = isBlue(parent);
+    for (const m of text.matchAll(/(\d{1,3}(?:[.,]\d{3})*|\d+)(?:[.,]\d+)?\s*€/g)) {
+      const eur = Number(m[0].replace(/[^\d.,]/g, "").replace(/\./g, "").replace(",", "."));
+      if (Number.isNaN(eur)) continue;
+      out.push({ eur, struck, blue, label: clean(before + " " + text.slice(0, m.index)).slice(-60) });
+    }
+    before += " " + text;
+  }
+  return out;
+}
+
+// Same as collectPriceCandidates, for server-side parsing: `el` is a cheerio/domhandler node
+function priceCandidatesFromNode(el) {
+  const clean = s => (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/\s+/g, " ").toLowerCase();
+  const style = (n) => (n.attribs && n.attribs.style) || "";
+  const hasAncestor = (n, test, stop) => {
+    for (; n && n !== stop; n = n.parent) if (n.type === "tag" && test(n)) return true;
+    return false;
+  };
+  const isStruck = (n) => ["s", "del", "strike"].includes(n.name) || /line-through/i.test(style(n));
+  const isBlue = (n) => /color\s*:\s*#?0066cc/i.test(style(n));
+
+  const out = [];
+  if (!el) return out;
+  let before = "";
+  const visit = (node) => {
+    if (node.type === "text") {
+      const text = node.data || "";
+      const struck = hasAncestor(node.parent, isStruck, null);
+      const blue = hasAncestor(node.parent, isBlue, el.parent);
+      for (const m of text.matchAll(/(\d{1,3}(?:[.,]\d{3})*|\d+)(?:[.,]\d+)?\s*€/g)) {
+        const eur = Number(m[0].replace(/[^\d.,]/g, "").replace(/\./g, "").replace(",", "."));
+        if (Number.isNaN(eur)) continue;
+        out.push({ eur, struck, blue, label: clean(before + " " + text.slice(0, m.index)).slice(-60) });
+      }
+      before += " " + text;
+    } else if (node.type === "tag") {
+      (node.children || []).forEach(visit);
+    }
+  };
+  visit(el);
+  return out;
+}
+
+// Labels Centrano (and its translations) put in front of prices; checked on diacritics-free lowercase text
+const LABELS = [
+  { role: "cost", re: /\b(pret(ul)?\s*(dealer|net|de\s*achizitie|partener|tau)|dealer|net|b2b|cost)\b/ },
+  { role: "sale", re: /\b(promo(tie)?|reducere|oferta|pret\s*redus|sale)\b/ },
+  { role: "rrp", re: /\b(pvp|pret\s*(recomandat|de\s*vanzare|de\s*lista)|recomandat|rrp|msrp|uvp)\b/ }
+];
+
+// A lone amount this close below a crossed-out RRP is a sale price; lower than that it is our cost
+const SALE_MIN_RATIO = 0.65;
+
+function labelRole(label) {
+  // only the text after the previous amount belongs to this one
+  const own = (label || "").split("€").pop();
+  for (const { role, re } of LABELS) if (re.test(own)) return role;
+  return null;
+}
+
+/**
+ * classifyPrices(candidates) -> { costEur, rrpEur, saleEur, evidence }
+ * Order of trust: explicit labels, then crossed-out (old retail) prices, then the blue
+ * retail price span, then position (highest unlabeled = RRP, lowest = dealer cost).
+ */
+function classifyPrices(candidates) {
+  const roles = { cost: null, rrp: null, sale: null };
+  const evidence = [];
+  const set = (role, c, reason) => {
+    if (roles[role] != null) return false;
+    roles[role] = c.eur;
+    evidence.push({ eur: c.eur, role, reason });
+    return true;
+  };
+
+  const seen = new Set();
+  const list = (candidates || []).filter(c => {
+    const k = `${c.eur}|${c.struck}`;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+
+  const unlabeled = [];
+  for (const c of list) {
+    const role = labelRole(c.label);
+    if (!(role && set(role, c, "label"))) unlabeled.push(c);
+  }
+
+  const struck = unlabeled.filter(c => c.struck).sort((a, b) => b.eur - a.eur);
+  let rest = unlabeled.filter(c => !c.struck).sort((a, b) => b.eur - a.eur);
+
+  if (struck.length) {
+    set("rrp", struck[0], "crossed_out");
+    const rrp = roles.rrp;
+    rest = rest.filter(c => c.eur < rrp);
+    if (rest.length >= 2) {
+      set("sale", rest[0], "below_crossed_out");
+      set("cost", rest[rest.length - 1], "lowest");
+    } else if (rest.length === 1) {
+      const c = rest[0];
+      if (roles.cost == null && c.eur < rrp * SALE_MIN_RATIO) set("cost", c, "far_below_crossed_out");
+      else set("sale", c, "below_crossed_out");
+    }
+  } else {
+    const blue = rest.filter(c => c.blue);
+    if (blue.length && set("rrp", blue[0], "blue_span")) rest = rest.filter(c => c !== blue[0]);
+    if (roles.rrp == null && rest.length) {
+      set("rrp", rest[0], "highest");
+      rest = rest.slice(1);
+    }
+    const lower = rest.filter(c => roles.rrp == null || c.eur < roles.rrp);
+    if (lower.length) set("cost", lower[lower.length - 1], "lowest");
+  }
+
+  // a "sale" that is not below the RRP is just the retail price
+  if (roles.sale != null && roles.rrp != null && roles.sale >= roles.rrp) roles.sale = null;
+
+  return { costEur: roles.cost, rrpEur: roles.rrp, saleEur: roles.sale, evidence };
+}
+
+// Merge the candidates of several rows (e.g. one colour section) into one classification
+const classifyMany = (lists) => classifyPrices([].concat(...lists));
+
+module.exports = { collectPriceCandidates, priceCandidatesFromNode, classifyPrices, classifyMany, labelRole };
@@ -0,0 +1,143 @@
+// src/pricing.js
+// Config-driven EUR -> RON pricing. Rules live in config/pricing.json, the exchange rate in
+// config/rates.json; both are re-read when the files change, so edits apply without a restart.
+const path = require("path");
+const { readJson } = require("./configFile");
+
+const ROUNDING = {
+  // round UP into `step`-sized buckets, then pick the ending
+  ".99": (value, step) => Math.ceil(value / step) * step - 0.01,
+  ".90": (value, step) => Math.ceil(value / step) * step - 0.10,
+  whole: (value, step) => Math.ceil(value / step) * step,
+  none: (value) => value
+};
+
+function validateRule(rule, where) {
+  if (rule.markup != null && !(Number(rule.markup) > 0)) throw new Error(`pricing: ${where}.markup must be > 0`);
+  if (rule.minMargin != null && !(Number(rule.minMargin) >= 0)) throw new Error(`pricing: ${where}.minMargin must be >= 0`);
+  if (rule.rounding != null && !ROUNDING[rule.rounding]) {
+    throw new Error(`pricing: ${where}.rounding must be one of ${Object.keys(ROUNDING).join(", ")}`);
+  }
+  if (rule.step != null && !(Number(rule.step) > 0)) throw new Error(`pricing: ${where}.step must be > 0`);
+}
+
+const lookup = (map, key) => {
+  if (!map || !key) return null;
+  const k = Object.keys(map).find(name => name.toLowerCase() === String(key).toLowerCase());
+  return k ? { name: k, rule: map[k] } : null;
+};
+
+/**
+ * createPricingEngine({ configPath })
+ * price({ eur, crossedEur, costEur, vendor, productType, source }) ->
+ *   { price, compare_at_price, cost, breakdown }   (amounts as "123.99" strings, null when unknown)
+ * `cost` is the dealer cost converted at the same rate, unrounded (Shopify inventory item cost).
+ */
+function createPricingEngine({ configPath }) {
+  const configDir = path.dirname(configPath);
+
+  function load() {
+    const config = readJson(configPath);
+    validateRule(config.default || {}, "default");
+    for (const [group, rules] of [["vendors", config.vendors], ["productTypes", config.productTypes]]) {
+      for (const [name, rule] of Object.entries(rules || {})) validateRule(rule, `${group}.${name}`);
+    }
+
+    const ratesFile = path.resolve(configDir, config.ratesFile || "rates.json");
+    const rates = readJson(ratesFile);
+    const currency = config.currency || "RON";
+    const rate = Number(rates.rates && rates.rates[currency]);
+    if (!(rate > 0)) throw new Error(`pricing: no ${currency} rate in ${ratesFile}`);
+    if ((rates.base || "EUR") !== (config.sourceCurrency || "EUR")) {
+      throw new Error(`pricing: rates file base ${rates.base} does not match ${config.sourceCurrency || "EUR"}`);
+    }
+
+    const warnings = [];
+    const updated = Date.parse(rates.updated_at);
+    if (isNaN(updated)) {
+      warnings.push("Exchange rate has no valid updated_at timestamp");
+    } else if (config.maxRateAgeDays && Date.now() - updated > config.maxRateAgeDays * 86400000) {
+      warnings.push(`Exchange rate is older than ${config.maxRateAgeDays} days (${rates.updated_at})`);
+    }
+
+    return { config, currency, rate, rateUpdatedAt: rates.updated_at || null, rateSource: rates.source || null, warnings };
+  }
+
+  // default <- vendor <- product type (later wins per field)
+  function ruleFor(config, vendor, productType) {
+    const applied = ["default"];
+    let rule = { markup: 1, minMargin: 0, rounding: ".99", step: 5, ...(config.default || {}) };
+    const v = lookup(config.vendors, vendor);
+    if (v) { rule = { ...rule, ...v.rule }; applied.push(`vendor:${v.name}`); }
+    const t = lookup(config.productTypes, productType);
+    if (t) { rule = { ...rule, ...t.rule }; applied.push(`product_type:${t.name}`); }
+    return { rule, applied };
+  }
+
+  const round = (value, rule) => Number(ROUNDING[rule.rounding](value, Number(rule.step)).toFixed(2));
+
+  function price({ eur, crossedEur = null, costEur = null, vendor = null, productType = null, source = null }) {
+    const { config, currency, rate, rateUpdatedAt } = load();
+    const { rule, applied } = ruleFor(config, vendor, productType);
+
+    const costRon = costEur != null && !isNaN(Number(costEur)) ? Number(costEur) * rate : null;
+    const cost = costRon != null ? costRon.toFixed(2) : null;
+
+    if (eur == null || isNaN(Number(eur))) {
+      return { price: null, compare_at_price: null, cost, breakdown: { source, source_eur: null, cost_eur: costEur ?? null, note: "no retail price found" } };
+    }
+
+    const converted = Number(eur) * rate;
+    let target = converted * Number(rule.markup);
+    let floor = null;
+    if (costRon != null && Number(rule.minMargin) > 0) {
+      floor = costRon * (1 + Number(rule.minMargin));
+      if (target < floor) target = floor;
+    }
+    let final = round(target, rule);
+    // ".99" / ".90" end just under their bucket, which can be under the floor: go up a step until the margin holds
+    while (floor != null && final < floor) final = round(final + Number(rule.step), rule);
+
+    let compareAt = null;
+    if (crossedEur != null && config.compareAt?.fromCrossedOut !== false) {
+      const c = round(Number(crossedEur) * rate * Number(rule.markup), rule);
+      if (c > final) compareAt = c;
+    }
+
+    return {
+      price: final.toFixed(2),
+      compare_at_price: compareAt != null ? compareAt.toFixed(2) : null,
+      cost,
+      breakdown: {
+        source,
+        source_eur: Number(eur),
+        rate,
+        rate_updated_at: rateUpdatedAt,
+        converted: Number(converted.toFixed(2)),
+        rules: applied,
+        markup: Number(rule.markup),
+        min_margin: Number(rule.minMargin),
+        cost_eur: costEur != null ? Number(costEur) : null,
+        cost,
+        // over cost, like minMargin
+        margin: costRon ? Number(((final - costRon) / costRon).toFixed(4)) : null,
+        margin_floor: floor != null ? Number(floor.toFixed(2)) : null,
+        before_rounding: Number(target.toFixed(2)),
+        rounding: `${rule.rounding} (step ${rule.step} ${currency})`,
+        crossed_out_eur: crossedEur != null ? Number(crossedEur) : null,
+        price: final.toFixed(2),
+        compare_at_price: compareAt != null ? compareAt.toFixed(2) : null
+      }
+    };
+  }
+
+  // Rate + staleness, for the response's top-level pricing summary
+  function summary() {
+    const { currency, rate, rateUpdatedAt, rateSource, warnings } = load();
+    return { currency, rate, rate_updated_at: rateUpdatedAt, rate_source: rateSource, warnings };
+  }
+
+  return { price, summary };
+}
+
+module.exports = { createPricingEngine, ROUNDING };
@@ -0,0 +1,248 @@
+// src/product.js
+// Collected Centrano product (either backend, see src/centranoParse.js) -> Shopify listing:
+// vendor/type, title, options, priced variants and the ordered source images.
+// Pure apart from the pricing, taxonomy and title config, so it runs against saved fixtures (test/).
+const { classifyPrices } = require("./priceRoles");
+const { isSCS, titleFields, stripDiacritics } = require("./titles");
+const { specsTable } = require("./specs");
+const { validGtin } = require("./sku");
+const { sizeAxes } = require("./sizes");
+
+function cleanTitle(s) {
+  return (s || "").replace(/\s+/g, " ").replace(/\bzoom[_-]?in\b/gi, "").replace(/\s*\(Culoare:[^)]+?\)\s*$/i, "").trim();
+}
+
+const htmlText = (html) => (html || "").replace(/<[^>]+>/g, " ").replace(/&nbsp;/g, " ");
+
+// Put the best-quality copy of the thumbnail first (Centrano paths carry the size: /<px>/<file>)
+function orderImages(imageUrls, thumbnail) {
+  const urls = imageUrls.slice();
+  if (!thumbnail) return urls;
+  const fileName = thumbnail.substring(thumbnail.lastIndexOf("/"));
+  const regex = new RegExp(`${fileName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`);
+  let bestThumb = thumbnail, bestNum = 0;
+  for (const url of urls.filter(u => regex.test(u))) {
+    const m = url.match(/\/(\d+)\//);
+    if (m) { const n = parseInt(m[1], 10); if (n > bestNum) { bestNum = n; bestThumb = url; } }
+  }
+  return [bestThumb, ...urls.filter(u => u !== bestThumb)];
+}
+
+const fileName = (url) => url.substring(url.lastIndexOf("/") + 1);
+const fold = (s) => stripDiacritics(s).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// How many of the file name's words name this colour: its own words ("black-red"), or a run of words with the
+// same colour dictionary code ("tilt-formula-black.jpg" for "Negru")
+function colourMatch(tokens, colour, colourCode) {
+  const words = fold(colour);
+  if (words.length && words.every(w => tokens.includes(w))) return words.length;
+  const code = colourCode(colour);
+  if (!code) return 0;
+  const codes = tokens.map(t => colourCode(t));
+  for (let len = 3; len >= 1; len--) {
+    for (let i = 0; i + len <= codes.length; i++) {
+      const run = codes.slice(i, i + len);
+      if (run.every(Boolean) && run.join("") === code) return len;
+    }
+  }
+  return 0;
+}
+
+/**
+ * imageColours(imageSources, colours, hints, colourCode) -> colour or null per image
+ * A picture in the page's colour section wins, then the file name, then the card thumbnail's colour.
+ */
+function imageColours(imageSources, colours, hints = [], colourCode = () => null) {
+  const hinted = (source) => new Map(hints.filter(h => h.source === source).map(h => [fileName(h.url), h.colour]));
+  const section = hinted("section");
+  const card = hinted("card");
+  return imageSources.map(url => {
+    const name = fileName(url);
+    if (section.has(name)) return section.get(name);
+    const tokens = fold(name.replace(/\.\w+$/, ""));
+    let best = null, bestLength = 0;
+    for (const colour of colours) {
+      const length = colourMatch(tokens, colour, colourCode);
+      if (length > bestLength) { best = colour; bestLength = length; }
+    }
+    return best || card.get(name) || null;
+  });
+}
+
+/**
+ * buildListing(collected, { searchTerm, productsId }, { pricing, taxonomy, titles, specs, sanitizer, skus, stock }) ->
+ *   { products_id, search_term, title, source_title, title_fields, vendor, tag, product_type, collections, detection, needs_review,
+ *     review_reasons, colours, sizes, options, variants, description_html, specs_html, specs, embeddedImages, imageSources, imageColours }
+ * `detection` scores vendor/type candidates by where they were found (src/taxonomy.js); a low-confidence
+ * result sets `needs_review`, which holds it back from publishing.
+ * `specs` are the parsed spec fields (src/specs.js); `specs_html` becomes a clean table built from them.
+ * Both HTML blocks go through the sanitiser (src/sanitize.js); `embeddedImages` are the images they still show.
+ * Variants carry the row's EAN as `barcode`, its supplier `article_code` and a generated `sku` (src/sku.js), and
+ * `availability` / `inventory_policy` / `stock_quantity` from the row's stock indicator (src/stock.js).
+ * Options are the colour and up to two size dimensions (option2 / option3, see src/sizes.js); `sizes` are the first one's values.
+ * `imageColours` gives the colour of each of `imageSources` (or null); each variant's `image_src` is its colour's first image.
+ */
+function buildListing(collected, { searchTerm, productsId } = {}, { pricing, taxonomy, titles, specs: specParser, sanitizer, skus, stock }) {
+  const { thumbnail, colours, description_html, specs_html } = collected;
+  const rows = collected.rows.map(r => ({ ...r, ...classifyPrices(r.prices) }));
+
+  const productTitle = cleanTitle(collected.rawTitle);
+  const detection = taxonomy.detect({
+    title: productTitle,
+    breadcrumb: collected.breadcrumb,
+    search: searchTerm,
+    specs: htmlText(specs_html),
+    description: htmlText(description_html),
+    body: collected.fullText
+  });
+  const vendor = detection.vendor.value;
+  let productType = detection.product_type.value || "";
+  const pagePrices = classifyPrices(collected.pagePrices);
+
+  // Complete scooters are recognised by their specs: bar height and deck length (their title template says "Trotineta")
+  const specs = specParser.parse(specs_html);
+  const { bar_height: barHeight, deck_length: deckLength } = specs.fields;
+  if (barHeight && deckLength) {
+    productType = "Complete";
+    detection.product_type = {
+      value: "Complete",
+      confidence: 1,
+      candidates: [{ name: "Complete", score: null, evidence: [{ source: "specs", term: `${barHeight.label} + ${deckLength.label}` }] },
+        ...detection.product_type.candidates.filter(c => c.name !== "Complete")].slice(0, 3)
+    };
+  }
+  const reviewReasons = taxonomy.reviewReasons(detection);
+  // A Clamp with "SCS" in Centrano's title shows "SCS" instead of Clamp
+  const titleType = productType === "Clamp" && isSCS(productTitle) ? "SCS" : productType;
+
+  /* Pricing (config/pricing.json + config/rates.json, see src/pricing.js) */
+  // Sell at the sale price when there is one (RRP becomes compare-at), else at the RRP
+  const hasRetail = (roles) => roles && (roles.rrpEur != null || roles.saleEur != null);
+  const priceVariant = (roles, source) => {
+    const { price, compare_at_price, cost, breakdown } = pricing.price({
+      eur: roles.saleEur ?? roles.rrpEur,
+      crossedEur: roles.saleEur != null ? roles.rrpEur : null,
+      costEur: roles.costEur,
+      vendor, productType, source
+    });
+    return {
+      cost_eur: roles.costEur, rrp_eur: roles.rrpEur, sale_eur: roles.saleEur,
+      price, compare_at_price, cost,
+      price_breakdown: { ...breakdown, roles: roles.evidence }
+    };
+  };
+
+  /* Options + variants */
+  const allColours = collected.rowColours && collected.rowColours.length ? collected.rowColours
+    : (colours && colours.length ? colours : []);
+
+  let options, variants = [], sizes = [];
+  if (collected.sizes.length > 0) {
+    // Colour plus up to two size options, one per dimension that varies (src/sizes.js)
+    const dimensionsOf = (r) => r.dimensions || { size: r.size };
+    const { axes, valuesOf } = sizeAxes(rows.filter(r => r.size).map(dimensionsOf), { max: 2 });
+    sizes = axes[0].values;
+    options = [{ name: "Colour", values: allColours }, ...axes.map(a => ({ name: a.name, values: a.values }))];
+    const seen = new Set();
+    for (const r of rows) {
+      if (!r.size) continue;
+      const colorVal = r.color || (allColours[0] || "Default");
+      const values = valuesOf(dimensionsOf(r));
+      const key = [colorVal, ...values].join("|||");
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      // the row's own prices, else the product card's
+      const priced = hasRetail(r) ? priceVariant(r, "row") : priceVariant(pagePrices, "product");
+      variants.push({
+        option1: colorVal,
+        option2: values[0],
+        ...(values[1] != null ? { option3: values[1] } : {}),
+        barcode: r.ean || null,
+        article_code: r.article || null,
+        ...priced,
+        ...stock.map(r.stock),
+        taxable: false,
+        inventory_management: "shopify"
+      });
+    }
+    // Colours in page order, then sizes in natural order
+    const rank = (v) => [allColours.indexOf(v.option1), ...axes.map((a, i) => a.values.indexOf(v[`option${i + 2}`]))];
+    variants.sort((a, b) => {
+      const ra = rank(a), rb = rank(b);
+      return ra.map((x, i) => x - rb[i]).find(Boolean) || 0;
+    });
+  } else {
+    // No sizes -> colour-only variants, priced per colour from the candidates under each colour header
+    const colourCandidates = { ...collected.colourPrices };
+    for (const r of collected.rows) {
+      if (r.color) colourCandidates[r.color] = (colourCandidates[r.color] || []).concat(r.prices || []);
+    }
+    const colourPriceMap = {};
+    for (const [colour, list] of Object.entries(colourCandidates)) colourPriceMap[colour] = classifyPrices(list);
+
+    const colourValues = allColours.length ? allColours : ["Default"];
+    options = [{ name: "Colour", values: colourValues }];
+    const colourCodes = collected.colourCodes || {};
+    variants = colourValues.map(color => ({
+      option1: color,
+      barcode: colourCodes[color]?.ean || null,
+      article_code: colourCodes[color]?.article || null,
+      ...(hasRetail(colourPriceMap[color]) ? priceVariant(colourPriceMap[color], "colour") : priceVariant(pagePrices, "product")),
+      ...stock.map(colourCodes[color]?.stock),
+      taxable: false,
+      inventory_management: "shopify"
+    }));
+  }
+
+  /* Published HTML (config/sanitize.json, see src/sanitize.js) */
+  const description = sanitizer.clean(description_html);
+  const specsBlock = sanitizer.clean(specsTable(specs) || specs_html);
+
+  /* Title (config/titles.json, see src/titles.js) */
+  const titleData = titleFields({
+    type: titleType, productType, vendor, searchTerm, sourceTitle: productTitle, colours: allColours, sizes
+  });
+
+  /* Images per colour, so Shopify switches the picture when a colour is picked */
+  const imageSources = orderImages(collected.imageUrls, thumbnail);
+  const colourOfImage = imageColours(imageSources, allColours, collected.imageColours, skus.colourCode);
+  for (const v of variants) {
+    const i = colourOfImage.indexOf(v.option1);
+    v.image_src = i === -1 ? null : imageSources[i];
+  }
+
+  /* SKUs (config/sku.json); a barcode that fails its check digit is sent anyway but flagged for review */
+  skus.forVariants({ vendor, model: titleData.model, products_id: productsId || collected.listProductsId }, variants)
+    .forEach((sku, i) => { variants[i].sku = sku; });
+  for (const v of variants) {
+    if (v.barcode && !validGtin(v.barcode)) reviewReasons.push(`EAN ${v.barcode} (${[v.option1, v.option2, v.option3].filter(Boolean).join(" / ")}) fails its check digit`);
+  }
+
+  return {
+    products_id: productsId ? String(productsId) : (collected.listProductsId || null),
+    search_term: searchTerm || null,
+    title: titles.render(titleData),
+    source_title: productTitle,
+    title_fields: titleData,
+    vendor: vendor || undefined,
+    tag: vendor || undefined,
+    product_type: productType || "",
+    collections: taxonomy.collectionsFor({ vendor, productType }),
+    detection,
+    needs_review: reviewReasons.length > 0,
+    review_reasons: reviewReasons,
+    colours: allColours,
+    sizes,
+    options,
+    variants,
+    description_html: description.html,
+    specs_html: specsBlock.html,
+    specs,
+    embeddedImages: Array.from(new Set([...description.images, ...specsBlock.images])),
+    imageSources,
+    imageColours: colourOfImage
+  };
+}
+
+module.exports = { buildListing, orderImages, imageColours, cleanTitle };
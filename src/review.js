@@ -0,0 +1,207 @@
+// src/review.js
+// Review queue: products waiting for a person to check them before they reach Shopify.
+// One JSON draft per product under DATA_DIR/review/, keyed like the catalogue (src/catalog.js).
+// Operator edits are stored apart from the scraped product, so a re-scrape keeps them.
+const fs = require("fs");
+const path = require("path");
+const { catalogId } = require("./catalog");
+const { variantKey } = require("./shopify");
+
+const STATES = ["pending", "approved", "rejected", "published"];
+
+class ReviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ReviewError";
+    this.statusCode = statusCode;
+  }
+}
+
+const price = (v, what, { optional = false } = {}) => {
+  if (v === null || v === "") {
+    if (optional) return null;
+    throw new ReviewError(`${what} is required`);
+  }
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) throw new ReviewError(`${what} must be a price >= 0`);
+  return n.toFixed(2);
+};
+
+// Scraped product + operator edits -> the product that will be published
+function applyEdits(product, edits = {}) {
+  const out = { ...product };
+  for (const field of ["title", "vendor", "product_type"]) {
+    if (edits[field] != null) out[field] = edits[field];
+  }
+  if (edits.vendor != null) out.tag = edits.vendor;
+
+  if (edits.variants) {
+    out.variants = (product.variants || []).map(v => {
+      const e = edits.variants[variantKey(v)];
+      return e ? { ...v, ...e } : v;
+    });
+  }
+  // image_order lists image URLs; images it does not mention keep their place after those
+  if (edits.image_order) {
+    const rank = (url) => {
+      const i = edits.image_order.indexOf(url);
+      return i === -1 ? edits.image_order.length : i;
+    };
+    const urls = (product.imageUrls || []).slice();
+    out.imageUrls = urls.sort((a, b) => rank(a) - rank(b));
+    if (Array.isArray(product.images)) out.images = product.images.slice().sort((a, b) => rank(a.url) - rank(b.url));
+  }
+  return out;
+}
+
+/**
+ * createReviewQueue({ dir, seo })
+ *  submit(product, { reasons }) -> draft (pending; a re-submitted product keeps its edits)
+ *  edit(id, { title, vendor, product_type, variants: [{ key | option1.., price, compare_at_price }], image_order })
+ *  approve(id, { note }) / reject(id, { note }) / markPublished(id, shopifyResult) / markFailed(id, err)
+ *  list({ state }) / get(id)
+ */
+function createReviewQueue({ dir, seo = null }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const drafts = new Map();
+  const draftFile = (id) => path.join(dir, `${id}.json`);
+
+  for (const entry of fs.readdirSync(dir)) {
+    if (!entry.endsWith(".json")) continue;
+    try {
+      const draft = JSON.parse(fs.readFileSync(path.join(dir, entry), "utf8"));
+      drafts.set(draft.id, draft);
+    } catch (err) {
+      console.error(`❌ Skipping unreadable review draft ${entry}:`, err.message);
+    }
+  }
+
+  function save(draft) {
+    draft.updated_at = new Date().toISOString();
+    draft.product = applyEdits(draft.scraped, draft.edits);
+    // an edited title / vendor / type changes the handle, meta fields and alt texts (src/seo.js)
+    const { title, vendor, product_type } = draft.edits;
+    if (seo && draft.scraped.seo && (title != null || vendor != null || product_type != null)) {
+      draft.product.seo = seo.refresh(draft.product);
+    }
+    const tmp = `${draftFile(draft.id)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(draft, null, 2));
+    fs.renameSync(tmp, draftFile(draft.id));
+    drafts.set(draft.id, draft);
+    return draft;
+  }
+
+  function find(id) {
+    const draft = drafts.get(String(id));
+    if (!draft) throw new ReviewError("Draft not found", 404);
+    return draft;
+  }
+
+  function submit(product, { reasons = [] } = {}) {
+    const id = product.catalog_id || catalogId(product);
+    if (!id) throw new ReviewError("Product has neither products_id nor search_term");
+    const previous = drafts.get(id);
+    const { status, ...scraped } = product;
+    return save({
+      id,
+      state: "pending",
+      reasons,
+      scraped: { ...scraped, catalog_id: id },
+      edits: previous?.edits || {},
+      note: null,
+      error: null,
+      shopify: previous?.shopify || null,
+      submitted_at: new Date().toISOString(),
+      decided_at: null
+    });
+  }
+
+  function edit(id, changes = {}) {
+    const draft = find(id);
+    if (draft.state !== "pending") throw new ReviewError(`Draft is ${draft.state}, only pending drafts can be edited`, 409);
+    const edits = { ...draft.edits };
+
+    for (const field of ["title", "vendor", "product_type"]) {
+      if (changes[field] === undefined) continue;
+      const value = String(changes[field] ?? "").trim();
+      if (field === "title" && !value) throw new ReviewError("title cannot be empty");
+      edits[field] = value;
+    }
+    if (changes.variants) {
+      if (!Array.isArray(changes.variants)) throw new ReviewError("variants must be an array");
+      const known = new Set((draft.scraped.variants || []).map(variantKey));
+      edits.variants = { ...(edits.variants || {}) };
+      for (const v of changes.variants) {
+        const key = v.key != null ? String(v.key).trim().toLowerCase() : variantKey(v);
+        if (!known.has(key)) throw new ReviewError(`Unknown variant ${key}`);
+        const e = { ...(edits.variants[key] || {}) };
+        if (v.price !== undefined) e.price = price(v.price, `${key}: price`);
+        if (v.compare_at_price !== undefined) e.compare_at_price = price(v.compare_at_price, `${key}: compare_at_price`, { optional: true });
+        edits.variants[key] = e;
+      }
+    }
+    if (changes.image_order) {
+      if (!Array.isArray(changes.image_order)) throw new ReviewError("image_order must be an array of image URLs");
+      const known = new Set(draft.scraped.imageUrls || []);
+      const unknown = changes.image_order.filter(u => !known.has(u));
+      if (unknown.length) throw new ReviewError(`Unknown image ${unknown[0]}`);
+      edits.image_order = changes.image_order;
+    }
+    draft.edits = edits;
+    return save(draft);
+  }
+
+  function decide(id, state, { note = null } = {}) {
+    const draft = find(id);
+    if (draft.state !== "pending" && !(state === "approved" && draft.state === "approved")) {
+      throw new ReviewError(`Draft is already ${draft.state}`, 409);
+    }
+    draft.state = state;
+    draft.note = note;
+    draft.decided_at = new Date().toISOString();
+    return save(draft);
+  }
+
+  const approve = (id, opts) => decide(id, "approved", opts);
+  const reject = (id, opts) => decide(id, "rejected", opts);
+
+  function markPublished(id, shopify) {
+    const draft = find(id);
+    draft.state = "published";
+    draft.error = null;
+    draft.shopify = { product_id: shopify.product_id, handle: shopify.handle || null, status: shopify.status, published_at: new Date().toISOString() };
+    return save(draft);
+  }
+
+  // Approved but not on Shopify yet: approving again retries the publish
+  function markFailed(id, err) {
+    const draft = find(id);
+    draft.error = err.message;
+    return save(draft);
+  }
+
+  const summary = (d) => ({
+    id: d.id,
+    state: d.state,
+    title: d.product.title,
+    vendor: d.product.vendor || null,
+    product_type: d.product.product_type || null,
+    reasons: d.reasons,
+    edited: Object.keys(d.edits).length > 0,
+    error: d.error,
+    submitted_at: d.submitted_at,
+    decided_at: d.decided_at
+  });
+
+  function list({ state } = {}) {
+    if (state && !STATES.includes(state)) throw new ReviewError(`state must be one of ${STATES.join(", ")}`);
+    const items = Array.from(drafts.values())
+      .filter(d => !state || d.state === state)
+      .sort((a, b) => (b.submitted_at || "").localeCompare(a.submitted_at || ""));
+    return { total: items.length, items: items.map(summary) };
+  }
+
+  return { submit, edit, approve, reject, markPublished, markFailed, list, get: find };
+}
+
+module.exports = { createReviewQueue, applyEdits, ReviewError };
@@ -0,0 +1,133 @@
+// src/sanitize.js
+// Description / specs HTML -> the markup we publish, by the rules in config/sanitize.json (re-read when it changes):
+// dropped elements, supplier notes and phrases removed, a tag / attribute whitelist, renamed tags,
+// and embedded images listed so index.js can swap them for our processed copies (rewriteImages).
+const cheerio = require("cheerio");
+const { readJson } = require("./configFile");
+
+const BLOCKS = ["p", "li", "div", "h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "td", "th"];
+// blocks a supplier note can be; table cells are left alone so a table keeps its shape
+const NOTE_BLOCKS = BLOCKS.filter(b => b !== "td" && b !== "th");
+
+// "Trotinetă Freestyle" (literal, case-insensitive) or "/dealer.*$/i"
+function toRegExp(rule) {
+  const m = String(rule).match(/^\/(.+)\/([a-z]*)$/);
+  if (m) return new RegExp(m[1], m[2].includes("g") ? m[2] : `${m[2]}g`);
+  return new RegExp(String(rule).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gi");
+}
+
+const matches = (re, text) => {
+  re.lastIndex = 0;
+  return re.test(text);
+};
+
+const safeUrl = (u, { images = false } = {}) => {
+  const url = String(u || "").trim().replace(/^\/\//, "https://");
+  if (/^https?:\/\//i.test(url)) return url;
+  return !images && /^mailto:/i.test(url) ? url : null;
+};
+
+/**
+ * sanitizeHtml(html, config) -> { html, images: [src] }
+ * `config`: { drop, allowedTags, allowedAttributes, renameTags, removeElements, removePhrases, images: "rewrite"|"keep"|"remove" }
+ */
+function sanitizeHtml(html, config = {}) {
+  if (html == null || html === "") return { html, images: [] };
+  const $ = cheerio.load(String(html), null, false);
+  const allowed = new Set(config.allowedTags || []);
+  const attributes = config.allowedAttributes || {};
+  const removeElements = (config.removeElements || []).map(toRegExp);
+  const removePhrases = (config.removePhrases || []).map(toRegExp);
+
+  $((config.drop || ["script", "style"]).join(", ")).remove();
+  $("*").contents().filter((_, n) => n.type === "comment").remove();
+
+  // Supplier notes: the innermost block whose text matches goes, with its content
+  for (const el of $(NOTE_BLOCKS.join(", ")).toArray().reverse()) {
+    if ($(el).find(BLOCKS.join(", ")).length) continue;
+    const text = $(el).text().replace(/\s+/g, " ").trim();
+    if (removeElements.some(re => matches(re, text))) $(el).remove();
+  }
+
+  // Supplier phrases, from the text only (markup around them stays)
+  const walk = (node) => {
+    for (const child of node.children || []) {
+      if (child.type === "text") {
+        for (const re of removePhrases) child.data = child.data.replace(re, "");
+      } else walk(child);
+    }
+  };
+  for (const root of $.root().toArray()) walk(root);
+
+  // Tags: rename, then unwrap what the whitelist does not allow (innermost first)
+  for (const el of $("*").toArray().reverse()) {
+    let tag = el.name;
+    const renamed = (config.renameTags || {})[tag];
+    // a <div> holding other blocks is unwrapped rather than turned into a <p>
+    if (renamed && !(tag === "div" && $(el).find(BLOCKS.join(", ")).length)) {
+      el.name = renamed;
+      tag = renamed;
+    }
+    if (!allowed.has(tag)) {
+      $(el).replaceWith($(el).contents());
+      continue;
+    }
+    const keep = new Set([...(attributes[tag] || []), ...(attributes["*"] || [])]);
+    for (const name of Object.keys(el.attribs || {})) {
+      if (!keep.has(name)) $(el).removeAttr(name);
+    }
+    if (tag === "a") {
+      const href = safeUrl($(el).attr("href"));
+      if (href) $(el).attr("href", href);
+      else $(el).replaceWith($(el).contents());
+    }
+  }
+
+  // Embedded images: absolute https, or gone
+  const images = [];
+  $("img").each((_, img) => {
+    const src = safeUrl($(img).attr("src"), { images: true });
+    if (!src || config.images === "remove") return void $(img).remove();
+    $(img).attr("src", src);
+    images.push(src);
+  });
+
+  // Elements left empty by the removals
+  let empty;
+  do {
+    empty = $("*").toArray().filter(el => !["img", "br", "td", "th"].includes(el.name) &&
+      !$(el).find("img").length && !$(el).text().replace(/\u00a0/g, " ").trim());
+    $(empty).remove();
+  } while (empty.length);
+
+  const out = $.html()
+    .replace(/(?:\s*<br\s*\/?>)*\s*(<\/(?:p|li|h\d|td|th)>)/gi, "$1")
+    .replace(/(<(?:p|li|h\d|td|th)(?:\s[^>]*)?>)(?:\s*<br\s*\/?>)*\s*/gi, "$1")
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+  return { html: out, images: Array.from(new Set(images)) };
+}
+
+// Swaps embedded image URLs for our copies ({ source: processed }); images without a copy are removed
+function rewriteImages(html, urls) {
+  if (!html) return html;
+  const $ = cheerio.load(html, null, false);
+  $("img").each((_, img) => {
+    const src = urls[$(img).attr("src")];
+    if (src) $(img).attr("src", src);
+    else $(img).remove();
+  });
+  return $.html();
+}
+
+/**
+ * createSanitizer({ file }) -> { clean(html) -> { html, images }, rewritesImages() }
+ */
+function createSanitizer({ file }) {
+  return {
+    clean: (html) => sanitizeHtml(html, readJson(file)),
+    rewritesImages: () => (readJson(file).images || "rewrite") === "rewrite"
+  };
+}
+
+module.exports = { createSanitizer, sanitizeHtml, rewriteImages };
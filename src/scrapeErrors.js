@@ -0,0 +1,56 @@
+// src/scrapeErrors.js
+// Typed scrape failures: a stable `code`, the HTTP status the API answers with, and whether a batch retry can help.
+// Known failures are thrown as ScrapeError where they happen; anything else is classified by classifyError().
+const { SessionExpiredError } = require("./browserPool");
+
+const ERROR_CODES = {
+  login_failed: { status: 502, retryable: true },
+  no_results: { status: 404, retryable: false },
+  product_not_found: { status: 404, retryable: false },
+  product_popup_timeout: { status: 504, retryable: true },
+  page_timeout: { status: 504, retryable: true },
+  unexpected_markup: { status: 502, retryable: false },
+  no_variants: { status: 422, retryable: false },
+  image_download_failed: { status: 502, retryable: true },
+  centrano_unavailable: { status: 503, retryable: true },
+  internal: { status: 500, retryable: true }
+};
+
+class ScrapeError extends Error {
+  constructor(code, message, { cause } = {}) {
+    super(message);
+    this.name = "ScrapeError";
+    this.code = ERROR_CODES[code] ? code : "internal";
+    this.statusCode = ERROR_CODES[this.code].status;
+    this.retryable = ERROR_CODES[this.code].retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Messages thrown by puppeteer, node-fetch and src/centranoHttp.js
+const RULES = [
+  [/login failed|login form not found|CENTRANO_EMAIL|Session expired/i, "login_failed"],
+  [/^Product not found$/i, "no_results"],
+  [/Centrano product \d+ not found/i, "product_not_found"],
+  [/Failed to fetch image/i, "image_download_failed"],
+  [/unexpected ajax_productinfo response/i, "unexpected_markup"],
+  [/responded 5\d\d|too many redirects|ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|socket hang up|network timeout/i, "centrano_unavailable"]
+];
+
+/**
+ * classifyError(err) -> ScrapeError (the same error when it already is one)
+ * Keeps the original stack and any `artefacts` (page HTML / screenshot) the failing step attached.
+ */
+function classifyError(err) {
+  if (err instanceof ScrapeError) return err;
+  const message = (err && err.message) || String(err);
+  let code = err instanceof SessionExpiredError ? "login_failed" : null;
+  if (!code && err && err.name === "TimeoutError") code = /product_popup|large-5|zoom_popup/.test(message) ? "product_popup_timeout" : "page_timeout";
+  if (!code) code = (RULES.find(([re]) => re.test(message)) || [null, "internal"])[1];
+  const typed = new ScrapeError(code, message, { cause: err });
+  if (err && err.stack) typed.stack = err.stack;
+  if (err && err.artefacts) typed.artefacts = err.artefacts;
+  return typed;
+}
+
+module.exports = { ScrapeError, ERROR_CODES, classifyError };
@@ -0,0 +1,83 @@
+// src/search.js
+// Centrano search results: every product a term matches, with the stable products_id
+// taken from its open_product_box(<id>) handler (as the n8n workflow does).
+const cheerio = require("cheerio");
+const { classifyPrices, priceCandidatesFromNode } = require("./priceRoles");
+
+const CENTRANO_ORIGIN = "https://www.centrano.com";
+
+const searchUrl = (term) =>
+  `${CENTRANO_ORIGIN}/ajax_productlist.php?action=list_searchresult&keywords=${encodeURIComponent(term)}`;
+
+// Runs IN THE BROWSER: one entry per result tile under `root`. Needs window.__collectPriceCandidates
+// (src/priceRoles.js) to be installed first. Must stay self-contained.
+function collectSearchResults(root) {
+  const norm = (s) => (s || "").replace(/\s+/g, " ").trim();
+  const abs = (u) => (!u ? null : u.startsWith("//") ? `https:${u}` : new URL(u, "https://www.centrano.com/").href);
+  const seen = new Set();
+  const out = [];
+  for (const box of root.querySelectorAll("[onclick*='open_product_box']")) {
+    const m = (box.getAttribute("onclick") || "").match(/open_product_box\((\d+)/);
+    if (!m || seen.has(m[1])) continue;
+    seen.add(m[1]);
+    const tile = box.closest("div.column.column-block") || box;
+    const img = tile.querySelector("img");
+    const titleEl = tile.querySelector(".product-title, .title, h2, h3, h4, strong, b");
+    const title = norm(titleEl && titleEl.textContent) || norm(img && img.getAttribute("alt")) ||
+      norm(tile.textContent).replace(/\d[\d.,]*\s*€.*$/, "").trim();
+    out.push({
+      products_id: m[1],
+      title,
+      thumbnail: abs(img && (img.getAttribute("data-src") || img.getAttribute("src"))),
+      prices: window.__collectPriceCandidates(tile)
+    });
+  }
+  return out;
+}
+
+// Same as collectSearchResults, over the ajax_productlist.php HTML (HTTP backend)
+function parseSearchResults(html) {
+  const $ = cheerio.load(String(html || ""));
+  const norm = (s) => (s || "").replace(/\s+/g, " ").trim();
+  const abs = (u) => (!u ? null : u.startsWith("//") ? `https:${u}` : new URL(u, `${CENTRANO_ORIGIN}/`).href);
+  const seen = new Set();
+  const out = [];
+  $("[onclick*='open_product_box']").each((_, box) => {
+    const m = ($(box).attr("onclick") || "").match(/open_product_box\((\d+)/);
+    if (!m || seen.has(m[1])) return;
+    seen.add(m[1]);
+    const tile = $(box).closest("div.column.column-block").length ? $(box).closest("div.column.column-block") : $(box);
+    const img = tile.find("img").first();
+    const titleEl = tile.find(".product-title, .title, h2, h3, h4, strong, b").first();
+    const title = norm(titleEl.text()) || norm(img.attr("alt")) ||
+      norm(tile.text()).replace(/\d[\d.,]*\s*€.*$/, "").trim();
+    out.push({
+      products_id: m[1],
+      title,
+      thumbnail: abs(img.attr("data-src") || img.attr("src")),
+      prices: priceCandidatesFromNode(tile.get(0))
+    });
+  });
+  return out;
+}
+
+// "12345" / 12345 -> "12345"; anything else (a title, "12a") -> null
+const parseProductsId = (value) => (value != null && /^\d+$/.test(String(value).trim()) ? String(value).trim() : null);
+
+// Runs IN THE BROWSER: opens the product popup for a products_id the way clicking its result tile does,
+// so an exact id from /search loads that product without searching again. Must stay self-contained.
+function openProductBox(id) {
+  if (typeof window.open_product_box !== "function") return false;
+  window.open_product_box(id);
+  return true;
+}
+
+// Raw candidates (either backend) -> API shape, with the tile's prices classified by role
+function toSearchResults(raw) {
+  return raw.map(({ prices, ...c }) => {
+    const roles = classifyPrices(prices || []);
+    return { ...c, price: { cost_eur: roles.costEur, rrp_eur: roles.rrpEur, sale_eur: roles.saleEur } };
+  });
+}
+
+module.exports = { searchUrl, collectSearchResults, parseSearchResults, toSearchResults, parseProductsId, openProductBox, CENTRANO_ORIGIN };
@@ -0,0 +1,166 @@
+// src/seo.js
+// Romanian SEO fields for a listing: URL handle, meta title, meta description and image alt text.
+// Rule-based templates from config/seo.json (re-read when it changes), so it works offline;
+// an optional `generate(prompt)` hook (e.g. a local LLM, see llmFromEnv) may write the meta description.
+const fetch = require("node-fetch");
+const { readJson } = require("./configFile");
+
+const stripDiacritics = (s) => (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+// "Trotinetă Tilt Formula 4.5”" -> "trotineta-tilt-formula-4-5"
+function slugify(s) {
+  return stripDiacritics(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 200);
+}
+
+const ENTITIES = { "&nbsp;": " ", "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'" };
+
+function htmlToText(html) {
+  return (html || "")
+    .replace(/<(br|\/p|\/li|\/div|\/h\d)[^>]*>/gi, ". ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&[#\w]+;/g, e => ENTITIES[e] || " ")
+    .replace(/\s+/g, " ")
+    .replace(/\s*\.(\s*\.)+/g, ".")
+    .replace(/\s+([.,;:])/g, "$1")
+    .replace(/^[\s.]+/, "")
+    .trim();
+}
+
+// Cut at a word boundary; "…" marks a cut
+function clip(text, max) {
+  const t = (text || "").replace(/\s+/g, " ").trim();
+  if (!max || t.length <= max) return t;
+  const cut = t.slice(0, max - 1);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > max * 0.6 ? cut.slice(0, space) : cut).replace(/[\s,;:.-]+$/, "")}…`;
+}
+
+// "{title} | {store}" with empty fields and the separators next to them dropped
+function fill(template, fields) {
+  return String(template || "")
+    .replace(/\{(\w+)\}/g, (_, name) => (fields[name] == null ? "" : String(fields[name]).trim()))
+    .replace(/\s+/g, " ")
+    .replace(/\s*[|,-](?=\s*(?:[|,-]|$))/g, "")
+    .replace(/^\s*[|,-]\s*/, "")
+    .trim();
+}
+
+// Colour of one picture: the scrape's image_colours, else the variant linked to it, else the product's only colour
+function imageColour(listing, url) {
+  const tagged = (listing.image_colours || []).find(img => img.url === url);
+  if (tagged && tagged.colour) return tagged.colour;
+  const variant = (listing.variants || []).find(v => v.image_url === url && v.option1 && v.option1 !== "Default");
+  return variant ? variant.option1 : (listing.title_fields || {}).colour || "";
+}
+
+/**
+ * buildSeo(listing, config) -> { handle, meta_title, meta_description, image_alt: { url: alt }, source: "rules" }
+ * `listing` is a scrape result (title, vendor, product_type, title_fields, description_html, specs_html, imageUrls,
+ * image_colours, variants).
+ */
+function buildSeo(listing, config = {}) {
+  const tf = listing.title_fields || {};
+  const fields = {
+    title: listing.title,
+    vendor: listing.vendor || "",
+    type: tf.type || listing.product_type || "",
+    model: tf.model || "",
+    colour: tf.colour || "",
+    store: config.store || "",
+    description: htmlToText(listing.description_html),
+    specs: htmlToText(listing.specs_html)
+  };
+  const mt = config.metaTitle || {};
+  const md = config.metaDescription || {};
+  const alt = config.alt || {};
+
+  // the description template, or the fallback when the page has (almost) no description
+  let description = fill(md.template || "{description} {specs}", fields);
+  if (description.length < (md.minLength ?? 50)) description = fill(md.fallback || "{title} de la {vendor}. {specs}", fields);
+
+  const altTemplate = alt.template || "{title} - {colour}";
+  const image_alt = {};
+  (listing.imageUrls || []).forEach((url, i) => {
+    image_alt[url] = clip(fill(altTemplate, { ...fields, colour: imageColour(listing, url), n: i + 1 }), alt.maxLength || 125);
+  });
+
+  return {
+    handle: slugify(listing.title),
+    meta_title: clip(fill(mt.template || "{title}", fields), mt.maxLength || 70),
+    meta_description: clip(description, md.maxLength || 160),
+    image_alt,
+    source: "rules"
+  };
+}
+
+/**
+ * createSeo({ configPath, generate })
+ *  build(listing) -> Promise<seo>: buildSeo(), then the meta description from `generate(prompt)` when
+ *    configured; an empty / too long answer or an error keeps the rule-based text (`warnings`).
+ *  refresh(product) -> seo recomputed after a manual edit (title, vendor, type), keeping a generated description
+ */
+function createSeo({ configPath, generate = null }) {
+  const config = () => readJson(configPath);
+
+  const DEFAULT_PROMPT = [
+    "Scrie o meta descriere SEO în limba română, de maximum {max} caractere, pentru produsul de mai jos.",
+    "Răspunde doar cu textul descrierii, fără ghilimele.",
+    "Produs: {title}. Brand: {vendor}. Categorie: {type}.",
+    "Descriere: {description}",
+    "Specificații: {specs}"
+  ].join("\n");
+
+  function prompt(listing) {
+    const c = config();
+    const fields = {
+      max: c.metaDescription?.maxLength || 160,
+      title: listing.title,
+      vendor: listing.vendor || "",
+      type: listing.product_type || "",
+      description: clip(htmlToText(listing.description_html), 1500),
+      specs: clip(htmlToText(listing.specs_html), 800)
+    };
+    return String(c.llm?.prompt || DEFAULT_PROMPT).replace(/\{(\w+)\}/g, (_, name) => fields[name] ?? "");
+  }
+
+  async function build(listing) {
+    const seo = buildSeo(listing, config());
+    if (!generate) return seo;
+    const max = config().metaDescription?.maxLength || 160;
+    try {
+      const text = String(await generate(prompt(listing)) || "").replace(/^["'\s]+|["'\s]+$/g, "").replace(/\s+/g, " ");
+      if (text.length < 30 || text.length > max) throw new Error(`generated description has ${text.length} characters`);
+      return { ...seo, meta_description: text, source: "llm" };
+    } catch (err) {
+      console.warn(`⚠️ SEO generator failed, using the rule-based description: ${err.message}`);
+      return { ...seo, warnings: [`SEO generator: ${err.message}`] };
+    }
+  }
+
+  function refresh(product) {
+    const seo = buildSeo(product, config());
+    const previous = product.seo || {};
+    return previous.source === "llm" ? { ...seo, meta_description: previous.meta_description, source: "llm" } : seo;
+  }
+
+  return { build, refresh };
+}
+
+// SEO_LLM_URL: an Ollama-style /api/generate endpoint ({ model, prompt, stream: false } -> { response })
+function llmFromEnv(env = process.env) {
+  if (!env.SEO_LLM_URL) return null;
+  const timeout = parseInt(env.SEO_LLM_TIMEOUT_MS || "30000", 10);
+  return async (prompt) => {
+    const res = await fetch(env.SEO_LLM_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ model: env.SEO_LLM_MODEL || "llama3", prompt, stream: false }),
+      timeout
+    });
+    if (!res.ok) throw new Error(`${env.SEO_LLM_URL} responded ${res.status}`);
+    const data = await res.json();
+    return data.response;
+  };
+}
+
+module.exports = { createSeo, buildSeo, slugify, htmlToText, llmFromEnv };
@@ -0,0 +1,821 @@
+// src/shopify.js
+// Minimal Shopify Admin REST client + product creation from the scraper output.
+const fetch = require("node-fetch");
+const { hashFromUrl } = require("./images");
+const { specMetafields } = require("./specs");
+const { compareSizes } = require("./sizes");
+
+const DEFAULT_API_VERSION = "2024-04";
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+class ShopifyError extends Error {
+  constructor(message, { status, body, method, path } = {}) {
+    super(message);
+    this.name = "ShopifyError";
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.path = path;
+  }
+}
+
+function describeErrors(body) {
+  if (!body || !body.errors) return "";
+  return typeof body.errors === "string" ? body.errors : JSON.stringify(body.errors);
+}
+
+/**
+ * createShopifyClient({ baseUrl, accessToken, apiVersion, maxRetries, location })
+ *  - baseUrl: "https://<shop>.myshopify.com" (or a local mock server URL)
+ *  - location: id or name of the location stock levels are set at (default: the first active one)
+ *  - Retries 429 (honouring Retry-After) and 5xx responses with exponential backoff.
+ */
+function createShopifyClient({ baseUrl, accessToken, apiVersion = DEFAULT_API_VERSION, maxRetries = 5, retryBaseMs = 1000, location = null }) {
+  if (!baseUrl) throw new Error("Shopify base URL is not configured");
+  const root = baseUrl.replace(/\/+$/, "");
+  let servedVersion = null;   // what Shopify actually answered with
+
+  // Returns { data, headers }; `request` below is the usual data-only shorthand
+  async function send(method, resource, body) {
+    const url = `${root}/admin/api/${apiVersion}/${resource.replace(/^\/+/, "")}`;
+
+    for (let attempt = 0; ; attempt++) {
+      const res = await fetch(url, {
+        method,
+        headers: {
+          "X-Shopify-Access-Token": accessToken || "",
+          "Content-Type": "application/json",
+          Accept: "application/json"
+        },
+        body: body != null ? JSON.stringify(body) : undefined
+      });
+
+      // Shopify silently falls back to another version when the requested one is unsupported
+      const version = res.headers.get("x-shopify-api-version");
+      if (version && version !== apiVersion && servedVersion !== version) {
+        console.warn(`⚠️ Requested Shopify API ${apiVersion} but was served ${version}`);
+      }
+      if (version) servedVersion = version;
+
+      if ((res.status === 429 || res.status >= 500) && attempt < maxRetries) {
+        const retryAfter = parseFloat(res.headers.get("retry-after"));
+        const wait = !isNaN(retryAfter) ? retryAfter * 1000 : retryBaseMs * 2 ** attempt;
+        console.warn(`⏳ Shopify ${res.status} on ${method} ${resource}, retrying in ${wait}ms`);
+        await sleep(wait);
+        continue;
+      }
+
+      const text = await res.text();
+      let data = null;
+      try { data = text ? JSON.parse(text) : null; } catch { data = text; }
+
+      if (!res.ok) {
+        throw new ShopifyError(`Shopify ${method} ${resource} failed (${res.status}) ${describeErrors(data)}`.trim(), {
+          status: res.status, body: data, method, path: resource
+        });
+      }
+
+      // leaky bucket: slow down before we actually hit 429
+      const [used, max] = (res.headers.get("x-shopify-shop-api-call-limit") || "").split("/").map(Number);
+      if (used && max && used / max >= 0.8) await sleep(500);
+
+      return { data, headers: res.headers };
+    }
+  }
+
+  const request = async (method, resource, body) => (await send(method, resource, body)).data;
+
+  // GET every page of a cursor-paginated list (follows the Link: rel="next" header)
+  async function getAll(resource, key) {
+    const out = [];
+    let next = resource;
+    while (next) {
+      const { data, headers } = await send("GET", next);
+      out.push(...((data && data[key]) || []));
+      const link = headers.get("link") || "";
+      const m = link.match(/<([^>]+)>;\s*rel="next"/);
+      next = m ? m[1].replace(/^.*\/admin\/api\/[^/]+\//, "") : null;
+    }
+    return out;
+  }
+
+  return {
+    apiVersion,
+    location,
+    servedVersion: () => servedVersion,
+    request,
+    getAll,
+    get: (resource) => request("GET", resource),
+    post: (resource, body) => request("POST", resource, body),
+    put: (resource, body) => request("PUT", resource, body),
+    del: (resource) => request("DELETE", resource)
+  };
+}
+
+function clientFromEnv(env = process.env) {
+  const shop = env.SHOPIFY_SHOP;
+  return createShopifyClient({
+    baseUrl: env.SHOPIFY_BASE_URL || (shop ? `https://${shop.replace(/^https?:\/\//, "")}` : null),
+    accessToken: env.SHOPIFY_ACCESS_TOKEN,
+    apiVersion: env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+    location: env.SHOPIFY_LOCATION || null
+  });
+}
+
+/* ---------------- Scraper output -> Shopify payload ---------------- */
+
+const VARIANT_DEFAULTS = { inventory_policy: "continue", taxable: false, inventory_management: "shopify", requires_shipping: true };
+
+function buildVariant(v, optionCount) {
+  const out = { ...VARIANT_DEFAULTS };
+  for (let i = 1; i <= optionCount; i++) {
+    if (v[`option${i}`] != null) out[`option${i}`] = String(v[`option${i}`]);
+  }
+  out.price = v.price != null ? String(v.price) : "0.00";
+  if (v.compare_at_price != null) out.compare_at_price = String(v.compare_at_price);
+  if (v.inventory_policy) out.inventory_policy = v.inventory_policy;
+  if (v.taxable != null) out.taxable = v.taxable;
+  if (v.inventory_management !== undefined) out.inventory_management = v.inventory_management;
+  if (v.barcode) out.barcode = String(v.barcode);
+  if (v.sku) out.sku = String(v.sku);
+  return out;
+}
+
+// Builds the POST /products.json body. Images are uploaded separately so each failure can be reported.
+function buildProductPayload(scraped) {
+  const options = (scraped.options || [])
+    .filter(o => o && o.name)
+    .map(o => ({ name: String(o.name), values: (o.values || []).map(v => String(v)) }));
+  const variants = (scraped.variants || []).map(v => buildVariant(v, options.length || 1));
+
+  const product = {
+    title: scraped.title,
+    body_html: (scraped.description_html || "") + (scraped.specs_html || ""),
+    vendor: scraped.vendor || "",
+    product_type: scraped.product_type || "",
+    tags: buildTags(scraped).join(", ")
+  };
+  // SEO fields (src/seo.js); the handle is made unique against the store in createProduct
+  const seo = scraped.seo || {};
+  if (seo.handle) product.handle = seo.handle;
+  if (seo.meta_title) product.metafields_global_title_tag = seo.meta_title;
+  if (seo.meta_description) product.metafields_global_description_tag = seo.meta_description;
+  // "draft" keeps a new product off the storefront (review queue, src/review.js); Shopify defaults to active
+  if (scraped.shopify_status) product.status = scraped.shopify_status;
+  if (options.length) product.options = options;
+  if (variants.length) product.variants = variants;
+
+  // Stable keys so later runs update this product instead of creating a duplicate
+  const metafields = [];
+  if (scraped.products_id) {
+    metafields.push({ namespace: CENTRANO_NAMESPACE, key: "products_id", type: "single_line_text_field", value: String(scraped.products_id) });
+  }
+  if (scraped.search_term) {
+    metafields.push({ namespace: CENTRANO_NAMESPACE, key: "search_term", type: "single_line_text_field", value: String(scraped.search_term) });
+  }
+  // Parsed specs as typed metafields (src/specs.js), for storefront filters
+  metafields.push(...specMetafields(scraped.specs));
+  if (metafields.length) product.metafields = metafields;
+  return { product };
+}
+
+/* ---------------- Matching existing products ---------------- */
+
+const CENTRANO_NAMESPACE = "centrano";
+const CENTRANO_TAG_PREFIX = "centrano-";
+
+const centranoTag = (productsId) => `${CENTRANO_TAG_PREFIX}${productsId}`;
+
+function splitTags(tags) {
+  return (Array.isArray(tags) ? tags : String(tags || "").split(","))
+    .map(t => String(t).trim())
+    .filter(Boolean);
+}
+
+function buildTags(scraped) {
+  const tags = splitTags(scraped.tag);
+  if (scraped.products_id) tags.push(centranoTag(scraped.products_id));
+  return Array.from(new Set(tags));
+}
+
+/**
+ * buildProductIndex(client): one pass over the store's products, keyed by
+ * the "centrano-<products_id>" tag we write on creation and by variant barcode (EAN).
+ */
+async function buildProductIndex(client) {
+  const products = await client.getAll("products.json?limit=250&fields=id,title,handle,tags,variants", "products");
+  const byCentranoId = new Map();
+  const byBarcode = new Map();
+  for (const p of products) {
+    for (const tag of splitTags(p.tags)) {
+      if (tag.startsWith(CENTRANO_TAG_PREFIX)) byCentranoId.set(tag.slice(CENTRANO_TAG_PREFIX.length), p.id);
+    }
+    for (const v of p.variants || []) {
+      if (v.barcode) byBarcode.set(String(v.barcode).trim(), p.id);
+    }
+  }
+  return {
+    byCentranoId,
+    byBarcode,
+    // keep the index usable for the rest of a batch after creating a product
+    add(productsId, product) {
+      if (productsId) byCentranoId.set(String(productsId), product.id);
+      for (const v of product.variants || []) if (v.barcode) byBarcode.set(String(v.barcode).trim(), product.id);
+    }
+  };
+}
+
+// Returns { id, matchedBy } for the store product this scrape result belongs to, or null
+function findExisting(index, scraped) {
+  if (scraped.products_id && index.byCentranoId.has(String(scraped.products_id))) {
+    return { id: index.byCentranoId.get(String(scraped.products_id)), matchedBy: "products_id" };
+  }
+  for (const v of scraped.variants || []) {
+    if (v.barcode && index.byBarcode.has(String(v.barcode).trim())) {
+      return { id: index.byBarcode.get(String(v.barcode).trim()), matchedBy: "barcode" };
+    }
+  }
+  return null;
+}
+
+// "trotineta-tilt" -> "trotineta-tilt-2" when another store product already uses the handle
+async function uniqueHandle(client, handle) {
+  for (let n = 1; n < 50; n++) {
+    const candidate = n === 1 ? handle : `${handle}-${n}`;
+    const { products } = await client.get(`products.json?handle=${encodeURIComponent(candidate)}&fields=id`);
+    if (!(products || []).length) return candidate;
+  }
+  throw new Error(`No free handle for ${handle}`);
+}
+
+const imageAlt = (scraped, src) => scraped.seo?.image_alt?.[src] || undefined;
+
+function imageSources(scraped) {
+  return Array.from(new Set(scraped.imageUrls || [])).filter(u => /^https?:\/\//i.test(u));
+}
+
+// Store variants whose colour picture is `src` (scraped variants carry `image_url`, see buildProduct in index.js)
+function variantIdsFor(scraped, storeVariants, src) {
+  const keys = new Set((scraped.variants || []).filter(v => v.image_url === src).map(variantKey));
+  return (storeVariants || []).filter(v => keys.has(variantKey(v))).map(v => v.id);
+}
+
+/**
+ * createProduct(client, scraped)
+ * Creates the product with its variants in one POST, then fixes up any variant whose
+ * inventory_policy/taxable did not stick and uploads images one by one, each linked to the variants of its colour.
+ * Returns a report; only a failed product POST throws.
+ */
+async function createProduct(client, scraped) {
+  const report = {
+    product_id: null,
+    handle: null,
+    api_version: client.apiVersion,
+    variants: { created: 0, fixed: 0, failed: [] },
+    costs: { updated: 0, failed: [] },
+    stock: { updated: 0, failed: [] },
+    images: { uploaded: 0, variants_linked: 0, failed: [] },
+    collections: { added: [], failed: [] },
+    warnings: [],
+    partial: false
+  };
+
+  const payload = buildProductPayload(scraped);
+  if (payload.product.handle) {
+    try {
+      const handle = await uniqueHandle(client, payload.product.handle);
+      if (handle !== payload.product.handle) report.warnings.push(`Handle ${payload.product.handle} is taken, using ${handle}`);
+      payload.product.handle = handle;
+    } catch (err) {
+      report.warnings.push(`Handle check failed (${err.message}), leaving the handle to Shopify`);
+      delete payload.product.handle;
+    }
+  }
+  (scraped.variants || []).forEach((v, i) => {
+    if (v.price == null) report.warnings.push(`Variant ${i} (${[v.option1, v.option2].filter(Boolean).join(" / ")}) has no price, sent as 0.00`);
+  });
+
+  const { product } = await client.post("products.json", payload);
+  report.product_id = product.id;
+  report.handle = product.handle;
+  report.variants.created = (product.variants || []).length;
+
+  // Older API versions ignore inventory_policy/taxable on create: set them per variant
+  const wanted = payload.product.variants || [];
+  for (const [i, v] of (product.variants || []).entries()) {
+    const want = wanted[i] || VARIANT_DEFAULTS;
+    if (v.inventory_policy === want.inventory_policy && v.taxable === want.taxable) continue;
+    try {
+      await client.put(`variants/${v.id}.json`, {
+        variant: { id: v.id, inventory_policy: want.inventory_policy, taxable: want.taxable }
+      });
+      report.variants.fixed++;
+    } catch (err) {
+      report.variants.failed.push({ id: v.id, error: err.message });
+    }
+  }
+
+  // Dealer cost lives on the inventory item, not the variant
+  const costs = (product.variants || [])
+    .map((v, i) => ({ key: variantKey(v), inventory_item_id: v.inventory_item_id, cost: (scraped.variants || [])[i]?.cost }))
+    .filter(c => c.cost != null && c.inventory_item_id);
+  await syncCosts(client, costs, report);
+
+  // Quantities from Centrano's availability (src/stock.js) at the stock location
+  const stock = (product.variants || [])
+    .map((v, i) => ({ key: variantKey(v), inventory_item_id: v.inventory_item_id, quantity: (scraped.variants || [])[i]?.stock_quantity }));
+  await syncStock(client, stock, report);
+
+  const sources = imageSources(scraped);
+  for (const [i, src] of sources.entries()) {
+    const variant_ids = variantIdsFor(scraped, product.variants, src);
+    try {
+      await client.post(`products/${product.id}/images.json`, {
+        image: { src, position: i + 1, alt: imageAlt(scraped, src), ...(variant_ids.length ? { variant_ids } : {}) }
+      });
+      report.images.uploaded++;
+      report.images.variants_linked += variant_ids.length;
+    } catch (err) {
+      report.images.failed.push({ src, error: err.message });
+    }
+  }
+
+  try {
+    const { toAdd, missing } = await resolveCollections(client, null, scraped.collections);
+    for (const handle of missing) report.warnings.push(`Collection ${handle} does not exist on Shopify`);
+    for (const c of toAdd) {
+      try {
+        await client.post("collects.json", { collect: { product_id: product.id, collection_id: c.id } });
+        report.collections.added.push(c.handle);
+      } catch (err) {
+        report.collections.failed.push({ handle: c.handle, error: err.message });
+      }
+    }
+  } catch (err) {
+    report.collections.failed.push({ what: "lookup", error: err.message });
+  }
+
+  const served = client.servedVersion();
+  if (served && served !== client.apiVersion) {
+    report.warnings.push(`Shopify served API ${served} instead of ${client.apiVersion}`);
+  }
+  report.partial = report.variants.failed.length > 0 || report.costs.failed.length > 0 || report.stock.failed.length > 0 ||
+    report.images.failed.length > 0 || report.collections.failed.length > 0;
+  return report;
+}
+
+/**
+ * resolveCollections(client, productId, handles) -> { toAdd: [{ handle, id }], missing: [handle] }
+ * Custom collections by handle (config/taxonomy.json); with a productId, the ones it is already in are left out.
+ */
+async function resolveCollections(client, productId, handles) {
+  const toAdd = [], missing = [];
+  for (const handle of new Set(handles || [])) {
+    const { custom_collections } = await client.get(`custom_collections.json?handle=${encodeURIComponent(handle)}`);
+    const collection = (custom_collections || [])[0];
+    if (collection) toAdd.push({ handle, id: collection.id });
+    else missing.push(handle);
+  }
+  if (!productId || !toAdd.length) return { toAdd, missing };
+  const { collects } = await client.get(`collects.json?product_id=${productId}`);
+  const member = new Set((collects || []).map(c => String(c.collection_id)));
+  return { toAdd: toAdd.filter(c => !member.has(String(c.id))), missing };
+}
+
+/**
+ * syncCosts(client, [{ key, inventory_item_id, cost }], report)
+ * Sets the inventory item cost where it differs; records results in report.costs.
+ */
+async function syncCosts(client, wanted, report) {
+  if (!wanted.length) return;
+  const current = new Map();
+  try {
+    for (let i = 0; i < wanted.length; i += 100) {
+      const ids = wanted.slice(i, i + 100).map(w => w.inventory_item_id).join(",");
+      const { inventory_items } = await client.get(`inventory_items.json?ids=${ids}`);
+      for (const item of inventory_items || []) current.set(String(item.id), item.cost);
+    }
+  } catch (err) {
+    report.costs.failed.push({ what: "lookup", error: err.message });
+    return;
+  }
+
+  for (const w of wanted) {
+    const have = current.get(String(w.inventory_item_id));
+    if (samePrice(have, w.cost)) continue;
+    try {
+      await client.put(`inventory_items/${w.inventory_item_id}.json`, { inventory_item: { id: w.inventory_item_id, cost: String(w.cost) } });
+      report.costs.updated++;
+      if (report.costs.changes) report.costs.changes.push({ variant: w.key, from: have ?? null, to: String(w.cost) });
+    } catch (err) {
+      report.costs.failed.push({ variant: w.key, error: err.message });
+    }
+  }
+}
+
+/* ---------------- Stock levels ---------------- */
+
+const locationIds = new WeakMap();
+
+// The location stock is counted at: client.location as an id or a name, else the first active location
+async function resolveLocationId(client) {
+  if (locationIds.has(client)) return locationIds.get(client);
+  const wanted = client.location != null ? String(client.location).trim() : "";
+  let id;
+  if (/^\d+$/.test(wanted)) {
+    id = Number(wanted);
+  } else {
+    const { locations } = await client.get("locations.json");
+    const active = (locations || []).filter(l => l.active !== false);
+    const found = wanted ? active.find(l => l.name.toLowerCase() === wanted.toLowerCase()) : active[0];
+    if (!found) throw new Error(wanted ? `Shopify location "${wanted}" not found` : "Shopify store has no active location");
+    id = found.id;
+  }
+  locationIds.set(client, id);
+  return id;
+}
+
+// Sets available quantities at the stock location where they differ: wanted = [{ key, inventory_item_id, quantity }]
+async function syncStock(client, wanted, report) {
+  wanted = wanted.filter(w => w.quantity != null && w.inventory_item_id);
+  if (!wanted.length) return;
+  let locationId;
+  const current = new Map();
+  try {
+    locationId = await resolveLocationId(client);
+    for (let i = 0; i < wanted.length; i += 50) {
+      const ids = wanted.slice(i, i + 50).map(w => w.inventory_item_id).join(",");
+      const { inventory_levels } = await client.get(`inventory_levels.json?inventory_item_ids=${ids}&location_ids=${locationId}`);
+      for (const level of inventory_levels || []) current.set(String(level.inventory_item_id), level.available);
+    }
+  } catch (err) {
+    report.stock.failed.push({ what: "lookup", error: err.message });
+    return;
+  }
+
+  for (const w of wanted) {
+    const have = current.get(String(w.inventory_item_id));
+    if (have === w.quantity) continue;
+    try {
+      await client.post("inventory_levels/set.json", { location_id: locationId, inventory_item_id: w.inventory_item_id, available: w.quantity });
+      report.stock.updated++;
+      if (report.stock.changes) report.stock.changes.push({ variant: w.key, from: have ?? null, to: w.quantity });
+    } catch (err) {
+      report.stock.failed.push({ variant: w.key, error: err.message });
+    }
+  }
+}
+
+/* ---------------- Upsert (create or diff-update) ---------------- */
+
+const variantKey = (v) => [v.option1, v.option2, v.option3]
+  .filter(x => x != null && x !== "")
+  .map(x => String(x).trim().toLowerCase())
+  .join(" / ");
+
+const samePrice = (a, b) => a != null && b != null && Number(a).toFixed(2) === Number(b).toFixed(2);
+
+const sameText = (a, b) => a != null && b != null && a !== "" && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * alignVariants(existing, variants) -> { variants, matched }
+ * Finds the store variant of each scraped one: same option values, else the same EAN or SKU, else the same colour
+ * and sizes written another way ("560mm" / "56cm", or one value of a "20cm / 52cm" pair). A matched variant takes
+ * the store's option values, so products created before sizes were split per dimension keep their axes and format.
+ */
+function alignVariants(existing, variants) {
+  const store = existing.variants || [];
+  const byKey = new Map(store.map(v => [variantKey(v), v]));
+  const used = new Set();
+  const pairs = (variants || []).map(v => ({ v, match: byKey.get(variantKey(v)) || null }));
+  pairs.forEach(p => p.match && used.add(p.match.id));
+  const free = () => store.filter(s => !used.has(s.id));
+
+  for (const field of ["barcode", "sku"]) {
+    for (const p of pairs.filter(p => !p.match && p.v[field])) {
+      p.match = free().find(s => sameText(s[field], p.v[field])) || null;
+      if (p.match) used.add(p.match.id);
+    }
+  }
+  const sizeParts = (v) => [v.option2, v.option3].filter(x => x != null).flatMap(x => String(x).split(" / "));
+  const sameSizes = (s, v) => sameText(s.option1, v.option1) &&
+    [s.option2, s.option3].filter(x => x != null).every(x => sizeParts(v).some(part => compareSizes(part, x) === 0));
+  for (const s of free()) {
+    // only when exactly one scraped variant fits, e.g. not when the store size is a length several rows share
+    const fits = pairs.filter(p => !p.match && sameSizes(s, p.v));
+    if (fits.length === 1) { fits[0].match = s; used.add(s.id); }
+  }
+
+  return {
+    variants: pairs.map(({ v, match }) => (match ? { ...v, option1: match.option1, option2: match.option2, option3: match.option3 } : v)),
+    matched: pairs.filter(p => p.match).length
+  };
+}
+
+/**
+ * diffProduct(existing, scraped) -> the changes needed to bring a store product in line
+ * with a fresh scrape: changed product fields, variants to add, price changes and
+ * variants that are no longer offered by Centrano. `variants` are the scraped ones on the store's option values.
+ */
+function diffProduct(existing, scraped) {
+  const aligned = alignVariants(existing, scraped.variants);
+  const payload = buildProductPayload({ ...scraped, variants: aligned.variants }).product;
+  const fields = {};
+  for (const key of ["title", "body_html", "vendor", "product_type"]) {
+    if (payload[key] && payload[key] !== (existing[key] || "")) fields[key] = payload[key];
+  }
+  const existingTags = splitTags(existing.tags);
+  const missingTags = splitTags(payload.tags).filter(t => !existingTags.includes(t));
+  if (missingTags.length) fields.tags = existingTags.concat(missingTags).join(", ");
+
+  const existingOptions = (existing.options || []).map(o => o.name);
+  const wantedOptions = (payload.options || []).map(o => o.name);
+  // no scraped variant found on the store product at all: its axes or values are not comparable, so nothing is discontinued
+  const optionsMatch = !wantedOptions.length ||
+    (wantedOptions.length === existingOptions.length && (aligned.matched > 0 || !(existing.variants || []).length));
+
+  const byKey = new Map((existing.variants || []).map(v => [variantKey(v), v]));
+  const seen = new Set();
+  const added = [], updates = [], discontinued = [];
+
+  for (const v of payload.variants || []) {
+    const key = variantKey(v);
+    seen.add(key);
+    const current = byKey.get(key);
+    if (!current) {
+      added.push(v);
+      continue;
+    }
+    const changes = {};
+    if (v.price !== "0.00" && !samePrice(current.price, v.price)) changes.price = { from: current.price, to: v.price };
+    const wantCompare = v.compare_at_price || null, haveCompare = current.compare_at_price || null;
+    if (v.price !== "0.00" && (wantCompare || haveCompare) && !samePrice(wantCompare, haveCompare)) {
+      changes.compare_at_price = { from: haveCompare, to: wantCompare };
+    }
+    // Centrano's EAN wins; a SKU is only filled in, so one changed in Shopify (or an older pattern) stays
+    if (v.barcode && v.barcode !== (current.barcode || "")) changes.barcode = { from: current.barcode || null, to: v.barcode };
+    if (v.sku && !current.sku) changes.sku = { from: null, to: v.sku };
+    // also re-opens variants we flagged as discontinued earlier
+    if (current.inventory_policy && current.inventory_policy !== v.inventory_policy) {
+      changes.inventory_policy = { from: current.inventory_policy, to: v.inventory_policy };
+    }
+    if (Object.keys(changes).length) updates.push({ id: current.id, key, changes });
+  }
+  for (const [key, v] of byKey) {
+    if (!seen.has(key) && v.inventory_policy !== "deny") discontinued.push({ id: v.id, key });
+  }
+
+  return { fields, added, updates, discontinued, optionsMatch, variants: aligned.variants };
+}
+
+const hasChanges = (d) => Object.keys(d.fields).length > 0 || d.added.length > 0 || d.updates.length > 0 || d.discontinued.length > 0;
+
+/**
+ * specMetafieldChanges(client, productId, scraped) -> [{ key, id?, metafield }]
+ * Spec metafields that are missing on the store product (no id) or hold another value (id to update).
+ */
+const UNITS = { kilograms: "kg", grams: "g", pounds: "lb", ounces: "oz", millimeters: "mm", centimeters: "cm", meters: "m", inches: "in", feet: "ft" };
+
+// A metafield value in comparable form: Shopify may send back "3.40" for 3.4, the JSON keys in another order
+// or the unit spelled out, and a list is the same list in any order
+function metafieldValue(type, value) {
+  let parsed = value;
+  try { parsed = JSON.parse(value); } catch { /* plain text */ }
+  if (type === "weight" || type === "dimension") {
+    const unit = String(parsed?.unit || "").toLowerCase();
+    return `${Number(parsed?.value)} ${UNITS[unit] || unit}`;
+  }
+  if (type === "number_decimal" || type === "number_integer") return String(Number(value));
+  if (String(type).startsWith("list.") && Array.isArray(parsed)) return JSON.stringify(parsed.map(String).sort());
+  return String(value);
+}
+
+async function specMetafieldChanges(client, productId, scraped) {
+  const wanted = specMetafields(scraped.specs);
+  if (!wanted.length) return [];
+  const { metafields } = await client.get(`products/${productId}/metafields.json?namespace=${encodeURIComponent(wanted[0].namespace)}`);
+  const byKey = new Map((metafields || []).map(m => [m.key, m]));
+  return wanted
+    .filter(m => !byKey.has(m.key) || metafieldValue(m.type, byKey.get(m.key).value) !== metafieldValue(m.type, m.value))
+    .map(m => ({ key: m.key, id: byKey.get(m.key)?.id, metafield: m }));
+}
+
+// The SEO title / description are "global" metafields, which products/<id>.json does not return
+async function seoFieldChanges(client, productId, scraped) {
+  const seo = scraped.seo || {};
+  if (!seo.meta_title && !seo.meta_description) return {};
+  const { metafields } = await client.get(`products/${productId}/metafields.json?namespace=global`);
+  const current = new Map((metafields || []).map(m => [m.key, m.value]));
+  const fields = {};
+  if (seo.meta_title && seo.meta_title !== current.get("title_tag")) fields.metafields_global_title_tag = seo.meta_title;
+  if (seo.meta_description && seo.meta_description !== current.get("description_tag")) {
+    fields.metafields_global_description_tag = seo.meta_description;
+  }
+  return fields;
+}
+
+/**
+ * updateProduct(client, productId, scraped, { variantsOnly })
+ * variantsOnly: price/availability sync; leaves product fields alone and only reports
+ * variants that are new on Centrano instead of adding them.
+ */
+async function updateProduct(client, productId, scraped, { variantsOnly = false } = {}) {
+  const { product: existing } = await client.get(`products/${productId}.json`);
+  const diff = diffProduct(existing, scraped);
+  if (variantsOnly) diff.fields = {};
+  // costs, stock and pictures below go by the store's variant keys
+  scraped = { ...scraped, variants: diff.variants };
+
+  // Our processed images are content-addressed, and Shopify keeps the file name:
+  // only upload pictures the product does not have yet
+  const onShopify = new Set((existing.images || []).map(img => hashFromUrl(img.src)).filter(Boolean));
+  const newImages = variantsOnly ? [] : imageSources(scraped).filter(src => !onShopify.has(hashFromUrl(src)));
+  const report = {
+    product_id: productId,
+    handle: existing.handle,
+    changes: {
+      fields: Object.keys(diff.fields),
+      variants_added: diff.added.map(variantKey),
+      variant_updates: diff.updates.map(({ key, changes }) => ({ variant: key, ...changes })),
+      discontinued: diff.discontinued.map(d => d.key),
+      images_added: newImages,
+      image_alts: [],
+      variant_images: [],
+      collections_added: [],
+      metafields: []
+    },
+    failed: [],
+    warnings: []
+  };
+
+  // Collections from the taxonomy; products are only ever added, never removed from one
+  let collectionsToAdd = [];
+  let metafieldChanges = [];
+  if (!variantsOnly) {
+    try {
+      Object.assign(diff.fields, await seoFieldChanges(client, productId, scraped));
+      report.changes.fields = Object.keys(diff.fields);
+    } catch (err) {
+      report.failed.push({ what: "SEO lookup", error: err.message });
+    }
+    try {
+      metafieldChanges = await specMetafieldChanges(client, productId, scraped);
+      report.changes.metafields = metafieldChanges.map(m => m.key);
+    } catch (err) {
+      report.failed.push({ what: "metafields lookup", error: err.message });
+    }
+    try {
+      const { toAdd, missing } = await resolveCollections(client, productId, scraped.collections);
+      for (const handle of missing) report.warnings.push(`Collection ${handle} does not exist on Shopify`);
+      collectionsToAdd = toAdd;
+      report.changes.collections_added = toAdd.map(c => c.handle);
+    } catch (err) {
+      report.failed.push({ what: "collections lookup", error: err.message });
+    }
+  }
+
+  if (!diff.optionsMatch) {
+    // keys cannot be compared across different axes: nothing is added, and nothing is discontinued either
+    report.warnings.push("Option axes differ from the store product; new variants were not added and none were discontinued");
+    diff.added = [];
+    diff.discontinued = [];
+    report.changes.variants_added = [];
+    report.changes.discontinued = [];
+  } else if (variantsOnly && diff.added.length) {
+    report.changes.new_on_centrano = report.changes.variants_added;
+    report.changes.variants_added = [];
+    diff.added = [];
+  }
+  // Dealer costs of variants that stay on the product
+  const byKey = new Map((existing.variants || []).map(v => [variantKey(v), v]));
+  const costs = (scraped.variants || [])
+    .map(v => ({ key: variantKey(v), cost: v.cost, inventory_item_id: byKey.get(variantKey(v))?.inventory_item_id }))
+    .filter(c => c.cost != null && c.inventory_item_id);
+  report.costs = { updated: 0, changes: [], failed: [] };
+  await syncCosts(client, costs, report);
+  report.changes.cost_updates = report.costs.changes;
+  for (const f of report.costs.failed) report.failed.push({ what: `cost ${f.variant || f.what}`, error: f.error });
+  delete report.costs;
+
+  // Stock levels, also on price/stock syncs; variants added below get theirs once they exist
+  const scrapedByKey = new Map((scraped.variants || []).map(v => [variantKey(v), v]));
+  const stock = (scraped.variants || [])
+    .map(v => ({ key: variantKey(v), quantity: v.stock_quantity, inventory_item_id: byKey.get(variantKey(v))?.inventory_item_id }));
+  const stockReport = { stock: { updated: 0, changes: [], failed: [] } };
+  const stockFailures = () => {
+    for (const f of stockReport.stock.failed.splice(0)) report.failed.push({ what: `stock ${f.variant || f.what}`, error: f.error });
+  };
+  await syncStock(client, stock, stockReport);
+  stockFailures();
+  report.changes.stock_updates = stockReport.stock.changes;
+
+  // Colour pictures for store variants that have none yet (one picked by hand is left alone)
+  const imageIds = new Map((existing.images || []).map(img => [hashFromUrl(img.src), img.id]).filter(([hash]) => hash));
+  const withoutImage = new Set(variantsOnly ? [] : (existing.variants || []).filter(v => !v.image_id).map(variantKey));
+  const linkable = (v) => v.image_url && (imageIds.has(hashFromUrl(v.image_url)) || newImages.includes(v.image_url));
+  const imageLinks = (scraped.variants || []).filter(v => withoutImage.has(variantKey(v)) && linkable(v));
+
+  // Alt texts of pictures already on the product follow the current SEO fields (e.g. a colour found since)
+  const altUpdates = variantsOnly ? [] : imageSources(scraped)
+    .map(src => ({ src, alt: imageAlt(scraped, src), image: (existing.images || []).find(img => hashFromUrl(img.src) === hashFromUrl(src)) }))
+    .filter(a => a.alt && a.image && hashFromUrl(a.src) && a.alt !== (a.image.alt || ""));
+  report.changes.image_alts = altUpdates.map(a => a.src);
+
+  if (!hasChanges(diff) && !newImages.length && !report.changes.cost_updates.length && !report.changes.stock_updates.length && !collectionsToAdd.length &&
+    !metafieldChanges.length && !imageLinks.length && !altUpdates.length) {
+    return { status: "unchanged", ...report, partial: report.failed.length > 0 };
+  }
+
+  const attempt = async (what, fn) => {
+    try { await fn(); } catch (err) { report.failed.push({ what, error: err.message }); }
+  };
+
+  if (Object.keys(diff.fields).length) {
+    await attempt("product", () => client.put(`products/${productId}.json`, { product: { id: productId, ...diff.fields } }));
+  }
+  const addedStock = [];
+  const addedIds = new Map();
+  for (const v of diff.added) {
+    await attempt(`add ${variantKey(v)}`, async () => {
+      const { variant } = await client.post(`products/${productId}/variants.json`, { variant: v });
+      addedIds.set(variantKey(v), variant.id);
+      addedStock.push({ key: variantKey(v), inventory_item_id: variant.inventory_item_id, quantity: scrapedByKey.get(variantKey(v))?.stock_quantity });
+    });
+  }
+  await syncStock(client, addedStock, stockReport);
+  stockFailures();
+  for (const u of diff.updates) {
+    const variant = { id: u.id };
+    for (const [field, { to }] of Object.entries(u.changes)) variant[field] = to;
+    await attempt(`update ${u.key}`, () => client.put(`variants/${u.id}.json`, { variant }));
+  }
+  for (const src of newImages) {
+    await attempt(`image ${src}`, async () => {
+      const { image } = await client.post(`products/${productId}/images.json`, { image: { src, alt: imageAlt(scraped, src) } });
+      if (hashFromUrl(src)) imageIds.set(hashFromUrl(src), image.id);
+    });
+  }
+  for (const { src, alt, image } of altUpdates) {
+    await attempt(`alt of ${src}`, () => client.put(`products/${productId}/images/${image.id}.json`, { image: { id: image.id, alt } }));
+  }
+  // Variants added above have no picture either
+  for (const v of imageLinks.concat((scraped.variants || []).filter(v => addedIds.has(variantKey(v)) && v.image_url))) {
+    const key = variantKey(v);
+    const id = addedIds.get(key) || byKey.get(key).id;
+    const image_id = imageIds.get(hashFromUrl(v.image_url));
+    if (!image_id) continue;
+    await attempt(`image of ${key}`, async () => {
+      await client.put(`variants/${id}.json`, { variant: { id, image_id } });
+      report.changes.variant_images.push(key);
+    });
+  }
+  for (const c of collectionsToAdd) {
+    await attempt(`collection ${c.handle}`, () => client.post("collects.json", { collect: { product_id: productId, collection_id: c.id } }));
+  }
+  for (const m of metafieldChanges) {
+    await attempt(`metafield ${m.key}`, () => (m.id
+      ? client.put(`metafields/${m.id}.json`, { metafield: { id: m.id, type: m.metafield.type, value: m.metafield.value } })
+      : client.post(`products/${productId}/metafields.json`, { metafield: m.metafield })));
+  }
+  // Discontinued variants stay on the product (order history) but stop selling
+  for (const d of diff.discontinued) {
+    await attempt(`discontinue ${d.key}`, () => client.put(`variants/${d.id}.json`, { variant: { id: d.id, inventory_policy: "deny" } }));
+  }
+
+  report.partial = report.failed.length > 0;
+  return { status: "updated", ...report };
+}
+
+/**
+ * upsertProduct(client, scraped, { index })
+ * Creates the product when no store product matches its Centrano id / EAN, otherwise
+ * applies a diff. Result `status` is "created", "updated" or "unchanged".
+ */
+async function upsertProduct(client, scraped, { index } = {}) {
+  const idx = index || await buildProductIndex(client);
+  const match = findExisting(idx, scraped);
+  if (match) {
+    const result = await updateProduct(client, match.id, scraped);
+    return { ...result, matched_by: match.matchedBy };
+  }
+  const report = await createProduct(client, scraped);
+  idx.add(scraped.products_id, { id: report.product_id, variants: scraped.variants });
+  return { status: "created", ...report };
+}
+
+module.exports = {
+  DEFAULT_API_VERSION,
+  CENTRANO_NAMESPACE,
+  ShopifyError,
+  createShopifyClient,
+  clientFromEnv,
+  buildProductPayload,
+  buildProductIndex,
+  findExisting,
+  variantKey,
+  diffProduct,
+  createProduct,
+  updateProduct,
+  upsertProduct
+};
@@ -0,0 +1,142 @@
+// src/sizes.js
+// Variant sizes from Centrano's rows: which dimension each value measures ("Lungime: 52 cm", "Diametru: 110mm",
+// "Marime: XL"), normalised units, natural sorting, and the option axes a product needs
+// (Shopify allows three options, the colour being one of them).
+const { stripDiacritics } = require("./titles");
+
+const DIMENSIONS = {
+  size: { option: "Size", labels: ["Marime", "Masura", "Size"] },
+  length: { option: "Length", labels: ["Lungime", "Length"] },
+  width: { option: "Width", labels: ["Latime", "Width"] },
+  diameter: { option: "Diameter", labels: ["Diametru", "Diameter"] },
+  height: { option: "Height", labels: ["Inaltime", "Height"] }
+};
+const LABELS = new Map(Object.entries(DIMENSIONS).flatMap(([key, d]) => d.labels.map(l => [l.toLowerCase(), key])));
+const LABEL_RE = new RegExp(`\\b(${Array.from(LABELS.keys()).join("|")})\\s*:`, "gi");
+
+const LETTERS = ["XXS", "XS", "S", "M", "L", "XL", "XXL", "XXXL"];
+const LETTER = "(XXXL|XXL|XL|XXS|XS|S|M|L)";
+const PRICE_RE = /\d+(?:[.,]\d+)*\s*(?:€|EUR|RON|lei)|€\s*\d+(?:[.,]\d+)*/gi;
+const ONE_SIZE = "One Size";
+const MM = { mm: 1, cm: 10, '"': 25.4 };
+
+const norm = (s) => stripDiacritics(s || "").replace(/\s+/g, " ").trim();
+
+// "4,5" + "”" -> '4.5"', "110" + "MM" -> "110mm"
+function formatMeasure(number, unit) {
+  const n = String(number).replace(",", ".");
+  const u = /^(inch(es)?|["”])$/i.test(unit) ? '"' : unit.toLowerCase();
+  return u === '"' ? `${n}"` : `${n}${u}`;
+}
+
+const parseMeasure = (value) => {
+  const m = String(value).match(/^(\d+(?:\.\d+)?)(mm|cm|")?$/);
+  return m ? { number: parseFloat(m[1]), unit: m[2] || null } : null;
+};
+
+/**
+ * extractSizeValue(chunk, dimension = "size") -> "XL" | "One Size" | "110mm" | '4.5"' | "52" | null
+ * Prices are ignored; a letter size only counts for clothing sizes, and only at the start of the chunk
+ * unless there is no number at all (so a stray "S" in a note does not win over "110mm").
+ */
+function extractSizeValue(chunkRaw, dimension = "size") {
+  const chunk = norm(chunkRaw).replace(PRICE_RE, " ").trim();
+  const clothing = dimension === "size";
+
+  if (/\b(one\s*size|marime\s*universala|universala?)\b/i.test(chunk)) return ONE_SIZE;
+  const leading = clothing && chunk.match(new RegExp(`^${LETTER}(?![\\w])`, "i"));
+  if (leading) return leading[1].toUpperCase();
+
+  // no metres: a kite's "9m" is its area, kept as the number
+  const measure = chunk.match(/(\d+(?:[.,]\d+)?)\s*(mm|cm|inches|inch|["”])(?![a-z])/i);
+  if (measure) return formatMeasure(measure[1], measure[2]);
+  const number = chunk.match(/\d+(?:[.,]\d+)?/);
+  if (number) return number[0].replace(",", ".");
+
+  const letter = clothing && chunk.match(new RegExp(`\\b${LETTER}\\b`, "i"));
+  return letter ? letter[1].toUpperCase() : null;
+}
+
+/**
+ * parseRowSizes(text) -> { size?, length?, width?, diameter?, height? } in the order the row shows them
+ * Each "Label: value" runs up to the next label, the EAN or the stock marker; a repeated dimension keeps its first value.
+ */
+function parseRowSizes(text) {
+  const t = norm(text);
+  const marks = Array.from(t.matchAll(LABEL_RE));
+  const out = {};
+  marks.forEach((m, i) => {
+    const dimension = LABELS.get(m[1].toLowerCase());
+    if (dimension in out) return;
+    const end = i + 1 < marks.length ? marks[i + 1].index : t.length;
+    const chunk = t.slice(m.index + m[0].length, end).split(/\bEAN\b|\bIN\b/)[0];
+    const value = extractSizeValue(chunk, dimension);
+    if (value) out[dimension] = value;
+  });
+  return out;
+}
+
+// Letter sizes in their order, then measures by length, then anything else, "One Size" last
+function sizeKey(value) {
+  const letter = LETTERS.indexOf(value);
+  if (letter !== -1) return [0, letter];
+  const measure = parseMeasure(value);
+  if (measure) return [1, measure.number * (MM[measure.unit] || 1)];
+  return value === ONE_SIZE ? [3, 0] : [2, value];
+}
+
+// Natural order; "52cm / 110mm" style values compare part by part
+function compareSizes(a, b) {
+  const pa = String(a).split(" / "), pb = String(b).split(" / ");
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    if (pa[i] == null || pb[i] == null) return pa[i] == null ? -1 : 1;
+    const ka = sizeKey(pa[i]), kb = sizeKey(pb[i]);
+    if (ka[0] !== kb[0]) return ka[0] - kb[0];
+    const diff = typeof ka[1] === "number" ? ka[1] - kb[1] : String(ka[1]).localeCompare(String(kb[1]), "ro", { numeric: true });
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+// "5.2cm" -> "52mm", for a dimension that mixes mm and cm
+const toMm = (value) => {
+  const m = parseMeasure(value);
+  return m && m.unit && m.unit !== '"' ? `${Math.round(m.number * MM[m.unit] * 100) / 100}mm` : value;
+};
+
+/**
+ * sizeAxes(dimensionsPerRow, { max }) -> { axes: [{ dimensions, name, values }], valuesOf(dimensions) -> [value per axis] }
+ * Only dimensions whose value differs between rows become options (the first one when none does);
+ * with more than `max`, the last option carries the rest ("Width / Length": "20cm / 52cm").
+ * A single axis keeps the name "Size", as products created before multi-dimension options have.
+ */
+function sizeAxes(rows, { max = 2 } = {}) {
+  const order = [];
+  const units = {};
+  for (const dims of rows) {
+    for (const [d, v] of Object.entries(dims || {})) {
+      if (!order.includes(d)) order.push(d);
+      const unit = parseMeasure(v)?.unit;
+      if (unit && unit !== '"') (units[d] = units[d] || new Set()).add(unit);
+    }
+  }
+  // one unit per dimension: mm when Centrano mixes them
+  const valueOf = (dims, d) => {
+    const v = (dims || {})[d];
+    return v != null && units[d] && units[d].size > 1 ? toMm(v) : v;
+  };
+
+  let varying = order.filter(d => new Set(rows.map(dims => valueOf(dims, d))).size > 1);
+  if (!varying.length) varying = order.slice(0, 1);
+  const groups = varying.length > max ? [...varying.slice(0, max - 1).map(d => [d]), varying.slice(max - 1)] : varying.map(d => [d]);
+
+  const label = (dims, group) => group.map(d => valueOf(dims, d)).filter(Boolean).join(" / ") || ONE_SIZE;
+  const axes = groups.map(group => ({
+    dimensions: group,
+    name: groups.length === 1 && group.length === 1 ? "Size" : group.map(d => DIMENSIONS[d].option).join(" / "),
+    values: Array.from(new Set(rows.map(dims => label(dims, group)))).sort(compareSizes)
+  }));
+  return { axes, valuesOf: (dims) => groups.map(group => label(dims, group)) };
+}
+
+module.exports = { DIMENSIONS, extractSizeValue, parseRowSizes, compareSizes, sizeAxes };
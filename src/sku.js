@@ -0,0 +1,91 @@
+// src/sku.js
+// Variant SKUs from the pattern in config/sku.json (re-read when it changes), e.g. "TLT-FORMULA-BLK-XL",
+// and the EAN / GTIN check digit test for the barcodes read from Centrano's variant rows.
+const { readJson } = require("./configFile");
+const { stripDiacritics } = require("./titles");
+
+// GTIN-8/12/13/14: the last digit checks the others (weights 3,1,3,… from the right)
+function validGtin(code) {
+  if (!/^(\d{8}|\d{12,14})$/.test(String(code || ""))) return false;
+  const digits = String(code).split("").map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+const words = (s) => stripDiacritics(s).toUpperCase().split(/[^A-Z0-9.]+/).filter(Boolean);
+
+const byName = (dictionary = {}) => new Map(Object.entries(dictionary).map(([k, v]) => [words(k).join(" "), v]));
+
+// Dictionary code for the whole value, else per word, else the first letters
+function code(value, dictionary = {}, length = 3) {
+  if (value == null || value === "") return "";
+  const names = byName(dictionary);
+  const whole = names.get(words(value).join(" "));
+  if (whole) return whole;
+  return words(value).map(w => names.get(w) || w.replace(/\./g, "").slice(0, length)).join("");
+}
+
+// Dictionary-only code ("Negru" and "Black" are both BLK), null when a word is not in the dictionary
+function dictionaryCode(value, dictionary = {}) {
+  const names = byName(dictionary);
+  const whole = names.get(words(value).join(" "));
+  if (whole) return whole;
+  const parts = words(value).map(w => names.get(w));
+  return parts.length && parts.every(Boolean) ? parts.join("") : null;
+}
+
+// Whole words of the model while they fit: "Formula Trotineta" -> "FORMULA" (a first long word is cut)
+function modelCode(model, length) {
+  let out = "";
+  for (const w of words(model).map(x => x.replace(/\./g, ""))) {
+    if (out && out.length + w.length > length) break;
+    out += w;
+  }
+  return out.slice(0, length);
+}
+
+const sizeCode = (size) => stripDiacritics(String(size || "")).toUpperCase().replace(/["”]/g, "IN").replace(/[^A-Z0-9.]+/g, "");
+
+/**
+ * buildSku(fields, config) -> "TLT-FORMULA-BLK-XL"
+ * `fields`: { vendor, model, colour, size, article, products_id }, `size` one value or one per size option; placeholders left empty drop out with their separator.
+ */
+function buildSku(fields, config = {}) {
+  const values = {
+    vendor: code(fields.vendor, config.vendorCodes, 3),
+    model: modelCode(fields.model, config.modelLength || 12),
+    colour: code(fields.colour, config.colourCodes, 3),
+    size: [].concat(fields.size ?? []).flatMap(s => String(s).split(" / ")).map(sizeCode).filter(Boolean).join("-"),
+    article: words(fields.article).join(""),
+    products_id: fields.products_id ? String(fields.products_id) : ""
+  };
+  return String(config.pattern || "{vendor}-{model}-{colour}-{size}")
+    .replace(/\{(\w+)\}/g, (_, name) => values[name] || "")
+    .replace(/([-_/.])[-_/.]+/g, "$1")
+    .replace(/^[-_/.]+|[-_/.]+$/g, "")
+    .slice(0, config.maxLength || 40);
+}
+
+/**
+ * createSkuBuilder({ file }) -> { forVariants({ vendor, model, products_id }, variants) -> [sku], colourCode(colour) }
+ * Options are read as colour (option1) and sizes (option2, option3); a SKU repeated within the product gets "-2", "-3", …
+ * colourCode() is the `colourCodes` entry of a colour or null, so other steps can tell "Negru" and "black" apart from "Alb".
+ */
+function createSkuBuilder({ file }) {
+  function forVariants(product, variants) {
+    const config = readJson(file);
+    const seen = new Map();
+    return variants.map(v => {
+      const colour = v.option1 === "Default" ? "" : v.option1;
+      const base = buildSku({ ...product, article: v.article_code, colour, size: [v.option2, v.option3].filter(s => s != null) }, config);
+      const n = (seen.get(base) || 0) + 1;
+      seen.set(base, n);
+      return n === 1 ? base : `${base}-${n}`;
+    });
+  }
+  const colourCode = (colour) => dictionaryCode(colour, readJson(file).colourCodes);
+  return { forVariants, colourCode };
+}
+
+module.exports = { createSkuBuilder, buildSku, validGtin };
@@ -0,0 +1,169 @@
+// src/specs.js
+// Centrano's specs block (#spec_content) -> label/value pairs, typed fields with normalised units
+// (config/specs.json, re-read when it changes), a clean HTML table for the description and
+// Shopify metafields for storefront filters.
+const cheerio = require("cheerio");
+const { readJson } = require("./configFile");
+const { stripDiacritics } = require("./titles");
+
+const squash = (s) => (s || "").replace(/\s+/g, " ").trim();
+const fold = (s) => stripDiacritics(s).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+const escapeHtml = (s) => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+
+// "Lungime Deck: 52 cm" -> ["Lungime Deck", "52 cm"]
+function splitLine(line) {
+  const m = squash(line).match(/^([^:]{2,60}?)\s*:\s*(.+)$/);
+  return m ? [m[1], m[2]] : null;
+}
+
+/**
+ * parseSpecPairs(html) -> [{ label, value }] in page order, first occurrence of a label wins.
+ * Understands table rows (label cell + value cells), <dt>/<dd> and "Label: value" list items / lines.
+ */
+function parseSpecPairs(html) {
+  const $ = cheerio.load(String(html || ""), null, false);
+  const pairs = [];
+  const seen = new Set();
+  const add = (label, value) => {
+    label = squash(label).replace(/:$/, "");
+    value = squash(value);
+    if (!label || !value || seen.has(fold(label))) return;
+    seen.add(fold(label));
+    pairs.push({ label, value });
+  };
+
+  $("tr").each((_, tr) => {
+    const cells = $(tr).children("td, th").toArray().map(c => squash($(c).text()));
+    if (cells.length >= 2) add(cells[0], cells.slice(1).filter(Boolean).join(" "));
+    else if (cells.length === 1) {
+      const pair = splitLine(cells[0]);
+      if (pair) add(...pair);
+    }
+  });
+  $("dt").each((_, dt) => add($(dt).text(), $(dt).next("dd").text()));
+  // list items and paragraphs, one pair per <br>-separated line
+  $("li, p").each((_, el) => {
+    if ($(el).find("li, p, table").length) return;
+    for (const line of ($(el).html() || "").split(/<br\s*\/?>/i)) {
+      const pair = splitLine(cheerio.load(line, null, false).text());
+      if (pair) add(...pair);
+    }
+  });
+  return pairs;
+}
+
+/* ---------------- Units ---------------- */
+
+const UNITS = {
+  dimension: { mm: 1, cm: 10, m: 1000, in: 25.4 },
+  weight: { g: 1, kg: 1000, lb: 453.592 }
+};
+const UNIT_ALIASES = { inch: "in", inches: "in", '"': "in", "”": "in", "''": "in", lbs: "lb", gr: "g", grame: "g" };
+const round = (n) => Math.round(n * 100) / 100;
+
+// "3,4 kg" -> { value: 3.4, unit: "kg" } in the field's unit; a bare number is taken to be in that unit
+function parseMeasure(raw, type, unit) {
+  const m = String(raw).match(/(\d+(?:[.,]\d+)?)\s*(mm|cm|m|inches|inch|in|kg|gr|grame|g|lbs|lb|"|”|'')?(?![a-z])/i);
+  if (!m) return null;
+  const n = parseFloat(m[1].replace(",", "."));
+  const given = m[2] ? (UNIT_ALIASES[m[2].toLowerCase()] || m[2].toLowerCase()) : unit;
+  const factors = UNITS[type];
+  if (!(given in factors)) return null;
+  return { value: round(n * factors[given] / factors[unit]), unit };
+}
+
+const TYPES = ["dimension", "weight", "number", "text", "list"];
+
+function parseValue(raw, def) {
+  switch (def.type) {
+    case "dimension":
+    case "weight":
+      return parseMeasure(raw, def.type, def.unit);
+    case "number": {
+      const m = String(raw).match(/-?\d+(?:[.,]\d+)?/);
+      return m ? { value: parseFloat(m[0].replace(",", ".")) } : null;
+    }
+    case "list": {
+      // with `values`, the known tokens found in the text (SCS / IHC / HIC …); else the comma-separated items
+      const items = def.values
+        ? def.values.filter(v => ` ${fold(raw)} `.includes(` ${fold(v)} `))
+        : String(raw).split(/[,;/]/).map(squash).filter(Boolean);
+      return items.length ? { value: items } : null;
+    }
+    default:
+      return { value: squash(raw) };
+  }
+}
+
+/**
+ * normaliseSpecs(pairs, config, text) -> { pairs, fields: { <key>: { label, raw, type, value, unit? } } }
+ * A pair belongs to the field whose `labels` contain its label (diacritics / case ignored);
+ * list fields with `scan: true` also look through the whole specs text when no label matched.
+ */
+function normaliseSpecs(pairs, config = {}, text = "") {
+  const fields = {};
+  for (const [key, def] of Object.entries(config.fields || {})) {
+    if (!TYPES.includes(def.type)) throw new Error(`config/specs.json: ${key} has unknown type ${def.type}`);
+    if ((def.type === "dimension" || def.type === "weight") && !(def.unit in UNITS[def.type])) {
+      throw new Error(`config/specs.json: ${key} needs a ${def.type} unit (${Object.keys(UNITS[def.type]).join(", ")})`);
+    }
+    const labels = new Set((def.labels || []).map(fold));
+    let pair = pairs.find(p => labels.has(fold(p.label)));
+    let parsed = pair && parseValue(pair.value, def);
+    if (!parsed && def.type === "list" && def.scan) {
+      parsed = parseValue(text || pairs.map(p => `${p.label} ${p.value}`).join(" "), def);
+      if (parsed) pair = { label: null, value: parsed.value.join(", ") };
+    }
+    if (parsed) fields[key] = { label: pair.label, raw: pair.value, type: def.type, ...parsed };
+  }
+  return { pairs, fields };
+}
+
+const formatNumber = (n) => String(n).replace(".", ",");
+
+// Clean table for the description; measured values are shown in their normalised unit
+function specsTable(specs) {
+  if (!specs || !specs.pairs.length) return null;
+  const byLabel = new Map(Object.values(specs.fields).filter(f => f.label && f.unit).map(f => [f.label, f]));
+  const rows = specs.pairs.map(({ label, value }) => {
+    const f = byLabel.get(label);
+    const shown = f ? `${formatNumber(f.value)} ${f.unit}` : value;
+    return `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(shown)}</td></tr>`;
+  });
+  return `<table class="specs"><tbody>${rows.join("")}</tbody></table>`;
+}
+
+const METAFIELD_TYPES = {
+  dimension: "dimension",
+  weight: "weight",
+  number: "number_decimal",
+  text: "single_line_text_field",
+  list: "list.single_line_text_field"
+};
+
+// Typed Shopify metafields, one per parsed field
+function specMetafields(specs) {
+  const namespace = (specs && specs.namespace) || "specs";
+  return Object.entries((specs && specs.fields) || {}).map(([key, f]) => {
+    let value;
+    if (f.unit) value = JSON.stringify({ value: f.value, unit: f.unit });
+    else if (f.type === "list") value = JSON.stringify(f.value);
+    else value = String(f.value);
+    return { namespace, key, type: METAFIELD_TYPES[f.type], value };
+  });
+}
+
+/**
+ * createSpecParser({ file }) -> { parse(html) -> { namespace, pairs, fields } }
+ */
+function createSpecParser({ file }) {
+  return {
+    parse(html) {
+      const config = readJson(file);
+      const text = squash(cheerio.load(String(html || "").replace(/<br\s*\/?>|<\/(p|li|td|th|tr|dd|dt)>/gi, " $&"), null, false).text());
+      return { namespace: config.namespace || "specs", ...normaliseSpecs(parseSpecPairs(html), config, text) };
+    }
+  };
+}
+
+module.exports = { createSpecParser, parseSpecPairs, normaliseSpecs, parseMeasure, specsTable, specMetafields };
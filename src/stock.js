@@ -0,0 +1,73 @@
+// src/stock.js
+// Centrano's availability indicator (row text / icon hints from src/centranoParse.js) -> a stock state, and the state ->
+// Shopify inventory quantity and policy, by the rules in config/stock.json (re-read when it changes).
+const { readJson } = require("./configFile");
+
+const STATES = ["in_stock", "low", "out_of_stock", "incoming", "unknown"];
+const POLICIES = ["deny", "continue"];
+
+// "/\bIN\b/" or "/stoc epuizat/i" (regex), else a case-insensitive phrase
+function toRegExp(rule) {
+  const m = String(rule).match(/^\/(.+)\/([a-z]*)$/);
+  return m ? new RegExp(m[1], m[2]) : new RegExp(String(rule).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+}
+
+function validateStockConfig(config) {
+  const errors = [];
+  for (const [i, rule] of (config.rules || []).entries()) {
+    if (!STATES.includes(rule.state)) errors.push(`rules[${i}]: unknown state ${rule.state}`);
+    for (const m of [].concat(rule.match || [])) {
+      try { toRegExp(m); } catch (err) { errors.push(`rules[${i}]: ${err.message}`); }
+    }
+  }
+  for (const [state, mapping] of Object.entries(config.states || {})) {
+    if (!STATES.includes(state)) errors.push(`states: unknown state ${state}`);
+    if (mapping.inventory_policy && !POLICIES.includes(mapping.inventory_policy)) errors.push(`states.${state}: inventory_policy must be deny or continue`);
+    if (mapping.quantity != null && !(Number.isInteger(mapping.quantity) && mapping.quantity >= 0)) errors.push(`states.${state}: quantity must be a whole number >= 0 or null`);
+  }
+  return errors;
+}
+
+/**
+ * classifyStock(hint, config) -> { state, incoming }
+ * The first rule with a matching pattern wins; an incoming rule's first capture group is the date.
+ */
+function classifyStock(hint, config = {}) {
+  if (hint) {
+    for (const rule of config.rules || []) {
+      for (const pattern of [].concat(rule.match || [])) {
+        const m = String(hint).match(toRegExp(pattern));
+        if (m) return { state: rule.state, incoming: rule.state === "incoming" ? (m[1] || null) : null };
+      }
+    }
+  }
+  return { state: "unknown", incoming: null };
+}
+
+/**
+ * createStockMapper({ file }) -> { map(hint) -> { availability, incoming_date, inventory_policy, stock_quantity } }
+ * `stock_quantity` null leaves the Shopify inventory level alone.
+ */
+function createStockMapper({ file }) {
+  function config() {
+    const c = readJson(file);
+    const errors = validateStockConfig(c);
+    if (errors.length) throw new Error(`${file}: ${errors.join("; ")}`);
+    return c;
+  }
+
+  function map(hint) {
+    const c = config();
+    const { state, incoming } = classifyStock(hint, c);
+    const mapping = (c.states || {})[state] || {};
+    return {
+      availability: state,
+      incoming_date: incoming,
+      inventory_policy: mapping.inventory_policy || "continue",
+      stock_quantity: mapping.quantity ?? null
+    };
+  }
+  return { map };
+}
+
+module.exports = { createStockMapper, classifyStock, validateStockConfig, STATES };
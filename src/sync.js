@@ -0,0 +1,121 @@
+// src/sync.js
+// Scheduled price/availability sync: re-scrape every imported product and push the differences.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { buildProductIndex, updateProduct } = require("./shopify");
+
+/**
+ * createSyncRunner({ clientFactory, queue, reportsDir })
+ *  - clientFactory(): Shopify client (built per run so config changes are picked up)
+ *  - queue: the scrape job queue; items are { productsId } so every product is scraped by id
+ *  - reportsDir: one JSON change report per run
+ */
+function createSyncRunner({ clientFactory, queue, reportsDir }) {
+  fs.mkdirSync(reportsDir, { recursive: true });
+  let current = null;
+  let timer = null;
+
+  const reportPath = (id) => path.join(reportsDir, `${id}.json`);
+  const saveReport = (report) => fs.writeFileSync(reportPath(report.id), JSON.stringify(report, null, 2));
+
+  async function execute(report, baseUrl) {
+    const client = clientFactory();
+    const index = await buildProductIndex(client);
+    const targets = Array.from(index.byCentranoId, ([productsId, productId]) => ({ productsId, productId }));
+    report.products = targets.length;
+    saveReport(report);
+    if (!targets.length) return;
+
+    const job = queue.submit(targets.map(t => ({ productsId: t.productsId })), { meta: { baseUrl, sync: report.id, skipImages: true } });
+    report.jobId = job.id;
+    saveReport(report);
+    await job.finished;
+
+    for (const [i, t] of targets.entries()) {
+      const item = job.items[i];
+      const entry = { products_id: t.productsId, product_id: t.productId };
+      if (item.state !== "done") {
+        report.failed.push({ ...entry, stage: "scrape", error: item.error });
+        continue;
+      }
+      try {
+        const res = await updateProduct(client, t.productId, item.result, { variantsOnly: true });
+        report.counts[res.status] = (report.counts[res.status] || 0) + 1;
+        if (res.status !== "unchanged") report.changes.push({ ...entry, title: item.result.title, ...res.changes, failed: res.failed });
+        if (res.failed && res.failed.length) report.failed.push({ ...entry, stage: "shopify", errors: res.failed });
+      } catch (err) {
+        report.failed.push({ ...entry, stage: "shopify", error: err.message });
+      }
+    }
+  }
+
+  /**
+   * run({ baseUrl, trigger }) -> report. Only one sync runs at a time; a second call while
+   * one is in progress returns the running report instead of starting another.
+   */
+  function run({ baseUrl, trigger = "manual" } = {}) {
+    if (current) return { report: current.report, started: false };
+
+    const report = {
+      id: `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(3).toString("hex")}`,
+      trigger,
+      state: "running",
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      products: 0,
+      jobId: null,
+      counts: { updated: 0, unchanged: 0 },
+      changes: [],
+      failed: []
+    };
+    saveReport(report);
+    console.log(`🔄 Sync ${report.id} started (${trigger})`);
+
+    const promise = execute(report, baseUrl)
+      .then(() => { report.state = report.failed.length ? "partial" : "done"; })
+      .catch(err => {
+        console.error("❌ Sync failed:", err);
+        report.state = "failed";
+        report.error = err.message;
+      })
+      .finally(() => {
+        report.finishedAt = new Date().toISOString();
+        saveReport(report);
+        current = null;
+        console.log(`🔄 Sync ${report.id} ${report.state}: ${report.counts.updated} updated, ${report.failed.length} failed`);
+      });
+
+    current = { report, promise };
+    return { report, started: true, promise };
+  }
+
+  function listReports() {
+    return fs.readdirSync(reportsDir)
+      .filter(f => f.endsWith(".json"))
+      .sort()
+      .reverse()
+      .map(f => {
+        const r = JSON.parse(fs.readFileSync(path.join(reportsDir, f), "utf8"));
+        return { id: r.id, trigger: r.trigger, state: r.state, startedAt: r.startedAt, finishedAt: r.finishedAt, products: r.products, counts: r.counts, failed: r.failed.length };
+      });
+  }
+
+  function getReport(id) {
+    if (!/^[\w-]+$/.test(id) || !fs.existsSync(reportPath(id))) return null;
+    return JSON.parse(fs.readFileSync(reportPath(id), "utf8"));
+  }
+
+  // Periodic runs; the scraper's base URL is needed for the processed image links
+  function schedule(intervalMinutes, { baseUrl }) {
+    if (timer) clearInterval(timer);
+    if (!intervalMinutes || intervalMinutes <= 0) return;
+    timer = setInterval(() => run({ baseUrl, trigger: "schedule" }), intervalMinutes * 60 * 1000);
+    timer.unref();
+    console.log(`🕒 Price/stock sync scheduled every ${intervalMinutes} min`);
+  }
+
+  return { run, schedule, listReports, getReport, running: () => (current ? current.report : null) };
+}
+
+module.exports = { createSyncRunner };
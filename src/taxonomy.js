@@ -0,0 +1,326 @@
+// src/taxonomy.js
+// Vendors and product types, loaded from config/taxonomy.json (re-read when it changes) and
+// editable through the API. Each vendor has optional `aliases`; each product type has
+// `synonyms` in any language, an optional `priority` and an optional Shopify `collection` handle.
+// A synonym is a phrase matched as whole words, or a "/regex/" tested on the text lower-cased and
+// stripped of diacritics and punctuation. `detection` holds the per-source weights used for scoring.
+const { readJson, writeJson } = require("./configFile");
+
+const fold = (s) => (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+const words = (s) => ` ${fold(s).replace(/[^a-z0-9]+/g, " ").trim()} `;
+
+// Where a match was found, strongest first; `body` is the whole page, navigation and related products included
+const DEFAULT_DETECTION = {
+  weights: { title: 1, breadcrumb: 0.8, search: 0.6, specs: 0.5, description: 0.3, body: 0.1 },
+  minConfidence: 0.5
+};
+
+// Every match of a term in words() text, as [start, end] spans
+function compileTerm(term) {
+  const m = /^\/(.+)\/$/.exec(term);
+  if (m) {
+    const re = new RegExp(m[1], "gi");
+    return (text) => Array.from(text.matchAll(re), x => [x.index, x.index + x[0].length]).filter(([a, b]) => b > a);
+  }
+  const w = words(term);
+  return (text) => {
+    const spans = [];
+    if (!w.trim()) return spans;
+    for (let i = text.indexOf(w); i !== -1; i = text.indexOf(w, i + 1)) spans.push([i + 1, i + w.length - 1]);
+    return spans;
+  };
+}
+
+const termKey = (term) => (/^\/.+\/$/.test(term) ? term : words(term).trim());
+
+class TaxonomyError extends Error {
+  constructor(message, { statusCode = 400, errors = [] } = {}) {
+    super(message);
+    this.name = "TaxonomyError";
+    this.statusCode = statusCode;
+    this.errors = errors;
+  }
+}
+
+/**
+ * validateTaxonomy(data) -> { errors, warnings }
+ * Errors: missing names, duplicate vendor names/aliases, duplicate type names/synonyms, invalid
+ * regexes and synonyms that also match another type's name. Warnings: vendor/type name clashes.
+ */
+function validateTaxonomy(data) {
+  const errors = [];
+  const warnings = [];
+  const vendors = Array.isArray(data && data.vendors) ? data.vendors : (errors.push("vendors must be an array"), []);
+  const types = Array.isArray(data && data.productTypes) ? data.productTypes : (errors.push("productTypes must be an array"), []);
+
+  const claim = (seen, key, owner, what) => {
+    if (!key) return;
+    if (seen.has(key) && seen.get(key) !== owner) errors.push(`${what} "${key}" is used by both ${seen.get(key)} and ${owner}`);
+    else if (seen.has(key)) errors.push(`${what} "${key}" is listed twice for ${owner}`);
+    else seen.set(key, owner);
+  };
+
+  const vendorKeys = new Map();
+  for (const [i, v] of vendors.entries()) {
+    if (!v || typeof v.name !== "string" || !v.name.trim()) { errors.push(`vendors[${i}] has no name`); continue; }
+    if (v.aliases != null && !Array.isArray(v.aliases)) errors.push(`vendor ${v.name}: aliases must be an array`);
+    if (v.collection != null && typeof v.collection !== "string") errors.push(`vendor ${v.name}: collection must be a handle string`);
+    claim(vendorKeys, termKey(v.name), v.name, "Vendor name/alias");
+    for (const a of v.aliases || []) claim(vendorKeys, termKey(String(a)), v.name, "Vendor name/alias");
+  }
+
+  const typeKeys = new Map();
+  const compiled = [];
+  for (const [i, t] of types.entries()) {
+    if (!t || typeof t.name !== "string" || !t.name.trim()) { errors.push(`productTypes[${i}] has no name`); continue; }
+    if (t.synonyms != null && !Array.isArray(t.synonyms)) { errors.push(`product type ${t.name}: synonyms must be an array`); continue; }
+    if (t.priority != null && !Number.isFinite(t.priority)) errors.push(`product type ${t.name}: priority must be a number`);
+    if (t.collection != null && typeof t.collection !== "string") errors.push(`product type ${t.name}: collection must be a handle string`);
+    claim(typeKeys, termKey(t.name), t.name, "Product type name/synonym");
+    for (const s of t.synonyms || []) {
+      claim(typeKeys, termKey(String(s)), t.name, "Product type name/synonym");
+      try {
+        compiled.push({ owner: t.name, term: s, match: compileTerm(String(s)) });
+      } catch (err) {
+        errors.push(`product type ${t.name}: invalid synonym ${s} (${err.message})`);
+      }
+    }
+  }
+
+  // a synonym that fires on another type's own name makes detection depend on list order
+  for (const { owner, term, match } of compiled) {
+    for (const t of types) {
+      if (t && t.name && t.name !== owner && match(words(t.name)).length) {
+        errors.push(`Synonym ${term} of ${owner} also matches product type ${t.name}`);
+      }
+    }
+  }
+
+  const detection = data && data.detection;
+  if (detection != null) {
+    for (const [source, w] of Object.entries(detection.weights || {})) {
+      if (!Number.isFinite(w) || w < 0) errors.push(`detection.weights.${source} must be a number >= 0`);
+    }
+    if (detection.minConfidence != null && !(detection.minConfidence >= 0 && detection.minConfidence <= 1)) {
+      errors.push("detection.minConfidence must be between 0 and 1");
+    }
+  }
+
+  const typeNames = new Set(types.filter(t => t && t.name).map(t => termKey(t.name)));
+  for (const v of vendors) {
+    if (v && v.name && typeNames.has(termKey(v.name))) warnings.push(`"${v.name}" is both a vendor and a product type`);
+  }
+  return { errors, warnings };
+}
+
+// One entry per line keeps diffs of API edits readable
+function formatTaxonomy(data) {
+  const list = (items) => items.map(x => `    ${JSON.stringify(x)}`).join(",\n");
+  const rest = Object.entries(data).filter(([k]) => k !== "vendors" && k !== "productTypes")
+    .map(([k, v]) => `  ${JSON.stringify(k)}: ${JSON.stringify(v)},\n`).join("");
+  return `{\n${rest}  "vendors": [\n${list(data.vendors)}\n  ],\n  "productTypes": [\n${list(data.productTypes)}\n  ]\n}\n`;
+}
+
+// Matches in one source; a match inside a longer one of another entry ("North" in "North Scooters",
+// "Deck" in "Deck End") does not count
+function matchesIn(entries, text) {
+  const hits = [];
+  for (const entry of entries) {
+    for (const t of entry.terms) {
+      for (const span of t.match(text)) hits.push({ entry, term: t.term, synonym: t.synonym, span });
+    }
+  }
+  const len = (h) => h.span[1] - h.span[0];
+  return hits.filter(h => !hits.some(o => o.entry !== h.entry && len(o) > len(h) && o.span[0] <= h.span[0] && o.span[1] >= h.span[1]));
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * rank(entries, sources, weights) -> { value, confidence, candidates: [{ name, score, evidence: [{ source, term }] }] }
+ * Each source a candidate is found in adds its weight once. Candidates rank by the strongest source they were
+ * found in, then priority (product types), then total score. Confidence is the winner's score (capped at 1)
+ * scaled by its share of the winner + strongest rival scores.
+ */
+function rank(entries, sources, weights) {
+  const found = new Map();
+  for (const [source, raw] of Object.entries(sources)) {
+    const weight = weights[source] || 0;
+    if (!raw || !weight) continue;
+    for (const hit of matchesIn(entries, words(raw))) {
+      const c = found.get(hit.entry) || { entry: hit.entry, score: 0, best: 0, synonym: false, evidence: [] };
+      if (!c.evidence.some(e => e.source === source)) {
+        c.score += weight;
+        c.best = Math.max(c.best, weight);
+        c.evidence.push({ source, term: hit.term });
+      }
+      c.synonym = c.synonym || hit.synonym;
+      found.set(hit.entry, c);
+    }
+  }
+
+  const list = Array.from(found.values()).sort((a, b) =>
+    b.best - a.best || b.entry.priority - a.entry.priority || b.score - a.score ||
+    b.synonym - a.synonym || a.entry.order - b.entry.order);
+  if (!list.length) return { value: null, confidence: 0, candidates: [] };
+
+  const [top, ...others] = list;
+  const rival = Math.max(0, ...others.map(c => c.score));
+  return {
+    value: top.entry.name,
+    confidence: round2(Math.min(1, top.score) * (top.score / (top.score + rival))),
+    candidates: list.slice(0, 3).map(c => ({ name: c.entry.name, score: round2(c.score), evidence: c.evidence }))
+  };
+}
+
+/**
+ * createTaxonomy({ file })
+ *  detect({ title, breadcrumb, search, specs, description, body }) ->
+ *    { vendor, product_type } each { value, confidence, candidates } (see rank())
+ *  reviewReasons(detection) -> why a detection should be checked by a person ([] when confident)
+ *  detectVendor(text) / detectProductType(text) -> name | null, from a single text
+ *  collectionsFor({ vendor, productType }) -> [handle]
+ *  get() -> { vendors, productTypes, detection, warnings }
+ *  addVendor / updateVendor / removeVendor, addProductType / updateProductType / removeProductType
+ *    -> validated and written back to the file; TaxonomyError (statusCode 400/404/409) otherwise
+ */
+function createTaxonomy({ file }) {
+  let compiledFor = null, compiled = null;
+
+  function load() {
+    const data = readJson(file);
+    if (compiledFor === data) return compiled;
+
+    const { errors, warnings } = validateTaxonomy(data);
+    if (errors.length) throw new TaxonomyError(`taxonomy: ${errors.join("; ")}`, { statusCode: 500, errors });
+    for (const w of warnings) console.warn(`⚠️ taxonomy: ${w}`);
+
+    const term = (t, synonym) => ({ term: t, synonym, match: compileTerm(t) });
+    // vendors tie-break on the longest name/alias, product types on file order
+    const longest = (v) => Math.max(...[v.name, ...(v.aliases || [])].map(t => t.length));
+    const vendors = data.vendors.slice().sort((a, b) => longest(b) - longest(a)).map((v, order) => ({
+      name: v.name, order, priority: 0,
+      terms: [term(v.name, false), ...(v.aliases || []).map(a => term(a, true))]
+    }));
+    const types = data.productTypes.map((t, order) => ({
+      name: t.name, order, priority: t.priority || 0,
+      terms: [term(t.name, false), ...(t.synonyms || []).map(s => term(s, true))]
+    }));
+    const detection = {
+      weights: { ...DEFAULT_DETECTION.weights, ...((data.detection || {}).weights || {}) },
+      minConfidence: (data.detection || {}).minConfidence ?? DEFAULT_DETECTION.minConfidence
+    };
+    compiled = { data, warnings, vendors, types, detection };
+    compiledFor = data;
+    return compiled;
+  }
+
+  function detect(sources) {
+    const { vendors, types, detection } = load();
+    return {
+      vendor: rank(vendors, sources, detection.weights),
+      product_type: rank(types, sources, detection.weights)
+    };
+  }
+
+  function reviewReasons(detection) {
+    const { minConfidence } = load().detection;
+    const reasons = [];
+    for (const [field, label] of [["vendor", "Vendor"], ["product_type", "Product type"]]) {
+      const d = detection[field];
+      if (!d || !d.value) reasons.push(`${label} not detected`);
+      else if (d.confidence < minConfidence) {
+        const where = d.candidates[0].evidence.map(e => e.source).join(", ");
+        reasons.push(`${label} ${d.value} has low confidence ${d.confidence} (found in ${where})`);
+      }
+    }
+    return reasons;
+  }
+
+  const detectVendor = (text) => rank(load().vendors, { body: text }, { body: 1 }).value;
+  const detectProductType = (text) => rank(load().types, { body: text }, { body: 1 }).value;
+
+  function collectionsFor({ vendor, productType } = {}) {
+    const { data } = load();
+    const v = data.vendors.find(x => x.name === vendor);
+    const t = data.productTypes.find(x => x.name === productType);
+    return [...new Set([v && v.collection, t && t.collection].filter(Boolean))];
+  }
+
+  function get() {
+    const { data, warnings, detection } = load();
+    return { vendors: data.vendors, productTypes: data.productTypes, detection, warnings };
+  }
+
+  // Apply an edit to a copy, validate it, then write it back
+  function edit(fn) {
+    const next = JSON.parse(JSON.stringify(readJson(file)));
+    const entry = fn(next);
+    const { errors } = validateTaxonomy(next);
+    if (errors.length) throw new TaxonomyError("Taxonomy change rejected", { statusCode: 400, errors });
+    writeJson(file, next, formatTaxonomy(next));
+    return entry;
+  }
+
+  const same = (a, b) => termKey(a) === termKey(b);
+
+  // Shared CRUD for both lists; `clean` keeps only the known fields
+  function crud(listKey, label, clean) {
+    const find = (data, name) => data[listKey].findIndex(x => same(x.name, name));
+    return {
+      add(entry) {
+        return edit(data => {
+          const value = clean(entry);
+          if (find(data, value.name) !== -1) throw new TaxonomyError(`${label} ${value.name} already exists`, { statusCode: 409 });
+          data[listKey].push(value);
+          return value;
+        });
+      },
+      update(name, patch) {
+        return edit(data => {
+          const i = find(data, name);
+          if (i === -1) throw new TaxonomyError(`${label} ${name} not found`, { statusCode: 404 });
+          data[listKey][i] = clean({ ...data[listKey][i], ...patch });
+          return data[listKey][i];
+        });
+      },
+      remove(name) {
+        return edit(data => {
+          const i = find(data, name);
+          if (i === -1) throw new TaxonomyError(`${label} ${name} not found`, { statusCode: 404 });
+          return data[listKey].splice(i, 1)[0];
+        });
+      }
+    };
+  }
+
+  const strings = (list) => (Array.isArray(list) ? list.map(String).map(s => s.trim()).filter(Boolean) : list);
+  const vendors = crud("vendors", "Vendor", ({ name, aliases, collection }) => ({
+    name: String(name || "").trim(),
+    ...(aliases && aliases.length ? { aliases: strings(aliases) } : {}),
+    ...(collection ? { collection } : {})
+  }));
+  const productTypes = crud("productTypes", "Product type", ({ name, synonyms, priority, collection }) => ({
+    name: String(name || "").trim(),
+    ...(synonyms && synonyms.length ? { synonyms: strings(synonyms) } : {}),
+    ...(priority ? { priority: Number(priority) } : {}),
+    ...(collection ? { collection } : {})
+  }));
+
+  return {
+    detect,
+    reviewReasons,
+    detectVendor,
+    detectProductType,
+    collectionsFor,
+    get,
+    addVendor: vendors.add,
+    updateVendor: vendors.update,
+    removeVendor: vendors.remove,
+    addProductType: productTypes.add,
+    updateProductType: productTypes.update,
+    removeProductType: productTypes.remove
+  };
+}
+
+module.exports = { createTaxonomy, validateTaxonomy, TaxonomyError };
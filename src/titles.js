@@ -0,0 +1,170 @@
+// src/titles.js
+// Shopify titles from per-product-type templates in config/titles.json (re-read when it changes),
+// filled with the detected type/vendor, Centrano's title, the search term, colours and sizes.
+// Vendor / product type detection lives in src/taxonomy.js (config/taxonomy.json).
+const { readJson } = require("./configFile");
+
+function isSCS(title) {
+  return /\bscs\b/i.test(title);
+}
+
+// ---------- Title helpers ----------
+function stripDiacritics(s) {
+  return (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+// Remove duplicated words while preserving the original spacing/casing of the first occurrence.
+// "Trotineta Tilt Tilt Contact Pro Pro" -> "Trotineta Tilt Contact Pro"
+function dedupeTitleWords(title) {
+  if (!title) return title;
+  const tokens = title.split(/\s+/);
+  const seen = new Set();
+  const out = [];
+
+  for (const tok of tokens) {
+    // normalize each word for comparison (remove diacritics, lowercase, strip non-alphanumerics)
+    const key = stripDiacritics(tok).toLowerCase().replace(/[^a-z0-9]+/gi, "");
+    if (!key) {                 // keep punctuation-ish tokens as-is
+      out.push(tok);
+      continue;
+    }
+    if (!seen.has(key)) {
+      seen.add(key);
+      out.push(tok);
+    }
+  }
+  return out.join(" ").replace(/\s{2,}/g, " ").trim();
+}
+
+function toTitleCase(str) {
+  return (str || "").replace(/\S+/g, w => w[0].toUpperCase() + w.slice(1).toLowerCase());
+}
+
+/* ---------------- Templates (config/titles.json) ---------------- */
+
+// Fields a template can use; "{search|model}" takes the first one that is not empty
+const TITLE_FIELDS = ["type", "product_type", "vendor", "model", "search", "title", "colour", "colours", "sizes"];
+const FIELD_RE = /\{([\w|]+)\}/g;
+
+const wordKey = (w) => stripDiacritics(w).toLowerCase().replace(/[^a-z0-9]+/g, "");
+
+// "S", "M", "XL" -> "S-XL"; one size -> as is
+function sizeRange(sizes) {
+  const list = (sizes || []).filter(Boolean);
+  if (list.length < 2) return list[0] || "";
+  return `${list[0]}-${list[list.length - 1]}`;
+}
+
+/**
+ * titleFields({ type, productType, vendor, searchTerm, sourceTitle, colours, sizes }) -> template fields
+ * `model` is Centrano's own title without the vendor and display type words; `type` is the display type
+ * (e.g. "SCS" for an SCS clamp), `product_type` the Shopify one.
+ */
+function titleFields({ type, productType, vendor, searchTerm, sourceTitle, colours = [], sizes = [] }) {
+  const drop = new Set([vendor, type || productType].filter(Boolean).flatMap(s => s.split(/\s+/)).map(wordKey));
+  const model = (sourceTitle || "").split(/\s+/).filter(w => w && !drop.has(wordKey(w))).join(" ");
+  return {
+    type: type || productType || "",
+    product_type: productType || "",
+    vendor: vendor || "",
+    model,
+    search: searchTerm || "",
+    title: sourceTitle || "",
+    colour: colours.length === 1 ? colours[0] : "",
+    colours: colours.join(" / "),
+    sizes: sizeRange(sizes)
+  };
+}
+
+function unknownFields(template) {
+  return Array.from(String(template).matchAll(FIELD_RE), m => m[1].split("|"))
+    .flat()
+    .filter(name => !TITLE_FIELDS.includes(name));
+}
+
+// Dictionary words keep their casing ("SCS", "BMX", "HangUp"); `codes` upper-cases model codes ("G4")
+function applyCasing(title, { casing = new Map(), codes = null } = {}) {
+  return title.replace(/[\p{L}\p{N}]+/gu, w => casing.get(w.toLowerCase()) || (codes && codes.test(w) ? w.toUpperCase() : w));
+}
+
+/**
+ * renderTitle(template, fields, { casing, codes }) -> title
+ * Fills the template, drops separators left dangling by empty fields, title-cases,
+ * removes repeated words (vendor words inside the model, ...) and applies the casing dictionary.
+ */
+function renderTitle(template, fields, casingRules) {
+  const filled = String(template).replace(FIELD_RE, (_, names) => {
+    for (const name of names.split("|")) {
+      const value = fields[name];
+      if (value != null && String(value).trim()) return String(value).trim();
+    }
+    return "";
+  });
+  const tidy = filled
+    .replace(/\s+/g, " ")
+    .replace(/\s*[,/-](?=\s*(?:[,/-]|$))/g, "")
+    .replace(/^\s*[,/-]\s*/, "")
+    .trim();
+  return applyCasing(dedupeTitleWords(toTitleCase(tidy)), casingRules);
+}
+
+/**
+ * createTitleTemplates({ file, taxonomy })
+ *  render(fields, { template }) -> title, with the product type's template unless one is given
+ *  templateFor(productType) / get() -> { default, productTypes, casing, codes }
+ * Vendor and product type names from the taxonomy are part of the casing dictionary.
+ */
+function createTitleTemplates({ file, taxonomy }) {
+  let cacheKey = null, compiled = null;
+
+  function load() {
+    const config = readJson(file);
+    const names = taxonomy ? taxonomy.get() : { vendors: [], productTypes: [] };
+    if (cacheKey && cacheKey.config === config && cacheKey.vendors === names.vendors && cacheKey.types === names.productTypes) return compiled;
+
+    for (const [type, template] of Object.entries({ default: config.default, ...(config.productTypes || {}) })) {
+      const unknown = unknownFields(template || "");
+      if (typeof template !== "string" || unknown.length) {
+        throw new Error(`titles: template for ${type} is invalid${unknown.length ? ` (unknown fields: ${unknown.join(", ")})` : ""}`);
+      }
+    }
+    const casing = new Map();
+    for (const entry of [...names.vendors, ...names.productTypes]) {
+      for (const w of entry.name.split(/\s+/)) casing.set(w.toLowerCase(), w);
+    }
+    for (const w of config.casing || []) casing.set(w.toLowerCase(), w);
+    compiled = { config, rules: { casing, codes: config.codes ? new RegExp(config.codes, "i") : null } };
+    cacheKey = { config, vendors: names.vendors, types: names.productTypes };
+    return compiled;
+  }
+
+  function templateFor(productType) {
+    const { config } = load();
+    const byType = Object.entries(config.productTypes || {})
+      .find(([type]) => productType && type.toLowerCase() === String(productType).toLowerCase());
+    return byType ? byType[1] : config.default;
+  }
+
+  function render(fields, { template } = {}) {
+    if (template != null) {
+      const unknown = unknownFields(template);
+      if (unknown.length) {
+        const err = new Error(`Unknown title field(s): ${unknown.join(", ")}; use ${TITLE_FIELDS.join(", ")}`);
+        err.statusCode = 400;
+        throw err;
+      }
+    }
+    return renderTitle(template ?? templateFor(fields.product_type), fields, load().rules);
+  }
+
+  function get() {
+    const { config } = load();
+    return { default: config.default, productTypes: config.productTypes || {}, casing: config.casing || [], codes: config.codes || null, fields: TITLE_FIELDS };
+  }
+
+  return { render, templateFor, get };
+}
+
+module.exports = {
+  TITLE_FIELDS, isSCS, stripDiacritics, toTitleCase, dedupeTitleWords, titleFields, renderTitle, createTitleTemplates
+};
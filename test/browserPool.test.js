@@ -0,0 +1,116 @@
+// Browser session pool on a stub browser: session reuse, queueing past the pool size, re-login and recycling
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { createBrowserPool, SessionExpiredError } = require("../src/browserPool");
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Stands in for puppeteer.launch: browsers, incognito contexts and pages that only record what happened
+function stubPuppeteer() {
+  const browsers = [];
+  const launch = async (options) => {
+    const browser = Object.assign(new EventEmitter(), { options, contexts: [] });
+    browser.createIncognitoBrowserContext = async () => {
+      const context = { pages: [], closed: false };
+      context.newPage = async () => {
+        const page = { context, closed: false, close: async () => { page.closed = true; } };
+        context.pages.push(page);
+        return page;
+      };
+      context.close = async () => { context.closed = true; };
+      browser.contexts.push(context);
+      return context;
+    };
+    browser.close = async () => browser.emit("disconnected");
+    browsers.push(browser);
+    return browser;
+  };
+  return { launch, browsers };
+}
+
+function pool(options = {}) {
+  const stub = stubPuppeteer();
+  const logins = [];
+  const browserPool = createBrowserPool({
+    size: 2,
+    launchOptions: { headless: "new" },
+    login: async (page) => { logins.push(page.context); },
+    isLoggedOut: async (page) => page.loggedOut === true,
+    launch: stub.launch,
+    ...options
+  });
+  return { pool: browserPool, logins, ...stub };
+}
+
+test("a session logs in once and is reused; every call gets its own page, closed afterwards", async () => {
+  const { pool: browserPool, logins, browsers } = pool({ size: 1 });
+  const pages = [];
+  for (let i = 0; i < 3; i++) assert.equal(await browserPool.withPage(async (page) => { pages.push(page); return i; }), i);
+
+  assert.equal(browsers.length, 1);
+  assert.deepEqual(browsers[0].options, { headless: "new" });
+  assert.equal(browsers[0].contexts.length, 1);
+  assert.equal(logins.length, 1);
+  assert.equal(new Set(pages).size, 3);
+  assert.ok(pages.every(p => p.closed && p.context === browsers[0].contexts[0]));
+  assert.deepEqual(browserPool.stats(), { size: 1, busy: 0, waiting: 0, sessions: [{ id: 0, loggedIn: true, busy: false, uses: 3 }] });
+});
+
+test("callers past the pool size wait for a session and get it when one is released", async () => {
+  const { pool: browserPool, browsers } = pool({ size: 2 });
+  let running = 0, busiest = 0;
+  const order = [];
+  const job = (name, ms) => browserPool.withPage(async () => {
+    running++;
+    busiest = Math.max(busiest, running);
+    order.push(name);
+    await sleep(ms);
+    running--;
+    return name;
+  });
+
+  const jobs = [job("a", 80), job("b", 10), job("c", 5), job("d", 5)];
+  await sleep(1);
+  assert.deepEqual([browserPool.stats().busy, browserPool.stats().waiting], [2, 2]);
+  assert.deepEqual(await Promise.all(jobs), ["a", "b", "c", "d"]);
+  assert.equal(busiest, 2);
+  assert.deepEqual(order, ["a", "b", "c", "d"]);
+  assert.equal(browsers[0].contexts.length, 2);
+  assert.deepEqual(browserPool.stats().sessions.map(s => [s.busy, s.uses]), [[false, 1], [false, 3]]);
+});
+
+test("an expired session logs in again and retries once; any failure releases the session", async () => {
+  const { pool: browserPool, logins } = pool({ size: 1 });
+  let calls = 0;
+  const result = await browserPool.withPage(async (page) => {
+    calls++;
+    page.loggedOut = calls === 1;
+    await browserPool.assertLoggedIn(page);
+    return "scraped";
+  });
+  assert.deepEqual([result, calls, logins.length], ["scraped", 2, 2]);
+
+  // still logged out after the new login: the error reaches the caller, the session is free again
+  await assert.rejects(browserPool.withPage(async () => { throw new SessionExpiredError(); }), SessionExpiredError);
+  await assert.rejects(browserPool.withPage(async () => { throw new Error("selector not found"); }), /selector not found/);
+  assert.equal(browserPool.stats().busy, 0);
+  assert.equal(await browserPool.withPage(async () => "next"), "next");
+});
+
+test("a crashed page recycles its session's context, and a lost browser is launched again", async () => {
+  const { pool: browserPool, logins, browsers } = pool({ size: 1 });
+  await browserPool.withPage(async () => {});
+  await assert.rejects(browserPool.withPage(async () => { throw new Error("Protocol error (Runtime.callFunctionOn): Target closed."); }), /Target closed/);
+
+  const [crashed] = browsers[0].contexts;
+  assert.equal(crashed.closed, true);
+  await browserPool.withPage(async (page) => assert.notEqual(page.context, crashed));
+  assert.deepEqual([browsers[0].contexts.length, logins.length], [2, 2]);
+
+  browsers[0].emit("disconnected");
+  assert.equal(browserPool.stats().sessions[0].loggedIn, false);
+  await browserPool.withPage(async (page) => assert.equal(page.context, browsers[1].contexts[0]));
+  assert.deepEqual([browsers.length, logins.length], [2, 3]);
+  await browserPool.close();
+});
@@ -0,0 +1,107 @@
+// Scrape catalogue: records and snapshots on disk, re-scrapes, list filters and paging, published state
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createCatalog, catalogId } = require("../src/catalog");
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "catalog-"));
+  dirs.push(dir);
+  return dir;
+}
+
+const result = (over = {}) => ({
+  status: { step: "done" },
+  products_id: "4711",
+  title: "Trotinetă Tilt Classic",
+  vendor: "Tilt",
+  product_type: "Trotinete",
+  options: [{ name: "Colour", values: ["Negru", "Alb"] }],
+  variants: [{ option1: "Negru" }, { option1: "Alb" }],
+  images: [{ url: "http://me/processed/4711/a.jpg" }],
+  imageUrls: ["http://me/processed/4711/a.jpg"],
+  count: 1,
+  ...over
+});
+
+test("catalogId: the products_id, else the search term it was found with", () => {
+  assert.equal(catalogId({ products_id: 4711, search_term: "tilt" }), "4711");
+  assert.equal(catalogId({ search_term: "Mânere Tilt / Grips" }), "q-manere-tilt-grips");
+  assert.equal(catalogId({}), null);
+});
+
+test("a scrape is recorded with its snapshot, a re-scrape keeps the first date and, for syncs, the images", async () => {
+  const dir = tempDir();
+  const catalog = createCatalog({ dir });
+  const first = catalog.recordScrape(result(), { html: "<h1>Tilt Classic</h1>" });
+  assert.deepEqual([first.id, first.scrape_count, first.shopify, first.status], ["4711", 1, null, undefined]);
+  assert.equal(first.snapshot.bytes, 21);
+  assert.equal(catalog.snapshot("4711"), "<h1>Tilt Classic</h1>");
+  assert.equal(catalog.recordScrape({ title: "No id" }), null);
+
+  await sleep(2);
+  const sync = catalog.recordScrape(result({ images: [], imageUrls: [], count: 0, title: "Trotinetă Tilt Classic 2026" }), { keepImages: true });
+  assert.deepEqual([sync.scrape_count, sync.first_scraped_at, sync.title], [2, first.first_scraped_at, "Trotinetă Tilt Classic 2026"]);
+  assert.notEqual(sync.scraped_at, first.scraped_at);
+  assert.deepEqual([sync.imageUrls, sync.count], [first.imageUrls, 1]);
+
+  // records survive a restart; ids that could leave the folder are refused
+  const reopened = createCatalog({ dir });
+  assert.equal(reopened.get("4711").title, "Trotinetă Tilt Classic 2026");
+  assert.equal(reopened.snapshot("4711"), "<h1>Tilt Classic</h1>");
+  assert.equal(reopened.get("../4711"), null);
+  assert.equal(reopened.snapshot("4712"), null);
+});
+
+test("list filters by text, vendor, type, review and published state, newest first, in pages", async () => {
+  const catalog = createCatalog({ dir: tempDir() });
+  catalog.recordScrape(result());
+  await sleep(2);
+  catalog.recordScrape(result({ products_id: "4712", title: "Deck North Willow", vendor: "North Scooters", product_type: "Deck", options: [] }));
+  await sleep(2);
+  catalog.recordScrape(result({ products_id: null, search_term: "roti tilt", title: "Roți Tilt 110mm", product_type: "Roti", needs_review: true }));
+  const ids = (query) => catalog.list(query).items.map(i => i.id);
+
+  assert.deepEqual(ids(), ["q-roti-tilt", "4712", "4711"]);
+  assert.deepEqual(ids({ q: "roți 110" }), ["q-roti-tilt"]);
+  assert.deepEqual(ids({ q: "tilt alb" }), ["q-roti-tilt", "4711"]);
+  assert.deepEqual(ids({ vendor: "north scooters" }), ["4712"]);
+  assert.deepEqual(ids({ product_type: "deck" }), ["4712"]);
+  assert.deepEqual(ids({ needs_review: true }), ["q-roti-tilt"]);
+  assert.deepEqual(ids({ needs_review: false }), ["4712", "4711"]);
+
+  const page = catalog.list({ limit: 2, offset: 1 });
+  assert.equal(page.total, 3);
+  assert.deepEqual(page.items.map(i => i.id), ["4712", "4711"]);
+  assert.deepEqual(page.items[1], {
+    id: "4711", products_id: "4711", search_term: null, title: "Trotinetă Tilt Classic", vendor: "Tilt", product_type: "Trotinete",
+    needs_review: false, variants: 2, images: 1, scraped_at: catalog.get("4711").scraped_at, scrape_count: 1, shopify_product_id: null
+  });
+
+  assert.equal(catalog.markPublished("4712", { product_id: 9001, handle: "deck-north-willow", status: "created" }).shopify.product_id, 9001);
+  assert.deepEqual(ids({ published: true }), ["4712"]);
+  assert.deepEqual(ids({ published: false }), ["q-roti-tilt", "4711"]);
+});
+
+test("markPublished keeps the first publication date and the handle across updates", async () => {
+  const dir = tempDir();
+  const catalog = createCatalog({ dir });
+  catalog.recordScrape(result());
+  assert.equal(catalog.markPublished("4712", { product_id: 1 }), null);
+
+  const created = catalog.markPublished("4711", { product_id: 9001, handle: "trotineta-tilt-classic", status: "created" }).shopify;
+  await sleep(2);
+  const updated = catalog.markPublished("4711", { product_id: 9001, status: "updated" }).shopify;
+  assert.deepEqual([updated.handle, updated.status, updated.published_at], ["trotineta-tilt-classic", "updated", created.published_at]);
+  assert.notEqual(updated.updated_at, created.updated_at);
+
+  // a re-scrape does not forget the store product
+  assert.equal(catalog.recordScrape(result()).shopify.product_id, 9001);
+  assert.deepEqual(createCatalog({ dir }).get("4711").shopify, updated);
+});
@@ -0,0 +1,93 @@
+// Browser-less Centrano backend against a local stand-in: cookie login, AJAX endpoints, re-login and typed errors
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createCentranoHttp } = require("../src/centranoHttp");
+const { ScrapeError, classifyError } = require("../src/scrapeErrors");
+
+const LOGIN_FORM = `<form name="login" action="login.php?action=process" method="post">
+  <input type="hidden" name="formid" value="f0rm1d"><input type="text" name="email_address"><input type="password" name="password">
+</form>`;
+
+// Centrano as the client sees it: a login form with an osCommerce formid, a session cookie set on the 302,
+// and the two AJAX endpoints, which answer with the login form once the session is gone
+async function centrano(t) {
+  const state = { sessions: new Set(), logins: [], requests: [] };
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  const session = (req) => ((req.get("cookie") || "").match(/osCsid=(\w+)/) || [])[1];
+  const loggedIn = (req) => state.sessions.has(session(req));
+  app.use((req, res, next) => { state.requests.push(`${req.method} ${req.path}`); next(); });
+
+  app.get("/ro/login.php", (req, res) => res.send(`<html><body>${LOGIN_FORM}</body></html>`));
+  app.post("/ro/login.php", (req, res) => {
+    state.logins.push({ ...req.body, action: req.query.action });
+    if (req.body.formid !== "f0rm1d" || req.body.password !== "secret") return res.send(`<p>Eroare</p>${LOGIN_FORM}`);
+    const id = `s${state.logins.length}`;
+    state.sessions.add(id);
+    res.set("Set-Cookie", `osCsid=${id}; path=/; HttpOnly`).redirect(302, "/ro/account.php");
+  });
+  app.get("/ro/account.php", (req, res) => res.send(loggedIn(req) ? "<h1>Contul meu</h1>" : LOGIN_FORM));
+
+  app.get("/ajax_productlist.php", (req, res) => {
+    if (!loggedIn(req)) return res.send(LOGIN_FORM);
+    res.send(`<div class="column column-block" onclick="open_product_box(4711)"><h3>${req.query.keywords}</h3> 99,00 €</div>`);
+  });
+  app.get("/ajax_productinfo.php", (req, res) => {
+    const id = req.query.products_id;
+    if (id === "503") return res.sendStatus(503);
+    if (!loggedIn(req)) return res.send(`<html>${LOGIN_FORM}</html>`);
+    if (id === "4711") return res.json({ listing: "<h3>North Club G4</h3>", description: "<p>Trotinetă</p>", specs: "", specs2: "" });
+    if (id === "404") return res.json({ listing: "" });
+    res.send("<html><body>Site în mentenanță</body></html>");
+  });
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return { state, origin, client: (over = {}) => createCentranoHttp({ email: "shop@example.com", password: "secret", origin, timeoutMs: 2000, ...over }) };
+}
+
+test("logs in once with the form's hidden fields, keeps the cookie set on the redirect and uses it for the AJAX calls", async (t) => {
+  const site = await centrano(t);
+  const http = site.client();
+
+  const [info, html] = await Promise.all([http.productInfo("4711"), http.search("north club")]);
+  assert.equal(info.listing, "<h3>North Club G4</h3>");
+  assert.match(html, /open_product_box\(4711\)[\s\S]*north club/);
+  assert.deepEqual(site.state.logins, [{ formid: "f0rm1d", email_address: "shop@example.com", password: "secret", action: "process" }]);
+  assert.deepEqual(site.state.requests.slice(0, 3), ["GET /ro/login.php", "POST /ro/login.php", "GET /ro/account.php"]);
+});
+
+test("an expired session logs in again and the request is repeated once", async (t) => {
+  const site = await centrano(t);
+  const http = site.client();
+  await http.productInfo("4711");
+
+  site.state.sessions.clear();
+  assert.equal((await http.productInfo("4711")).description, "<p>Trotinetă</p>");
+  assert.equal(site.state.logins.length, 2);
+  assert.equal(site.state.requests.filter(r => r === "GET /ajax_productinfo.php").length, 3);
+});
+
+test("failures are typed; only a product Centrano does not have is a 404, which index.js does not retry in the browser", async (t) => {
+  const site = await centrano(t);
+  const isCode = (code, statusCode) => (err) => err instanceof ScrapeError && err.code === code && err.statusCode === statusCode;
+
+  await assert.rejects(site.client({ password: "wrong" }).productInfo("4711"), isCode("login_failed", 502));
+  await assert.rejects(site.client({ email: "" }).search("tilt"), isCode("login_failed", 502));
+  assert.equal(site.state.logins.length, 1);
+
+  const http = site.client();
+  await assert.rejects(http.productInfo("404"), isCode("product_not_found", 404));
+  await assert.rejects(http.productInfo("garbage"), (err) =>
+    isCode("unexpected_markup", 502)(err) && /mentenanță/.test(err.artefacts.html) && /products_id=garbage/.test(err.artefacts.url));
+
+  // a plain error from the HTTP layer: classified later as Centrano being down, so the browser fallback runs
+  const down = await http.productInfo("503").catch(err => err);
+  assert.ok(!(down instanceof ScrapeError));
+  assert.match(down.message, /responded 503/);
+  assert.deepEqual([classifyError(down).code, classifyError(down).statusCode], ["centrano_unavailable", 503]);
+});
@@ -0,0 +1,56 @@
+// Scrape error codes and the failure artefacts kept per run id
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ScrapeError, classifyError } = require("../src/scrapeErrors");
+const { SessionExpiredError } = require("../src/browserPool");
+const { createFailureStore, markStep, newRunId } = require("../src/failures");
+
+test("errors map to codes, HTTP statuses and whether a retry can help", () => {
+  const timeout = Object.assign(new Error("Waiting for selector `div.medium-24.large-5.columns` failed"), { name: "TimeoutError" });
+  const cases = [
+    [new ScrapeError("no_results", "nothing"), "no_results", 404, false],
+    [new SessionExpiredError(), "login_failed", 502, true],
+    [timeout, "product_popup_timeout", 504, true],
+    [new Error("Failed to fetch image: https://www.centrano.com/images/1.jpg"), "image_download_failed", 502, true],
+    [new Error("Centrano https://www.centrano.com/ responded 503"), "centrano_unavailable", 503, true],
+    [new TypeError("Cannot read properties of undefined"), "internal", 500, true]
+  ];
+  for (const [err, code, statusCode, retryable] of cases) {
+    const typed = classifyError(err);
+    assert.deepEqual([typed.code, typed.statusCode, typed.retryable], [code, statusCode, retryable], err.message);
+  }
+  const withPage = Object.assign(new Error("boom"), { artefacts: { html: "<p>x</p>" } });
+  assert.deepEqual(classifyError(withPage).artefacts, { html: "<p>x</p>" });
+});
+
+test("a failed run keeps its report, page and screenshot; old runs are pruned", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "failures-"));
+  const store = createFailureStore({ dir, keep: 2 });
+  const status = { started_at: new Date().toISOString() };
+  markStep(status, "login");
+  markStep(status, "search");
+
+  const ids = ["2026-01-01T00-00-00-000Z-aaaaaa", "2026-01-02T00-00-00-000Z-bbbbbb", newRunId()];
+  for (const id of ids) {
+    store.record(id, {
+      error: new ScrapeError("product_popup_timeout", "Product popup did not open"),
+      input: { searchTerm: "club g4" },
+      status,
+      artefacts: { url: "https://www.centrano.com/", html: "<html></html>", screenshot: Buffer.from("png") }
+    });
+  }
+
+  const report = store.get(ids[2]);
+  assert.equal(report.code, "product_popup_timeout");
+  assert.equal(report.status_code, 504);
+  assert.deepEqual(report.timings.map(t => t.step), ["login", "search"]);
+  assert.deepEqual(report.files, ["html", "screenshot"]);
+  assert.equal(fs.readFileSync(store.file(ids[2], "html"), "utf8"), "<html></html>");
+  assert.deepEqual(store.list().map(r => r.id), [ids[2], ids[1]]);
+  assert.equal(store.get(ids[0]), null);
+  assert.equal(store.file("../x", "html"), null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
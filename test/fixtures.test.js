@@ -0,0 +1,13 @@
+// Replays every saved Centrano page (test/fixtures) through the parsers and the listing builder.
+// After a deliberate parser change, re-record only the fixtures whose output it changes: node scripts/record-fixture.js <name> --refresh
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { listFixtures, loadFixture, expectedView, buildFixture } = require("./support/fixtures");
+
+for (const name of listFixtures()) {
+  test(`fixture ${name}`, () => {
+    const fixture = loadFixture(name);
+    assert.ok(fixture.expected, `${name}: expected.json is missing`);
+    assert.deepEqual(expectedView(buildFixture(fixture)), fixture.expected);
+  });
+}
@@ -0,0 +1,175 @@
+// Processed images: profile rendering, content-addressed files per product, no second download or copy of the same picture, retention
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const sharp = require("sharp");
+const { writeJson } = require("../src/configFile");
+const { createImageStore, hashFromUrl, renderProfile } = require("../src/images");
+
+const DAY = 86400000;
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const solid = (width, height, background) => sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+
+// A store on its own temp dir with one small profile
+function store(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+  dirs.push(dir);
+  writeJson(path.join(dir, "image-profiles.json"), {
+    defaultProfiles: ["main"],
+    profiles: { main: { width: 64, height: 64, background: "#ffffff", format: "jpeg" } }
+  });
+  const processed = path.join(dir, "processed");
+  return { processed, images: createImageStore({ dir: processed, profilesPath: path.join(dir, "image-profiles.json"), ...options }) };
+}
+
+// Serves pictures with an ETag and counts full downloads (304s excluded)
+async function imageServer(t, pictures) {
+  const downloads = {};
+  const app = express();
+  app.get("/:name", (req, res) => {
+    const body = pictures[req.params.name];
+    if (!body) return res.sendStatus(404);
+    const etag = `"${crypto.createHash("md5").update(body).digest("hex")}"`;
+    if (req.get("if-none-match") === etag) return res.sendStatus(304);
+    downloads[req.params.name] = (downloads[req.params.name] || 0) + 1;
+    res.set("ETag", etag).type("png").send(body);
+  });
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: (name) => `http://127.0.0.1:${server.address().port}/${name}`, downloads };
+}
+
+const age = (file, days) => {
+  const when = new Date(Date.now() - days * DAY);
+  fs.utimesSync(file, when, when);
+};
+
+// [r, g, b] of one pixel of an encoded image
+async function pixel(data, x, y) {
+  const { data: raw, info } = await sharp(data).raw().toBuffer({ resolveWithObject: true });
+  const i = (y * info.width + x) * info.channels;
+  return [raw[i], raw[i + 1], raw[i + 2]];
+}
+const near = (actual, expected) => actual.every((c, i) => Math.abs(c - expected[i]) <= 24);
+
+test("a profile trims the white border, fits the picture inside its padding and fills the rest with the background", async () => {
+  // a 40x20 red bar on a white 100x60 canvas
+  const bar = await sharp({ create: { width: 100, height: 60, channels: 3, background: "#ffffff" } })
+    .composite([{ input: await solid(40, 20, "#ff0000"), left: 30, top: 20 }]).png().toBuffer();
+  const profile = { width: 200, height: 200, trim: { threshold: 10 }, padding: 0.1, background: "#00ff00", format: "png" };
+  const { data, info } = await renderProfile(bar, profile, { configDir: os.tmpdir() });
+
+  assert.deepEqual([info.format, info.width, info.height], ["png", 200, 200]);
+  // trimmed to the bar, then 160x80 inside the 20px padding, centred
+  assert.ok(near(await pixel(data, 21, 100), [255, 0, 0]));
+  assert.ok(near(await pixel(data, 178, 100), [255, 0, 0]));
+  assert.ok(near(await pixel(data, 10, 100), [0, 255, 0]), "padding");
+  assert.ok(near(await pixel(data, 100, 50), [0, 255, 0]), "letterbox above the bar");
+
+  const untrimmed = await renderProfile(bar, { ...profile, trim: null, padding: 0 }, { configDir: os.tmpdir() });
+  assert.ok(near(await pixel(untrimmed.data, 5, 100), [255, 255, 255]), "without trim the white border stays");
+});
+
+test("a profile encodes to its format and lays the watermark in its corner", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+  dirs.push(dir);
+  fs.writeFileSync(path.join(dir, "logo.png"), await solid(10, 10, "#0000ff"));
+  const white = await solid(300, 300, "#ffffff");
+
+  const plain = await renderProfile(white, { width: 100, height: 100 }, { configDir: dir });
+  assert.deepEqual([plain.info.format, plain.info.width, plain.info.height], ["jpeg", 100, 100]);
+
+  const marked = await renderProfile(white, {
+    width: 100, height: 100, format: "webp",
+    watermark: { file: "logo.png", scale: 0.2, margin: 0.05, gravity: "southeast" }
+  }, { configDir: dir });
+  assert.deepEqual([marked.info.format, marked.info.width, marked.info.height], ["webp", 100, 100]);
+  // a 20px logo 5px from the bottom-right corner
+  assert.ok(near(await pixel(marked.data, 85, 85), [0, 0, 255]));
+  assert.ok(near(await pixel(marked.data, 97, 97), [255, 255, 255]), "margin");
+  assert.ok(near(await pixel(marked.data, 20, 20), [255, 255, 255]));
+});
+
+test("a processed image is stored under the hash of its bytes, with a manifest entry per source", async (t) => {
+  const red = await solid(40, 30, "#ff0000");
+  const server = await imageServer(t, { "red.png": red });
+  const { processed, images } = store();
+
+  const result = await images.processImage(server.url("red.png"), { productKey: "4711", baseUrl: "http://me" });
+  const file = `${result.hash}.jpg`;
+  const bytes = fs.readFileSync(path.join(processed, "4711", file));
+  assert.equal(result.hash, crypto.createHash("sha256").update(bytes).digest("hex").slice(0, 32));
+  assert.equal(result.url, `http://me/processed/4711/${file}`);
+  assert.equal(hashFromUrl(result.url), result.hash);
+  assert.equal(hashFromUrl(`https://cdn.shopify.com/s/files/1/${result.hash}_1024x.jpg?v=1`), result.hash);
+  assert.deepEqual(result.derivatives.map(d => [d.profile, d.format, d.width, d.height]), [["main", "jpeg", 64, 64]]);
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(processed, "4711", "manifest.json"), "utf8"));
+  const entry = manifest.images[server.url("red.png")];
+  assert.equal(entry.source_hash, crypto.createHash("sha256").update(red).digest("hex"));
+  assert.equal(entry.derivatives.main.file, file);
+  assert.ok(entry.etag);
+  assert.equal(await images.processImage(server.url("missing.png"), { productKey: "4711", baseUrl: "http://me" }), null);
+});
+
+test("the same picture is neither downloaded again nor stored twice", async (t) => {
+  const red = await solid(40, 30, "#ff0000");
+  const server = await imageServer(t, { "red.png": red, "copy.png": red, "blue.png": await solid(40, 30, "#0000ff") });
+  const { processed, images } = store();
+  const fetchOne = (name) => images.processImage(server.url(name), { productKey: "4711", baseUrl: "http://me" });
+
+  const first = await fetchOne("red.png");
+  const again = await fetchOne("red.png");
+  assert.deepEqual([again.hash, again.reused, server.downloads["red.png"]], [first.hash, true, 1]);
+
+  const copy = await fetchOne("copy.png");
+  assert.deepEqual([copy.hash, copy.reused], [first.hash, false]);
+  const blue = await fetchOne("blue.png");
+  assert.notEqual(blue.hash, first.hash);
+  assert.deepEqual(fs.readdirSync(path.join(processed, "4711")).sort(), [`${blue.hash}.jpg`, `${first.hash}.jpg`, "manifest.json"].sort());
+
+  // a derivative deleted behind the store's back is rendered again even though the source answers 304
+  fs.unlinkSync(path.join(processed, "4711", `${first.hash}.jpg`));
+  const rendered = await fetchOne("red.png");
+  assert.deepEqual([rendered.hash, rendered.reused], [first.hash, false]);
+  assert.ok(fs.existsSync(path.join(processed, "4711", `${first.hash}.jpg`)));
+});
+
+test("cleanup drops what was not used within the retention, but not the files of a scrape still running", async (t) => {
+  const server = await imageServer(t, { "red.png": await solid(40, 30, "#ff0000"), "blue.png": await solid(40, 30, "#0000ff") });
+  const { processed, images } = store({ retentionDays: 30 });
+  const red = await images.processImage(server.url("red.png"), { productKey: "old", baseUrl: "http://me" });
+  const blue = await images.processImage(server.url("blue.png"), { productKey: "used", baseUrl: "http://me" });
+
+  // "old": its only entry was last used 40 days ago
+  const oldManifest = path.join(processed, "old", "manifest.json");
+  const manifest = JSON.parse(fs.readFileSync(oldManifest, "utf8"));
+  manifest.images[server.url("red.png")].last_used_at = new Date(Date.now() - 40 * DAY).toISOString();
+  fs.writeFileSync(oldManifest, JSON.stringify(manifest));
+  age(path.join(processed, "old", `${red.hash}.jpg`), 40);
+  // "running": an expired manifest, but a file written a moment ago by a scrape that has not recorded it yet
+  fs.mkdirSync(path.join(processed, "running"));
+  fs.writeFileSync(path.join(processed, "running", "manifest.json"), JSON.stringify(manifest));
+  fs.writeFileSync(path.join(processed, "running", "f".repeat(32) + ".jpg"), "x");
+  // "empty": no manifest and only an old stray file; plus a legacy flat file
+  fs.mkdirSync(path.join(processed, "empty"));
+  fs.writeFileSync(path.join(processed, "empty", "stray.jpg"), "x");
+  age(path.join(processed, "empty", "stray.jpg"), 40);
+  fs.writeFileSync(path.join(processed, "processed_1.jpg"), "x");
+  age(path.join(processed, "processed_1.jpg"), 40);
+  fs.writeFileSync(path.join(processed, "used", "d".repeat(32) + ".jpg"), "x");
+  age(path.join(processed, "used", "d".repeat(32) + ".jpg"), 40);
+
+  assert.deepEqual(await images.cleanup(), { removedFiles: 4, removedDirs: 2 });
+  assert.deepEqual(fs.readdirSync(processed).sort(), ["running", "used"]);
+  assert.deepEqual(fs.readdirSync(path.join(processed, "running")).sort(), ["f".repeat(32) + ".jpg", "manifest.json"]);
+  assert.deepEqual(fs.readdirSync(path.join(processed, "used")).sort(), [`${blue.hash}.jpg`, "manifest.json"]);
+});
@@ -0,0 +1,81 @@
+// Batch job queue: shared worker pool, per-item retries with backoff, retryFailed and job.finished
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createJobQueue } = require("../src/jobs");
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function until(check, timeoutMs = 2000) {
+  for (const start = Date.now(); !check(); await sleep(5)) {
+    if (Date.now() - start > timeoutMs) throw new Error("timed out");
+  }
+}
+
+test("items of all jobs share the pool; a failing item is retried with a growing delay", async () => {
+  let running = 0, busiest = 0;
+  const attempts = {};
+  const queue = createJobQueue({
+    concurrency: 2,
+    maxAttempts: 3,
+    retryDelayMs: 20,
+    worker: async (input, ctx) => {
+      running++;
+      busiest = Math.max(busiest, running);
+      (attempts[input] = attempts[input] || []).push(Date.now());
+      await sleep(5);
+      running--;
+      if (input === "flaky" && ctx.attempt < 3) throw new Error("popup did not open");
+      return { title: input.toUpperCase(), meta: ctx.meta };
+    }
+  });
+
+  const first = queue.submit(["a", "flaky", "b"], { meta: { baseUrl: "http://me" } });
+  const second = queue.submit(["c"]);
+  assert.equal(first.state, "running");
+  const done = await first.finished;
+  await second.finished;
+
+  assert.equal(done, first);
+  assert.equal(first.state, "done");
+  assert.equal(busiest, 2);
+  assert.deepEqual(first.items.map(it => it.attempts), [1, 3, 1]);
+  assert.deepEqual(first.items[0].result, { title: "A", meta: { baseUrl: "http://me" } });
+  const [a1, a2, a3] = attempts.flaky;
+  assert.ok(a2 - a1 >= 20 && a3 - a2 >= 40, "backs off retryDelayMs × attempt");
+  assert.deepEqual(queue.summary(first).counts, { queued: 0, running: 0, retrying: 0, done: 3, failed: 0 });
+});
+
+test("an error marked retryable: false fails the item at once; retryFailed re-queues it with a fresh budget", async () => {
+  let available = false;
+  const queue = createJobQueue({
+    maxAttempts: 3,
+    retryDelayMs: 1,
+    worker: async (input) => {
+      if (input === "gone" && !available) throw Object.assign(new Error("No Centrano product matches"), { retryable: false, details: { code: "no_results" } });
+      if (input === "down") throw new Error("Centrano responded 503");
+      return input;
+    }
+  });
+
+  const job = queue.submit(["ok", "gone", "down"]);
+  await job.finished;
+  assert.equal(job.state, "partial");
+  assert.deepEqual(job.items.map(it => [it.state, it.attempts]), [["done", 1], ["failed", 1], ["failed", 3]]);
+  assert.deepEqual(job.items[1].errorDetails, { code: "no_results" });
+
+  available = true;
+  assert.equal(queue.retryFailed(job.id), 2);
+  assert.deepEqual([job.state, job.finishedAt, job.items[0].state], ["running", null, "done"]);
+  await until(() => job.finishedAt);
+  assert.deepEqual(job.items.map(it => [it.state, it.attempts]), [["done", 1], ["done", 1], ["failed", 3]]);
+  assert.equal(job.state, "partial");
+  assert.equal(queue.retryFailed("no-such-job"), null);
+});
+
+test("a job's own maxAttempts overrides the queue's", async () => {
+  const queue = createJobQueue({ maxAttempts: 5, retryDelayMs: 1, worker: async () => { throw new Error("boom"); } });
+  const job = queue.submit(["x"], { maxAttempts: 1 });
+  await job.finished;
+  assert.deepEqual([job.state, job.items[0].attempts, job.items[0].error], ["failed", 1, "boom"]);
+  assert.equal(queue.get(job.id), job);
+});
@@ -0,0 +1,67 @@
+// Unit checks for the small parsing helpers the fixtures depend on
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { extractCodes, extractSizeValue, parseProductInfo, parseProductPage, productInfoToHtml } = require("../src/centranoParse");
+const { renderTitle, titleFields } = require("../src/titles");
+const { imageColours } = require("../src/product");
+
+test("extractSizeValue: letters, one size, units, bare numbers", () => {
+  assert.equal(extractSizeValue("xl EAN 123"), "XL");
+  assert.equal(extractSizeValue("Mărime universală"), "One Size");
+  assert.equal(extractSizeValue("110 mm"), "110mm");
+  assert.equal(extractSizeValue("4,5”"), '4.5"');
+  assert.equal(extractSizeValue("52"), "52");
+  assert.equal(extractSizeValue("-"), null);
+});
+
+test("extractCodes: EAN and supplier article code from a variant row", () => {
+  assert.deepEqual(extractCodes("Marime: XL 89,95 € EAN: 5901234123457 IN"), { ean: "5901234123457", article: null });
+  assert.deepEqual(extractCodes("Cod articol: TL-FRM-BK EAN 5901234123457"), { ean: "5901234123457", article: "TL-FRM-BK" });
+  assert.deepEqual(extractCodes("Codul promotional nu se aplica"), { ean: null, article: null });
+});
+
+test("imageColours: colour section, then file name (via colour codes), then card thumbnail", () => {
+  const codes = { negru: "BLK", black: "BLK", alb: "WHT", white: "WHT", rosu: "RED", red: "RED" };
+  const colourCode = (c) => codes[c.toLowerCase().normalize("NFD").replace(/[^a-z]/g, "")] || null;
+  const images = [
+    "https://x/images/1200/deck-black.jpg",
+    "https://x/images/1200/deck-white-red.jpg",
+    "https://x/images/1200/deck-side.jpg",
+    "https://x/images/1200/deck-front.jpg"
+  ];
+  const hints = [
+    { url: "https://x/images/400/deck-side.jpg", colour: "Roșu", source: "section" },
+    { url: "https://x/images/400/deck-front.jpg", colour: "Alb", source: "card" },
+    { url: "https://x/images/400/deck-black.jpg", colour: "Alb", source: "card" }
+  ];
+  assert.deepEqual(imageColours(images, ["Negru", "Alb", "Roșu", "White Red"], hints, colourCode), ["Negru", "White Red", "Roșu", "Alb"]);
+  assert.deepEqual(imageColours(images, [], [], colourCode), [null, null, null, null]);
+});
+
+test("renderTitle fills the template and drops repeated words", () => {
+  const fields = titleFields({ type: "Deck", productType: "Deck", vendor: "Tilt", searchTerm: "tilt formula deck", sourceTitle: "Tilt Formula Deck 4.5" });
+  assert.equal(fields.model, "Formula 4.5");
+  assert.equal(renderTitle("{type} {vendor} {search|model}", fields), "Deck Tilt Formula");
+  assert.equal(renderTitle("{type} {vendor} {model} - {colour}", fields), "Deck Tilt Formula 4.5");
+});
+
+test("renderTitle keeps dictionary casing and upper-cases model codes", () => {
+  const rules = { casing: new Map([["scs", "SCS"], ["hangup", "HangUp"], ["xl", "XL"]]), codes: /^[a-z]{1,2}\d+[a-z]?$/i };
+  const fields = titleFields({ type: "SCS", productType: "Clamp", vendor: "HangUp", sourceTitle: "hangup scs clamp g4", sizes: ["S", "M", "XL"] });
+  assert.equal(renderTitle("{type} {vendor} {model} {sizes}", fields, rules), "SCS HangUp Clamp G4 S-XL");
+});
+
+test("ajax_productinfo.php responses parse like the equivalent page", () => {
+  const info = {
+    listing: '<div class="medium-24 large-5 columns"><div class="hide-for-large">Tilt Stage I Deck</div><span style="color:#0066cc">99,95 €</span></div>',
+    description: '<div id="description_content"><p>Deck</p></div>',
+    specs: "<ul><li>Lungime: 50 cm</li></ul>"
+  };
+  const fromInfo = parseProductInfo(info);
+  const fromPage = parseProductPage(productInfoToHtml(info));
+  assert.deepEqual(fromInfo, fromPage);
+  assert.equal(fromInfo.rawTitle, "Tilt Stage I Deck");
+  assert.equal(fromInfo.description_html, "<p>Deck</p>");
+  assert.equal(fromInfo.specs_html, "<ul><li>Lungime: 50 cm</li></ul>");
+  assert.deepEqual(fromInfo.pagePrices.map(p => [p.eur, p.blue]), [[99.95, true]]);
+});
@@ -0,0 +1,54 @@
+// Centrano prices by role: labels, then crossed-out, then the blue retail span, then position
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const cheerio = require("cheerio");
+const { classifyPrices, labelRole, priceCandidatesFromNode } = require("../src/priceRoles");
+
+const c = (eur, hints = {}) => ({ eur, struck: false, blue: false, label: "", ...hints });
+const reasons = (result) => result.evidence.map(e => `${e.role}:${e.eur}:${e.reason}`);
+
+test("labels win, in Romanian and in the translations, and only the text after the previous amount counts", () => {
+  assert.equal(labelRole("pret dealer"), "cost");
+  assert.equal(labelRole("pvp 129,00 € pret dealer"), "cost");
+  assert.equal(labelRole("pret recomandat"), "rrp");
+  assert.equal(labelRole("promotie"), "sale");
+  assert.equal(labelRole("culoare negru"), null);
+
+  const $ = cheerio.load("<div>PVP: 129,00 € <b>Preț dealer:</b> 71,50 € Promoție: 109,00 €</div>");
+  const result = classifyPrices(priceCandidatesFromNode($("div")[0]));
+  assert.deepEqual([result.costEur, result.rrpEur, result.saleEur], [71.5, 129, 109]);
+  assert.deepEqual(reasons(result), ["rrp:129:label", "cost:71.5:label", "sale:109:label"]);
+});
+
+test("a crossed-out price is the RRP; what is below it is the sale price or, far below, our cost", () => {
+  const full = classifyPrices([c(70), c(149, { struck: true }), c(119)]);
+  assert.deepEqual([full.costEur, full.rrpEur, full.saleEur], [70, 149, 119]);
+  assert.deepEqual(reasons(full), ["rrp:149:crossed_out", "sale:119:below_crossed_out", "cost:70:lowest"]);
+
+  const sale = classifyPrices([c(149, { struck: true }), c(119)]);
+  assert.deepEqual([sale.costEur, sale.rrpEur, sale.saleEur], [null, 149, 119]);
+  const cost = classifyPrices([c(149, { struck: true }), c(80)]);
+  assert.deepEqual([cost.costEur, cost.rrpEur, cost.saleEur], [80, 149, null]);
+  assert.deepEqual(reasons(cost), ["rrp:149:crossed_out", "cost:80:far_below_crossed_out"]);
+});
+
+test("without a crossed-out price the blue span is the RRP, even when a higher amount is on the page", () => {
+  const result = classifyPrices([c(70), c(119, { blue: true }), c(249)]);
+  assert.deepEqual([result.costEur, result.rrpEur, result.saleEur], [70, 119, null]);
+  assert.deepEqual(reasons(result), ["rrp:119:blue_span", "cost:70:lowest"]);
+});
+
+test("otherwise the highest amount is the RRP and the lowest our cost", () => {
+  const result = classifyPrices([c(70), c(119), c(70), c(95)]);
+  assert.deepEqual([result.costEur, result.rrpEur, result.saleEur], [70, 119, null]);
+  assert.deepEqual(reasons(result), ["rrp:119:highest", "cost:70:lowest"]);
+  assert.deepEqual(reasons(classifyPrices([c(119)])), ["rrp:119:highest"]);
+  assert.deepEqual(classifyPrices([]), { costEur: null, rrpEur: null, saleEur: null, evidence: [] });
+});
+
+test("a labelled role is not taken again by a fallback, and a sale not below the RRP is dropped", () => {
+  const labelled = classifyPrices([c(60, { label: "pret net" }), c(119), c(80)]);
+  assert.deepEqual([labelled.costEur, labelled.rrpEur], [60, 119]);
+  const notSale = classifyPrices([c(129, { label: "promo" }), c(119, { label: "pvp" })]);
+  assert.deepEqual([notSale.rrpEur, notSale.saleEur], [119, null]);
+});
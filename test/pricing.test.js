@@ -0,0 +1,83 @@
+// EUR -> RON pricing: rule layering, rounding, minimum margin, compare-at and exchange rate age
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { writeJson } = require("../src/configFile");
+const { createPricingEngine, ROUNDING } = require("../src/pricing");
+
+const DAY = 86400000;
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// An engine on its own config dir; a rate of 5 keeps the expected amounts readable
+function engine(config = {}, rates = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pricing-"));
+  dirs.push(dir);
+  writeJson(path.join(dir, "pricing.json"), { maxRateAgeDays: 30, default: { markup: 1, minMargin: 0, rounding: ".99", step: 5 }, ...config });
+  writeJson(path.join(dir, "rates.json"), { base: "EUR", rates: { RON: 5 }, updated_at: new Date().toISOString(), source: "test", ...rates });
+  return createPricingEngine({ configPath: path.join(dir, "pricing.json") });
+}
+
+test("rounding strategies round up into step-sized buckets", () => {
+  assert.equal(ROUNDING[".99"](502.5, 5), 504.99);
+  assert.equal(ROUNDING[".90"](502.5, 5), 504.9);
+  assert.equal(ROUNDING.whole(502.5, 10), 510);
+  assert.equal(ROUNDING.none(502.5, 5), 502.5);
+  assert.equal(engine().price({ eur: 100 }).price, "499.99");
+  assert.equal(engine().price({ eur: 100.5 }).price, "504.99");
+  assert.equal(engine({ default: { rounding: "none" } }).price({ eur: 100.5 }).price, "502.50");
+});
+
+test("vendor and product type rules override the default per field", () => {
+  const pricing = engine({
+    vendors: { Tilt: { markup: 1.2 } },
+    productTypes: { Helmet: { rounding: "whole", step: 10 } }
+  });
+  const { price, breakdown } = pricing.price({ eur: 100, vendor: "tilt", productType: "Helmet" });
+  assert.equal(price, "600.00");
+  assert.deepEqual(breakdown.rules, ["default", "vendor:Tilt", "product_type:Helmet"]);
+  assert.equal(pricing.price({ eur: 100, vendor: "North" }).price, "499.99");
+  assert.throws(() => engine({ vendors: { Tilt: { rounding: ".95" } } }).price({ eur: 1 }), /vendors\.Tilt\.rounding must be one of/);
+});
+
+test("the minimum margin over dealer cost lifts a price that would fall below it", () => {
+  const pricing = engine({ default: { minMargin: 0.25 } });
+  const lifted = pricing.price({ eur: 100, costEur: 90 });
+  assert.equal(lifted.price, "564.99");
+  assert.equal(lifted.cost, "450.00");
+  assert.equal(lifted.breakdown.margin_floor, 562.5);
+  const kept = pricing.price({ eur: 100, costEur: 60 });
+  assert.equal(kept.price, "499.99");
+  assert.equal(kept.breakdown.margin_floor, 375);
+  assert.equal(pricing.price({ eur: 100 }).price, "499.99");
+  assert.equal(lifted.breakdown.margin, 0.2555);
+});
+
+test("a floor on a bucket boundary is not lost to the .99 ending", () => {
+  // cost 400 RON, floor 500.00: ".99" gives 499.99, one step up is 504.99
+  const { price, breakdown } = engine({ default: { minMargin: 0.25 } }).price({ eur: 90, costEur: 80 });
+  assert.equal(breakdown.margin_floor, 500);
+  assert.equal(price, "504.99");
+  assert.ok(breakdown.margin >= 0.25);
+});
+
+test("compare-at comes from the crossed-out price, only when above the price", () => {
+  const pricing = engine();
+  assert.equal(pricing.price({ eur: 100, crossedEur: 120 }).compare_at_price, "599.99");
+  assert.equal(pricing.price({ eur: 100, crossedEur: 100 }).compare_at_price, null);
+  assert.equal(engine({ compareAt: { fromCrossedOut: false } }).price({ eur: 100, crossedEur: 120 }).compare_at_price, null);
+  const missing = pricing.price({ eur: null, crossedEur: 120, costEur: 80 });
+  assert.deepEqual([missing.price, missing.compare_at_price, missing.cost], [null, null, "400.00"]);
+});
+
+test("an old or undated exchange rate is reported, not refused", () => {
+  assert.deepEqual(engine().summary().warnings, []);
+  const old = new Date(Date.now() - 40 * DAY).toISOString();
+  assert.deepEqual(engine({}, { updated_at: old }).summary().warnings, [`Exchange rate is older than 30 days (${old})`]);
+  assert.deepEqual(engine({ maxRateAgeDays: 0 }, { updated_at: old }).summary().warnings, []);
+  assert.deepEqual(engine({}, { updated_at: null }).summary().warnings, ["Exchange rate has no valid updated_at timestamp"]);
+  assert.equal(engine({}, { updated_at: old }).price({ eur: 100 }).price, "499.99");
+  assert.throws(() => engine({}, { rates: {} }).price({ eur: 100 }), /no RON rate/);
+});
@@ -0,0 +1,54 @@
+// Review queue: operator edits, re-submission and the approve / reject states
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createReviewQueue } = require("../src/review");
+
+const scraped = () => ({
+  products_id: "555",
+  title: "Deck Tilt Formula",
+  vendor: "Tilt",
+  product_type: "Deck",
+  options: [{ name: "Colour", values: ["Black", "Red"] }],
+  variants: [{ option1: "Black", price: "100.00" }, { option1: "Red", price: "100.00" }],
+  imageUrls: ["https://x/a.jpg", "https://x/b.jpg", "https://x/c.jpg"],
+  status: { backend: "http" }
+});
+
+function scratchQueue(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "review-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, review: createReviewQueue({ dir }) };
+}
+
+test("edits apply on top of the scraped product and survive a re-scrape", (t) => {
+  const { dir, review } = scratchQueue(t);
+  review.submit(scraped(), { reasons: ["Review mode"] });
+  const edited = review.edit("555", {
+    vendor: "Tilt Scooters",
+    variants: [{ key: "red", price: "89.9" }],
+    image_order: ["https://x/c.jpg"]
+  });
+  assert.equal(edited.product.tag, "Tilt Scooters");
+  assert.deepEqual(edited.product.variants.map(v => v.price), ["100.00", "89.90"]);
+  assert.deepEqual(edited.product.imageUrls, ["https://x/c.jpg", "https://x/a.jpg", "https://x/b.jpg"]);
+  assert.equal(edited.product.status, undefined);
+
+  const again = createReviewQueue({ dir }).submit({ ...scraped(), title: "Deck Tilt Formula II" });
+  assert.equal(again.product.title, "Deck Tilt Formula II");
+  assert.equal(again.product.vendor, "Tilt Scooters");
+});
+
+test("only pending drafts are edited or decided", (t) => {
+  const { review } = scratchQueue(t);
+  review.submit(scraped());
+  assert.throws(() => review.edit("555", { variants: [{ key: "blue", price: 1 }] }), { statusCode: 400 });
+  assert.throws(() => review.edit("555", { variants: [{ key: "red", price: "" }] }), /price is required/);
+  review.reject("555", { note: "wrong product" });
+  assert.throws(() => review.edit("555", { title: "x" }), { statusCode: 409 });
+  assert.throws(() => review.approve("555"), { statusCode: 409 });
+  assert.throws(() => review.get("nope"), { statusCode: 404 });
+  assert.deepEqual(review.list({ state: "rejected" }).items.map(d => d.id), ["555"]);
+});
@@ -0,0 +1,25 @@
+// Description HTML sanitising: whitelist, supplier notes / phrases and embedded images
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config/sanitize.json");
+const { sanitizeHtml, rewriteImages } = require("../src/sanitize");
+
+test("only whitelisted tags and attributes survive; supplier text is removed", () => {
+  const html = `<div class="box" style="color:red"><h1>Trotinetă Freestyle Tilt Formula</h1>
+    <div><p style="margin:0">Deck <b>ușor</b>.<br><br></p><p>Preț dealer: 100 €</p></div>
+    <p onclick="x()"><span class="c">Info</span> <a href="javascript:alert(1)">aici</a> <a href="//tilt.com" target="_blank">site</a></p>
+    <script>track()</script><p>&nbsp;</p></div>`;
+  const { html: out, images } = sanitizeHtml(html, config);
+  assert.equal(out.replace(/\s*\n\s*/g, ""),
+    '<h2>Tilt Formula</h2><p>Deck <strong>ușor</strong>.</p><p>Info aici <a href="https://tilt.com">site</a></p>');
+  assert.deepEqual(images, []);
+});
+
+test("embedded images are listed, then swapped for our copies or dropped", () => {
+  const { html, images } = sanitizeHtml('<p>Deck</p><img src="//images.centrano.com/a.jpg" style="max-width:100%"><img src="/b.jpg">', config);
+  assert.deepEqual(images, ["https://images.centrano.com/a.jpg"]);
+  assert.equal(rewriteImages(html, { "https://images.centrano.com/a.jpg": "https://shop.example/processed/1/ab.jpg" }),
+    '<p>Deck</p><img src="https://shop.example/processed/1/ab.jpg">');
+  assert.equal(rewriteImages(html, {}), "<p>Deck</p>");
+  assert.equal(sanitizeHtml(html, { ...config, images: "remove" }).html, "<p>Deck</p>");
+});
@@ -0,0 +1,23 @@
+// Centrano search results and the products_id they give for a direct scrape
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseProductsId, parseSearchResults, toSearchResults } = require("../src/search");
+
+test("every result tile with its products_id, once each", () => {
+  const html = `<div class="column column-block" onclick="open_product_box(4711, 'x')">
+      <img data-src="//cdn.centrano.com/t/4711.jpg" alt="North Club G4"><h3>North Club G4 2025</h3> 1.299,00 €</div>
+    <div class="column column-block"><a onclick="open_product_box(4712)"><img src="/t/4712.jpg"></a><b>North Club G4 Bar</b> 399,00 €</div>
+    <div class="column column-block" onclick="open_product_box(4711)"><h3>North Club G4 2025</h3></div>`;
+  assert.deepEqual(toSearchResults(parseSearchResults(html)), [
+    { products_id: "4711", title: "North Club G4 2025", thumbnail: "https://cdn.centrano.com/t/4711.jpg", price: { cost_eur: null, rrp_eur: 1299, sale_eur: null } },
+    { products_id: "4712", title: "North Club G4 Bar", thumbnail: "https://www.centrano.com/t/4712.jpg", price: { cost_eur: null, rrp_eur: 399, sale_eur: null } }
+  ]);
+});
+
+test("parseProductsId accepts the digits /search returns, nothing else", () => {
+  assert.equal(parseProductsId(4711), "4711");
+  assert.equal(parseProductsId(" 4711 "), "4711");
+  assert.equal(parseProductsId("north club g4"), null);
+  assert.equal(parseProductsId("4711a"), null);
+  assert.equal(parseProductsId(null), null);
+});
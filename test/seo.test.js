@@ -0,0 +1,64 @@
+// SEO fields: handle slugs, meta description fallback, alt texts and the optional generator hook
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { buildSeo, createSeo, slugify } = require("../src/seo");
+
+const CONFIG = path.join(__dirname, "..", "config", "seo.json");
+
+const listing = (over = {}) => ({
+  title: "Trotinetă Tilt Formula 4.5”",
+  vendor: "Tilt",
+  product_type: "Complete",
+  title_fields: { type: "Trotineta", model: "Formula", colour: "Negru" },
+  description_html: "",
+  specs_html: "<ul><li>Înălțime: 85 cm</li><li>Greutate: 3,2 kg</li></ul>",
+  imageUrls: ["https://x/a.jpg", "https://x/b.jpg"],
+  ...over
+});
+
+test("slugify strips diacritics and punctuation", () => {
+  assert.equal(slugify("Trotinetă Tilt Formula 4.5”"), "trotineta-tilt-formula-4-5");
+  assert.equal(slugify("  Mânere / Grips  "), "manere-grips");
+});
+
+test("rule-based fields fall back to the title when the page has no description", () => {
+  const seo = buildSeo(listing(), { metaTitle: { template: "{title} | {store}" }, metaDescription: { minLength: 50, maxLength: 160 } });
+  assert.equal(seo.handle, "trotineta-tilt-formula-4-5");
+  assert.equal(seo.meta_title, "Trotinetă Tilt Formula 4.5”");
+  assert.equal(seo.meta_description, "Trotinetă Tilt Formula 4.5” de la Tilt. Înălțime: 85 cm. Greutate: 3,2 kg.");
+  assert.equal(seo.image_alt["https://x/b.jpg"], "Trotinetă Tilt Formula 4.5” - Negru");
+
+  const long = buildSeo(listing({ description_html: `<p>${"Foarte ușoară și rezistentă. ".repeat(10)}</p>` }), {});
+  assert.ok(long.meta_description.length <= 160);
+  assert.ok(long.meta_description.endsWith("…"));
+});
+
+test("each image alt names the colour of that picture, not only a single-colour product's", () => {
+  const multi = listing({
+    title_fields: { type: "Trotineta", model: "Formula", colour: "" },
+    imageUrls: ["https://x/a.jpg", "https://x/b.jpg", "https://x/c.jpg", "https://x/d.jpg"],
+    image_colours: [{ url: "https://x/a.jpg", colour: "Negru" }, { url: "https://x/b.jpg", colour: null }],
+    variants: [{ option1: "Negru", image_url: "https://x/a.jpg" }, { option1: "Alb", image_url: "https://x/b.jpg" }]
+  });
+  const { image_alt } = buildSeo(multi, { alt: { template: "{type} {vendor} {model} - {colour}" } });
+  assert.deepEqual(Object.values(image_alt), [
+    "Trotineta Tilt Formula - Negru",
+    "Trotineta Tilt Formula - Alb",
+    "Trotineta Tilt Formula",
+    "Trotineta Tilt Formula"
+  ]);
+});
+
+test("a failing or unusable generator keeps the rule-based description", async () => {
+  const good = createSeo({ configPath: CONFIG, generate: async () => "\"Trotinetă Tilt Formula, ușoară și rezistentă, pentru freestyle.\"" });
+  const seo = await good.build(listing());
+  assert.equal(seo.source, "llm");
+  assert.equal(seo.meta_description, "Trotinetă Tilt Formula, ușoară și rezistentă, pentru freestyle.");
+  assert.equal(good.refresh({ ...listing({ title: "Trotineta Tilt Formula II" }), seo }).meta_description, seo.meta_description);
+
+  const broken = createSeo({ configPath: CONFIG, generate: async () => { throw new Error("connection refused"); } });
+  const fallback = await broken.build(listing());
+  assert.equal(fallback.source, "rules");
+  assert.match(fallback.warnings[0], /connection refused/);
+});
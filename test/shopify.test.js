@@ -0,0 +1,268 @@
+// The Shopify client, product creation and upsert, run against scripts/mock-shopify.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ShopifyError, createProduct, diffProduct, upsertProduct } = require("../src/shopify");
+const { startMockShopify } = require("./support/mockShopify");
+
+// Processed images are content-addressed (src/images.js)
+const image = (c) => `http://127.0.0.1/processed/tilt/${c.repeat(32)}.jpg`;
+
+const scraped = (overrides = {}) => ({
+  title: "Trotinetă Tilt Classic",
+  vendor: "Tilt",
+  product_type: "Trotinete",
+  products_id: "4711",
+  options: [{ name: "Colour", values: ["Negru", "Alb"] }],
+  variants: [
+    { option1: "Negru", price: "499.00", barcode: "5901234123457", sku: "TILT-CLA-NEG" },
+    { option1: "Alb", price: "499.00", barcode: "5901234123464", sku: "TILT-CLA-ALB" }
+  ],
+  imageUrls: [image("a")],
+  ...overrides
+});
+
+test("the client retries 429 (after Retry-After) and 5xx answers", async () => {
+  const limited = await startMockShopify({ rateLimitEvery: 2 });
+  for (let i = 0; i < 3; i++) assert.equal((await limited.client.get("locations.json")).locations[0].name, "Depozit");
+  assert.equal(limited.state.requests.length, 5);
+  await limited.close();
+
+  const flaky = await startMockShopify({ serverErrors: 2 });
+  assert.equal((await flaky.client.get("locations.json")).locations.length, 1);
+  await flaky.close();
+
+  const down = await startMockShopify({ serverErrors: 3, client: { maxRetries: 2 } });
+  await assert.rejects(down.client.get("locations.json"), (err) => err instanceof ShopifyError && err.status === 503);
+  await down.close();
+});
+
+test("createProduct: variants and the centrano tag in one POST; a rejected image makes the report partial", async (t) => {
+  const shop = await startMockShopify({ failImages: ["broken"] });
+  t.after(shop.close);
+  const report = await createProduct(shop.client, scraped({ imageUrls: [image("a"), "http://127.0.0.1/broken.jpg"] }));
+
+  const product = shop.state.products[0];
+  assert.equal(report.product_id, product.id);
+  assert.equal(report.variants.created, 2);
+  assert.equal(product.tags, "centrano-4711");
+  assert.deepEqual(product.variants.map(v => v.barcode), ["5901234123457", "5901234123464"]);
+  assert.equal(report.images.uploaded, 1);
+  assert.deepEqual(report.images.failed.map(f => f.src), ["http://127.0.0.1/broken.jpg"]);
+  assert.equal(report.partial, true);
+  assert.equal(shop.calls("POST", /^\/products\.json$/).length, 1);
+});
+
+test("diffProduct: new, re-priced and discontinued variants by option values", () => {
+  const existing = {
+    title: "Trotinetă Tilt Classic", vendor: "Tilt", product_type: "Trotinete", tags: "centrano-4711, promo",
+    options: [{ name: "Colour" }],
+    variants: [
+      { id: 1, option1: "Negru", price: "479.00", barcode: "5901234123457", sku: "TILT-CLA-NEG", inventory_policy: "continue" },
+      { id: 2, option1: "Rosu", price: "499.00", inventory_policy: "continue" }
+    ]
+  };
+  const diff = diffProduct(existing, scraped());
+  assert.deepEqual(diff.fields, {});
+  assert.deepEqual(diff.added.map(v => v.option1), ["Alb"]);
+  assert.deepEqual(diff.updates, [{ id: 1, key: "negru", changes: { price: { from: "479.00", to: "499.00" } } }]);
+  assert.deepEqual(diff.discontinued, [{ id: 2, key: "rosu" }]);
+  assert.equal(diff.optionsMatch, true);
+});
+
+test("upsertProduct finds the store product by its centrano tag, then by EAN", async (t) => {
+  const shop = await startMockShopify();
+  t.after(shop.close);
+
+  assert.equal((await upsertProduct(shop.client, scraped())).status, "created");
+  const again = await upsertProduct(shop.client, scraped());
+  assert.deepEqual([again.status, again.matched_by], ["unchanged", "products_id"]);
+
+  // a product found by search term only: no Centrano id, same EAN
+  const repriced = scraped({ products_id: null, variants: [{ ...scraped().variants[0], price: "459.00" }, scraped().variants[1]] });
+  const updated = await upsertProduct(shop.client, repriced);
+  assert.deepEqual([updated.status, updated.matched_by], ["updated", "barcode"]);
+  assert.deepEqual(updated.changes.variant_updates, [{ variant: "negru", price: { from: "499.00", to: "459.00" } }]);
+  assert.equal(shop.state.products.length, 1);
+  assert.equal(shop.state.products[0].variants[0].price, "459.00");
+});
+
+test("spec metafields: sent with the product, then updated or added when the specs change", async (t) => {
+  const shop = await startMockShopify();
+  t.after(shop.close);
+  const specs = (fields) => ({ namespace: "specs", fields });
+  const weight = { value: 3.4, unit: "kg", type: "weight" };
+
+  const created = await createProduct(shop.client, scraped({ search_term: "tilt classic", specs: specs({ weight }) }));
+  assert.deepEqual(shop.calls("POST", /^\/products\.json$/)[0].body.product.metafields, [
+    { namespace: "centrano", key: "products_id", type: "single_line_text_field", value: "4711" },
+    { namespace: "centrano", key: "search_term", type: "single_line_text_field", value: "tilt classic" },
+    { namespace: "specs", key: "weight", type: "weight", value: '{"value":3.4,"unit":"kg"}' }
+  ]);
+
+  const id = created.product_id;
+  const changed = scraped({ specs: specs({ weight: { ...weight, value: 3.2 }, compatibility: { value: ["SCS", "IHC"], type: "list" } }) });
+  const result = await upsertProduct(shop.client, changed);
+  assert.deepEqual(result.changes.metafields, ["weight", "compatibility"]);
+  const weightId = shop.state.products[0].metafields.find(m => m.key === "weight").id;
+  assert.deepEqual(shop.calls("PUT", /^\/metafields\//).map(r => r.body), [
+    { metafield: { id: weightId, type: "weight", value: '{"value":3.2,"unit":"kg"}' } }
+  ]);
+  assert.deepEqual(shop.calls("POST", new RegExp(`^/products/${id}/metafields\\.json$`)).map(r => r.body), [
+    { metafield: { namespace: "specs", key: "compatibility", type: "list.single_line_text_field", value: '["SCS","IHC"]' } }
+  ]);
+  assert.equal((await upsertProduct(shop.client, changed)).status, "unchanged");
+
+  // values Shopify normalised (unit, number format, key order) or a list in another order are not changes
+  const stored = (key) => shop.state.products[0].metafields.find(m => m.key === key);
+  stored("weight").value = '{"unit":"KILOGRAMS","value":"3.20"}';
+  stored("compatibility").value = '["IHC","SCS"]';
+  assert.equal((await upsertProduct(shop.client, changed)).status, "unchanged");
+  stored("compatibility").value = '["IHC"]';
+  assert.deepEqual((await upsertProduct(shop.client, changed)).changes.metafields, ["compatibility"]);
+});
+
+test("stock: inventory policy per variant and levels set at the stock location only where they differ", async (t) => {
+  const shop = await startMockShopify({ client: { location: "depozit" } });
+  t.after(shop.close);
+  const location_id = shop.state.locations[0].id;
+  const withStock = (negru, alb) => scraped({
+    variants: [
+      { ...scraped().variants[0], stock_quantity: negru, inventory_policy: negru ? "continue" : "deny" },
+      { ...scraped().variants[1], stock_quantity: alb, inventory_policy: alb ? "continue" : "deny" }
+    ]
+  });
+
+  const created = await createProduct(shop.client, withStock(5, 0));
+  const sent = shop.calls("POST", /^\/products\.json$/)[0].body.product.variants;
+  assert.deepEqual(sent.map(v => v.inventory_policy), ["continue", "deny"]);
+  assert.deepEqual(shop.state.products[0].variants.map(v => v.inventory_policy), ["continue", "deny"]);
+  const [negru, alb] = shop.state.products[0].variants.map(v => v.inventory_item_id);
+  assert.deepEqual(shop.calls("POST", /^\/inventory_levels\/set\.json$/).map(r => r.body), [
+    { location_id, inventory_item_id: negru, available: 5 },
+    { location_id, inventory_item_id: alb, available: 0 }
+  ]);
+  assert.equal(created.stock.updated, 2);
+
+  const restocked = await upsertProduct(shop.client, withStock(5, 3));
+  assert.deepEqual(restocked.changes.stock_updates, [{ variant: "alb", from: 0, to: 3 }]);
+  assert.deepEqual(restocked.changes.variant_updates, [{ variant: "alb", inventory_policy: { from: "deny", to: "continue" } }]);
+  assert.equal(shop.calls("POST", /^\/inventory_levels\/set\.json$/).length, 3);
+  assert.equal(shop.state.levels[`${alb}:${location_id}`].available, 3);
+  assert.equal(shop.state.products[0].variants[1].inventory_policy, "continue");
+});
+
+test("stock: an unknown location fails the stock sync, not the product", async (t) => {
+  const shop = await startMockShopify({ client: { location: "Magazin" } });
+  t.after(shop.close);
+  const report = await createProduct(shop.client, scraped({ variants: [{ ...scraped().variants[0], stock_quantity: 2 }] }));
+  assert.deepEqual(report.stock.failed, [{ what: "lookup", error: 'Shopify location "Magazin" not found' }]);
+  assert.equal(report.partial, true);
+  assert.equal(shop.state.products.length, 1);
+});
+
+test("variant images: each colour picture is linked to its variants on create and on update", async (t) => {
+  const shop = await startMockShopify();
+  t.after(shop.close);
+  const [negru, alb] = scraped().variants;
+
+  const created = await createProduct(shop.client, scraped({
+    variants: [{ ...negru, image_url: image("a") }, alb],
+    imageUrls: [image("a"), image("b")]
+  }));
+  const product = shop.state.products[0];
+  assert.deepEqual(shop.calls("POST", /\/images\.json$/).map(r => r.body.image.variant_ids), [[product.variants[0].id], undefined]);
+  assert.equal(product.variants[0].image_id, product.images[0].id);
+  assert.equal(product.variants[1].image_id, undefined);
+  assert.equal(created.images.variants_linked, 1);
+
+  // Alb gets its picture; the new Rosu variant uses one already on the product
+  const result = await upsertProduct(shop.client, scraped({
+    options: [{ name: "Colour", values: ["Negru", "Alb", "Rosu"] }],
+    variants: [{ ...negru, image_url: image("a") }, { ...alb, image_url: image("c") }, { option1: "Rosu", price: "499.00", image_url: image("b") }],
+    imageUrls: [image("a"), image("b"), image("c")]
+  }));
+  assert.deepEqual(result.changes.images_added, [image("c")]);
+  assert.deepEqual(result.changes.variant_images, ["alb", "rosu"]);
+  const imageOf = (src) => product.images.find(img => img.src === src).id;
+  assert.deepEqual(product.variants.map(v => v.image_id), [imageOf(image("a")), imageOf(image("c")), imageOf(image("b"))]);
+  assert.equal(shop.calls("PUT", new RegExp(`^/variants/${product.variants[0].id}\\.json$`)).length, 0);
+});
+
+test("SEO: a changed meta title or image alt is updated on the store product, the handle is not", async (t) => {
+  const shop = await startMockShopify();
+  t.after(shop.close);
+  const seo = (over = {}) => ({
+    handle: "trotineta-tilt-classic",
+    meta_title: "Trotinetă Tilt Classic",
+    meta_description: "Trotinetă Tilt Classic de la Tilt. Înălțime: 85 cm.",
+    image_alt: { [image("a")]: "Trotineta Tilt Classic" },
+    ...over
+  });
+
+  await createProduct(shop.client, scraped({ seo: seo() }));
+  const product = shop.state.products[0];
+  const tag = (key) => product.metafields.find(m => m.namespace === "global" && m.key === key).value;
+  assert.deepEqual([tag("title_tag"), product.images[0].alt], ["Trotinetă Tilt Classic", "Trotineta Tilt Classic"]);
+  assert.equal((await upsertProduct(shop.client, scraped({ seo: seo() }))).status, "unchanged");
+
+  const changed = seo({ handle: "trotineta-tilt-classic-2026", meta_title: "Trotinetă Tilt Classic | Pride", image_alt: { [image("a")]: "Trotineta Tilt Classic - Negru" } });
+  const result = await upsertProduct(shop.client, scraped({ seo: changed }));
+  assert.equal(result.status, "updated");
+  assert.deepEqual(result.changes.fields, ["metafields_global_title_tag"]);
+  assert.deepEqual(result.changes.image_alts, [image("a")]);
+  assert.equal(product.handle, "trotineta-tilt-classic");
+  assert.deepEqual([tag("title_tag"), tag("description_tag"), product.images[0].alt],
+    ["Trotinetă Tilt Classic | Pride", "Trotinetă Tilt Classic de la Tilt. Înălțime: 85 cm.", "Trotineta Tilt Classic - Negru"]);
+  assert.equal((await upsertProduct(shop.client, scraped({ seo: changed }))).status, "unchanged");
+});
+
+test("other option axes on the store product: nothing is added and no variant is discontinued", async (t) => {
+  const shop = await startMockShopify();
+  t.after(shop.close);
+  await createProduct(shop.client, scraped());
+  const sized = scraped({
+    options: [{ name: "Colour", values: ["Negru"] }, { name: "Size", values: ["S", "M"] }],
+    variants: [{ option1: "Negru", option2: "S", price: "499.00" }, { option1: "Negru", option2: "M", price: "499.00" }]
+  });
+
+  const diff = diffProduct(shop.state.products[0], sized);
+  assert.equal(diff.optionsMatch, false);
+  const result = await upsertProduct(shop.client, sized);
+  assert.deepEqual([result.changes.variants_added, result.changes.discontinued], [[], []]);
+  assert.match(result.warnings[0], /Option axes differ/);
+  assert.deepEqual(shop.state.products[0].variants.map(v => v.inventory_policy), ["continue", "continue"]);
+  assert.equal(shop.calls("PUT", /^\/variants\//).length, 0);
+});
+
+test("a product created before sizes were split per dimension keeps its Size option and variants", async (t) => {
+  const shop = await startMockShopify();
+  t.after(shop.close);
+  // one "Size" option holding the first dimension Centrano listed, as written then
+  await createProduct(shop.client, scraped({
+    options: [{ name: "Colour", values: ["Negru"] }, { name: "Size", values: ["52cm", "560mm"] }],
+    variants: [
+      { option1: "Negru", option2: "52cm", price: "499.00", barcode: "5901234123457" },
+      { option1: "Negru", option2: "560mm", price: "499.00" }
+    ]
+  }));
+  const split = scraped({
+    options: [{ name: "Colour", values: ["Negru"] }, { name: "Width", values: ["20cm", "22cm"] }, { name: "Length", values: ["52cm", "56cm"] }],
+    variants: [
+      { option1: "Negru", option2: "20cm", option3: "52cm", price: "459.00", barcode: "5901234123457", stock_quantity: 2 },
+      { option1: "Negru", option2: "22cm", option3: "56cm", price: "479.00" }
+    ]
+  });
+
+  const result = await upsertProduct(shop.client, split);
+  assert.equal(result.status, "updated");
+  assert.deepEqual(result.changes.variant_updates, [
+    { variant: "negru / 52cm", price: { from: "499.00", to: "459.00" } },
+    { variant: "negru / 560mm", price: { from: "499.00", to: "479.00" } }
+  ]);
+  assert.deepEqual(result.changes.stock_updates, [{ variant: "negru / 52cm", from: null, to: 2 }]);
+  assert.deepEqual([result.changes.variants_added, result.changes.discontinued], [[], []]);
+  const stored = shop.state.products[0];
+  assert.deepEqual(stored.variants.map(v => [v.option2, v.option3, v.price, v.inventory_policy]),
+    [["52cm", undefined, "459.00", "continue"], ["560mm", undefined, "479.00", "continue"]]);
+  assert.equal((await upsertProduct(shop.client, split)).status, "unchanged");
+});
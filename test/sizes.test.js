@@ -0,0 +1,60 @@
+// Size values per dimension, natural order and the option axes built from them
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseProductPage } = require("../src/centranoParse");
+const { compareSizes, extractSizeValue, parseRowSizes, sizeAxes } = require("../src/sizes");
+const { buildFixture } = require("./support/fixtures");
+
+test("a measure wins over a stray letter; letters only count for clothing sizes", () => {
+  assert.equal(extractSizeValue("110 mm roți S"), "110mm");
+  assert.equal(extractSizeValue("Kids M"), "M");
+  assert.equal(extractSizeValue("M 1.299,00 €"), "M");
+  assert.equal(extractSizeValue("S 110mm", "diameter"), "110mm");
+  assert.equal(extractSizeValue("10 inch", "diameter"), '10"');
+});
+
+test("parseRowSizes reads every labelled dimension of a row", () => {
+  assert.deepEqual(parseRowSizes("Lungime: 52 cm Diametru: 110mm 89,95 € EAN: 5901234123457 IN"), { length: "52cm", diameter: "110mm" });
+  assert.deepEqual(parseRowSizes("Mărime: XL Lățime: 4,5” IN"), { size: "XL", width: '4.5"' });
+});
+
+test("sizes sort naturally and mixed units are put in mm", () => {
+  assert.deepEqual(["XL", "S", "One Size", "M"].sort(compareSizes), ["S", "M", "XL", "One Size"]);
+  assert.deepEqual(["120mm", "9", "100mm", "11cm"].sort(compareSizes), ["9", "100mm", "11cm", "120mm"]);
+  const { axes } = sizeAxes([{ diameter: "100mm" }, { diameter: "11cm" }]);
+  assert.deepEqual(axes, [{ dimensions: ["diameter"], name: "Size", values: ["100mm", "110mm"] }]);
+});
+
+test("dimensions that vary become options; the third one shares the last option", () => {
+  const rows = [
+    { width: "20cm", length: "52cm", height: "8cm" },
+    { width: "22cm", length: "56cm", height: "8cm" },
+    { width: "20cm", length: "56cm", height: "9cm" }
+  ];
+  const twoAxes = sizeAxes(rows.map(({ height, ...r }) => r));
+  assert.deepEqual(twoAxes.axes.map(a => a.name), ["Width", "Length"]);
+  assert.deepEqual(twoAxes.valuesOf(rows[1]), ["22cm", "56cm"]);
+  const { axes, valuesOf } = sizeAxes(rows);
+  assert.deepEqual(axes.map(a => a.name), ["Width", "Length / Height"]);
+  assert.deepEqual(valuesOf(rows[2]), ["20cm", "56cm / 9cm"]);
+});
+
+test("listing: colour / width / length variants in natural order", () => {
+  const html = `<div class="medium-24 large-5 columns"><div class="hide-for-large">Tilt Deck Classic</div></div>
+    <div class="variant_list">
+      <div class="row"><span>Culoare: Negru</span></div>
+      <div class="row"><span>Lățime: 4,7”</span> <span>Lungime: 21,5”</span> <span>99,00 €</span></div>
+      <div class="row"><span>Lățime: 4,5”</span> <span>Lungime: 21,5”</span> <span>99,00 €</span></div>
+      <div class="row"><span>Lățime: 4,5”</span> <span>Lungime: 20”</span> <span>95,00 €</span></div>
+    </div>`;
+  const listing = buildFixture({ collected: parseProductPage(html), input: {} });
+  assert.deepEqual(listing.options, [
+    { name: "Colour", values: ["Negru"] },
+    { name: "Width", values: ['4.5"', '4.7"'] },
+    { name: "Length", values: ['20"', '21.5"'] }
+  ]);
+  assert.deepEqual(listing.variants.map(v => [v.option1, v.option2, v.option3]), [
+    ["Negru", '4.5"', '20"'], ["Negru", '4.5"', '21.5"'], ["Negru", '4.7"', '21.5"']
+  ]);
+  assert.deepEqual(listing.sizes, ['4.5"', '4.7"']);
+});
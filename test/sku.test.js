@@ -0,0 +1,27 @@
+// SKU pattern and EAN check digits
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { buildSku, createSkuBuilder, validGtin } = require("../src/sku");
+
+const config = { pattern: "{vendor}-{model}-{colour}-{size}", modelLength: 12, vendorCodes: { Tilt: "TLT" }, colourCodes: { Negru: "BLK", Black: "BLK" } };
+
+test("buildSku uses the dictionaries and drops empty parts", () => {
+  assert.equal(buildSku({ vendor: "Tilt", model: "Formula Trotinetă", colour: "Negru", size: "XL" }, config), "TLT-FORMULA-BLK-XL");
+  assert.equal(buildSku({ vendor: "Root Industries", model: "Air", colour: "Black/Ocean", size: '4.5"' }, config), "ROOIND-AIR-BLKOCE-4.5IN");
+  assert.equal(buildSku({ model: "Lock", size: "110mm" }, config), "LOCK-110MM");
+  assert.equal(buildSku({ vendor: "Tilt", article: "TL-01" }, { ...config, pattern: "{vendor}-{article}" }), "TLT-TL01");
+});
+
+test("SKUs repeated within a product get a suffix", () => {
+  const skus = createSkuBuilder({ file: path.join(__dirname, "..", "config", "sku.json") });
+  const variants = [{ option1: "Black", option2: "S" }, { option1: "Black", option2: "S" }, { option1: "Default" }];
+  assert.deepEqual(skus.forVariants({ vendor: "Tilt", model: "Stage" }, variants), ["TLT-STAGE-BLK-S", "TLT-STAGE-BLK-S-2", "TLT-STAGE"]);
+});
+
+test("validGtin checks length and check digit", () => {
+  assert.equal(validGtin("5901234123457"), true);
+  assert.equal(validGtin("5901234123458"), false);
+  assert.equal(validGtin("96385074"), true);
+  assert.equal(validGtin("12345"), false);
+});
@@ -0,0 +1,35 @@
+// Spec pairs, unit normalisation and the metafields built from them
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createSpecParser, parseMeasure, parseSpecPairs, specMetafields, specsTable } = require("../src/specs");
+
+const specs = createSpecParser({ file: path.join(__dirname, "..", "config", "specs.json") });
+
+test("parseSpecPairs reads table rows, definition lists and 'Label: value' lines", () => {
+  assert.deepEqual(parseSpecPairs("<table><tr><th>Lungime Deck</th><td>52 cm</td></tr></table>"), [{ label: "Lungime Deck", value: "52 cm" }]);
+  assert.deepEqual(parseSpecPairs("<dl><dt>Greutate</dt><dd>3,4 kg</dd></dl>"), [{ label: "Greutate", value: "3,4 kg" }]);
+  assert.deepEqual(parseSpecPairs("<p>Material: aluminiu<br>Roți: 110mm</p><ul><li>Material: oțel</li></ul>"),
+    [{ label: "Material", value: "aluminiu" }, { label: "Roți", value: "110mm" }]);
+});
+
+test("parseMeasure converts to the field's unit", () => {
+  assert.deepEqual(parseMeasure("520 mm", "dimension", "cm"), { value: 52, unit: "cm" });
+  assert.deepEqual(parseMeasure('4.5"', "dimension", "mm"), { value: 114.3, unit: "mm" });
+  assert.deepEqual(parseMeasure("850 g", "weight", "kg"), { value: 0.85, unit: "kg" });
+  assert.deepEqual(parseMeasure("56", "dimension", "cm"), { value: 56, unit: "cm" });
+  assert.equal(parseMeasure("3 kg", "dimension", "cm"), null);
+});
+
+test("parsed fields become a clean table and typed metafields", () => {
+  const parsed = specs.parse("<ul><li>Înălțime ghidon: 560mm</li><li>Greutate: 3,4 kg</li></ul><p>Compatibil cu sisteme IHC și SCS</p>");
+  assert.deepEqual(Object.keys(parsed.fields), ["bar_height", "weight", "compatibility"]);
+  assert.deepEqual(parsed.fields.compatibility.value, ["SCS", "IHC"]);
+  assert.equal(specsTable(parsed),
+    '<table class="specs"><tbody><tr><th>Înălțime ghidon</th><td>56 cm</td></tr><tr><th>Greutate</th><td>3,4 kg</td></tr></tbody></table>');
+  assert.deepEqual(specMetafields(parsed), [
+    { namespace: "specs", key: "bar_height", type: "dimension", value: '{"value":56,"unit":"cm"}' },
+    { namespace: "specs", key: "weight", type: "weight", value: '{"value":3.4,"unit":"kg"}' },
+    { namespace: "specs", key: "compatibility", type: "list.single_line_text_field", value: '["SCS","IHC"]' }
+  ]);
+});
@@ -0,0 +1,39 @@
+// Availability indicators -> stock state -> Shopify quantity / policy
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { parseProductPage } = require("../src/centranoParse");
+const { classifyStock, createStockMapper, validateStockConfig } = require("../src/stock");
+
+const CONFIG = path.join(__dirname, "..", "config", "stock.json");
+const config = require(CONFIG);
+
+test("row text and icons are classified by the first matching rule", () => {
+  const html = `<div class="variant_list">
+    <div class="row"><span>Mărime: S</span> <span>89,95 €</span> <span>EAN: 5901234123457</span> <span>IN</span></div>
+    <div class="row"><span>Mărime: M</span> <span>89,95 €</span> <img src="/img/stoc_galben.png"></div>
+    <div class="row"><span>Mărime: L</span> <span>89,95 €</span> <span>Sosire: 12.11.2025</span></div>
+    <div class="row"><span>Mărime: XL</span> <span>89,95 €</span> <span title="Stoc epuizat"></span></div>
+    <div class="row"><span>Mărime: XXL</span> <span>89,95 €</span></div>
+  </div>`;
+  const states = parseProductPage(html).rows.map(r => classifyStock(r.stock, config));
+  assert.deepEqual(states, [
+    { state: "in_stock", incoming: null },
+    { state: "low", incoming: null },
+    { state: "incoming", incoming: "12.11.2025" },
+    { state: "out_of_stock", incoming: null },
+    { state: "unknown", incoming: null }
+  ]);
+});
+
+test("states map to quantities and policies; unknown leaves the level alone", () => {
+  const stock = createStockMapper({ file: CONFIG });
+  assert.deepEqual(stock.map("Marime: S IN"), { availability: "in_stock", incoming_date: null, inventory_policy: "deny", stock_quantity: 10 });
+  assert.deepEqual(stock.map("Marime: S"), { availability: "unknown", incoming_date: null, inventory_policy: "continue", stock_quantity: null });
+  assert.deepEqual(validateStockConfig({ rules: [{ state: "gone", match: "/(/" }], states: { low: { quantity: -1, inventory_policy: "maybe" } } }), [
+    "rules[0]: unknown state gone",
+    "rules[0]: Invalid regular expression: /(/: Unterminated group",
+    "states.low: inventory_policy must be deny or continue",
+    "states.low: quantity must be a whole number >= 0 or null"
+  ]);
+});
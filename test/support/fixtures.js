@@ -0,0 +1,83 @@
+// test/support/fixtures.js
+// Saved Centrano pages under test/fixtures/<name>/:
+//   page.html (full product page) or productinfo.json (raw ajax_productinfo.php response),
+//   input.json ({ searchTerm, productsId } the scrape was started with) and expected.json.
+// Shared by the tests and scripts/record-fixture.js.
+const fs = require("fs");
+const path = require("path");
+const { parseProductPage, parseProductInfo } = require("../../src/centranoParse");
+const { buildListing } = require("../../src/product");
+const { createPricingEngine } = require("../../src/pricing");
+const { createTaxonomy } = require("../../src/taxonomy");
+const { createTitleTemplates } = require("../../src/titles");
+const { createSpecParser } = require("../../src/specs");
+const { createSanitizer } = require("../../src/sanitize");
+const { createSkuBuilder } = require("../../src/sku");
+const { createStockMapper } = require("../../src/stock");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+const CONFIG_DIR = path.join(__dirname, "..", "..", "config");
+
+// Pricing reads frozen rules and a frozen rate (fixtures/config/), so expected prices don't move with the rate.
+// Everything else reads the live config/: an edit there that changes a fixture's output fails its test.
+const rules = { pricing: createPricingEngine({ configPath: path.join(FIXTURES_DIR, "config", "pricing.json") }) };
+for (const [key, create, file] of [
+  ["taxonomy", createTaxonomy, "taxonomy.json"],
+  ["titles", createTitleTemplates, "titles.json"],      // needs the taxonomy built above
+  ["specs", createSpecParser, "specs.json"],
+  ["sanitizer", createSanitizer, "sanitize.json"],
+  ["skus", createSkuBuilder, "sku.json"],
+  ["stock", createStockMapper, "stock.json"]
+]) {
+  rules[key] = create({ file: path.join(CONFIG_DIR, file), taxonomy: rules.taxonomy });
+}
+
+const listFixtures = () => fs.readdirSync(FIXTURES_DIR, { withFileTypes: true })
+  .filter(d => d.isDirectory() && d.name !== "config")
+  .map(d => d.name)
+  .sort();
+
+function readIfExists(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+}
+
+function loadFixture(name) {
+  const dir = path.join(FIXTURES_DIR, name);
+  const html = readIfExists(path.join(dir, "page.html"));
+  const info = readIfExists(path.join(dir, "productinfo.json"));
+  if (html == null && info == null) throw new Error(`fixture ${name}: no page.html or productinfo.json`);
+  const collected = html != null ? parseProductPage(html) : parseProductInfo(JSON.parse(info));
+  const input = JSON.parse(readIfExists(path.join(dir, "input.json")) || "{}");
+  const expected = JSON.parse(readIfExists(path.join(dir, "expected.json")) || "null");
+  return { name, dir, input, collected, expected };
+}
+
+// The fields a fixture pins down (price_breakdown and other diagnostics are left out)
+function expectedView(listing) {
+  return {
+    title: listing.title,
+    vendor: listing.vendor ?? null,
+    product_type: listing.product_type,
+    options: listing.options,
+    variants: listing.variants.map(v => ({
+      option1: v.option1,
+      ...(v.option2 !== undefined ? { option2: v.option2 } : {}),
+      ...(v.option3 !== undefined ? { option3: v.option3 } : {}),
+      barcode: v.barcode, article_code: v.article_code, sku: v.sku,
+      availability: v.availability, inventory_policy: v.inventory_policy, stock_quantity: v.stock_quantity,
+      cost_eur: v.cost_eur, rrp_eur: v.rrp_eur, sale_eur: v.sale_eur,
+      price: v.price, compare_at_price: v.compare_at_price, cost: v.cost,
+      image_src: v.image_src
+    })),
+    description_html: listing.description_html,
+    specs_html: listing.specs_html,
+    specs: listing.specs.fields,
+    embedded_images: listing.embeddedImages,
+    images: listing.imageSources,
+    image_colours: listing.imageColours
+  };
+}
+
+const buildFixture = (fixture) => buildListing(fixture.collected, fixture.input, rules);
+
+module.exports = { FIXTURES_DIR, listFixtures, loadFixture, expectedView, buildFixture };
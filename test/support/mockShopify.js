@@ -0,0 +1,32 @@
+// test/support/mockShopify.js
+// scripts/mock-shopify.js on an ephemeral port, with a client pointed at it.
+// serverErrors: the first n API calls answer 503, for the client's 5xx backoff.
+const express = require("express");
+const { createMockShopify } = require("../../scripts/mock-shopify");
+const { createShopifyClient } = require("../../src/shopify");
+
+async function startMockShopify({ serverErrors = 0, client = {}, ...mockOptions } = {}) {
+  const mock = createMockShopify(mockOptions);
+  const app = express();
+  let failed = 0;
+  app.use("/admin/api", (req, res, next) => {
+    if (failed >= serverErrors) return next();
+    failed++;
+    res.status(503).json({ errors: "Service Unavailable" });
+  });
+  app.use(mock.app);
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return {
+    baseUrl,
+    state: mock.state,
+    client: createShopifyClient({ baseUrl, accessToken: "test", retryBaseMs: 5, ...client }),
+    calls: (method, pattern) => mock.state.requests.filter(r => r.method === method && pattern.test(r.path)),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startMockShopify };
@@ -0,0 +1,80 @@
+// Price/stock sync: every tagged store product is re-scraped by id and updated variants-only
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createProduct } = require("../src/shopify");
+const { createSyncRunner } = require("../src/sync");
+const { startMockShopify } = require("./support/mockShopify");
+
+const product = (productsId, title, prices, extra = {}) => ({
+  title,
+  vendor: "Tilt",
+  product_type: "Trotinete",
+  products_id: productsId,
+  options: [{ name: "Colour", values: Object.keys(prices) }],
+  variants: Object.entries(prices).map(([option1, price], i) => ({ option1, price, barcode: `${productsId}00${i}` })),
+  ...extra
+});
+
+// Stands in for the scrape queue: records what was submitted, answers with canned scrape results
+function stubQueue(results) {
+  const submitted = [];
+  return {
+    submitted,
+    submit(inputs, options) {
+      submitted.push({ inputs, ...options });
+      const job = {
+        id: "job-1",
+        items: inputs.map(({ productsId }) => (results[productsId] instanceof Error
+          ? { state: "failed", error: results[productsId].message }
+          : { state: "done", result: results[productsId] }))
+      };
+      job.finished = Promise.resolve(job);
+      return job;
+    }
+  };
+}
+
+test("sync re-scrapes tagged products by id and applies price changes only", async (t) => {
+  const shop = await startMockShopify();
+  const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), "sync-"));
+  t.after(() => fs.rmSync(reportsDir, { recursive: true, force: true }));
+  t.after(shop.close);
+
+  const tilt = await createProduct(shop.client, product("4711", "Tilt Classic", { Negru: "499.00", Alb: "499.00" }));
+  await createProduct(shop.client, product("4712", "Tilt Formula", { Negru: "899.00" }));
+  await shop.client.post("products.json", { product: { title: "Gift card" } });
+
+  const queue = stubQueue({
+    4711: product("4711", "Tilt Classic 2026", { Negru: "459.00", Alb: "499.00", Rosu: "499.00" }),
+    4712: new Error("Centrano responded 503")
+  });
+  const runner = createSyncRunner({ clientFactory: () => shop.client, queue, reportsDir });
+  const { report, started, promise } = runner.run({ baseUrl: "http://me", trigger: "test" });
+  assert.equal(started, true);
+  assert.equal(runner.run({ baseUrl: "http://me" }).started, false);
+  await promise;
+
+  assert.deepEqual(queue.submitted, [{
+    inputs: [{ productsId: "4711" }, { productsId: "4712" }],
+    meta: { baseUrl: "http://me", sync: report.id, skipImages: true }
+  }]);
+  assert.equal(report.state, "partial");
+  assert.equal(report.products, 2);
+  assert.deepEqual(report.counts, { updated: 1, unchanged: 0 });
+  const [change] = report.changes;
+  assert.equal(change.product_id, tilt.product_id);
+  assert.deepEqual(change.variant_updates, [{ variant: "negru", price: { from: "499.00", to: "459.00" } }]);
+  assert.deepEqual(change.new_on_centrano, ["rosu"]);
+  assert.deepEqual(change.fields, []);
+  assert.deepEqual(report.failed, [{ products_id: "4712", product_id: shop.state.products[1].id, stage: "scrape", error: "Centrano responded 503" }]);
+
+  // variants only: the title and the new colour wait for a full upsert
+  const stored = shop.state.products[0];
+  assert.deepEqual([stored.title, stored.variants.length, stored.variants[0].price], ["Tilt Classic", 2, "459.00"]);
+  assert.deepEqual(runner.getReport(report.id), JSON.parse(JSON.stringify(report)));
+  assert.deepEqual(runner.listReports().map(r => [r.id, r.state, r.failed]), [[report.id, "partial", 1]]);
+  assert.equal(runner.running(), null);
+});
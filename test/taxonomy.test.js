@@ -0,0 +1,86 @@
+// Vendor / product type detection against config/taxonomy.json, and the checks run before edits are saved
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTaxonomy, validateTaxonomy } = require("../src/taxonomy");
+
+const taxonomy = createTaxonomy({ file: path.join(__dirname, "..", "config", "taxonomy.json") });
+
+function scratchTaxonomy(data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "taxonomy-"));
+  const file = path.join(dir, "taxonomy.json");
+  fs.writeFileSync(file, JSON.stringify(data));
+  return { file, taxonomy: createTaxonomy({ file }), cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test("the shipped taxonomy is valid", () => {
+  const { errors } = validateTaxonomy(JSON.parse(fs.readFileSync(path.join(__dirname, "..", "config", "taxonomy.json"), "utf8")));
+  assert.deepEqual(errors, []);
+});
+
+test("detectVendor prefers the longest vendor name or alias", () => {
+  assert.equal(taxonomy.detectVendor("North Scooters Switchblade Deck"), "North Scooters");
+  assert.equal(taxonomy.detectVendor("Root Industries AIR Wheels"), "Root Industries");
+  assert.equal(taxonomy.detectVendor("Triple 8 Gotham helmet"), "Triple Eight");
+});
+
+test("detectProductType: priority types, then synonyms, then names", () => {
+  assert.equal(taxonomy.detectProductType("Deck SCS clamp kit"), "Clamp");
+  assert.equal(taxonomy.detectProductType("Ghidon cu manșoane"), "Mansoane");
+  assert.equal(taxonomy.detectProductType("Tilt Formula Deck"), "Deck");
+  assert.equal(taxonomy.detectProductType("Nothing to see"), null);
+});
+
+test("validateTaxonomy rejects duplicates, bad regexes and conflicting synonyms", () => {
+  const { errors, warnings } = validateTaxonomy({
+    vendors: [{ name: "Tilt" }, { name: "North", aliases: ["tilt"] }, { name: "Deck" }],
+    productTypes: [{ name: "Deck", synonyms: ["/(/"] }, { name: "Griptape", synonyms: ["deck"] }, { name: "Roti", priority: "high" }]
+  });
+  assert.equal(errors.length, 5);
+  assert.match(errors.join("\n"), /"tilt" is used by both Tilt and North/);
+  assert.match(errors.join("\n"), /invalid synonym/);
+  assert.match(errors.join("\n"), /"deck" is used by both Deck and Griptape/);
+  assert.match(errors.join("\n"), /Synonym deck of Griptape also matches product type Deck/);
+  assert.match(errors.join("\n"), /Roti: priority must be a number/);
+  assert.deepEqual(warnings, ['"Deck" is both a vendor and a product type']);
+});
+
+test("edits are validated before the file is written", (t) => {
+  const scratch = scratchTaxonomy({ vendors: [{ name: "Tilt" }], productTypes: [{ name: "Deck" }, { name: "Roti" }] });
+  t.after(scratch.cleanup);
+
+  scratch.taxonomy.addProductType({ name: "Roata", synonyms: ["wheel"], collection: "roti" });
+  assert.equal(scratch.taxonomy.detectProductType("Eclat 110mm wheel"), "Roata");
+  assert.deepEqual(scratch.taxonomy.collectionsFor({ vendor: "Tilt", productType: "Roata" }), ["roti"]);
+
+  assert.throws(() => scratch.taxonomy.addVendor({ name: "tilt" }), { statusCode: 409 });
+  assert.throws(() => scratch.taxonomy.updateProductType("Roti", { synonyms: ["Deck"] }), { statusCode: 400 });
+  assert.throws(() => scratch.taxonomy.removeVendor("Nope"), { statusCode: 404 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(scratch.file, "utf8")).productTypes.map(p => p.name), ["Deck", "Roti", "Roata"]);
+});
+
+test("detect scores candidates by where they were found", () => {
+  const detection = taxonomy.detect({
+    title: "Tilt Formula Deck",
+    specs: "Lungime: 50 cm",
+    body: "Core River Tilt Formula Deck Produse similare: Core Clamp"
+  });
+  assert.equal(detection.vendor.value, "Tilt");
+  assert.deepEqual(detection.vendor.candidates[0].evidence.map(e => e.source), ["title", "body"]);
+  assert.ok(detection.vendor.confidence > 0.8);
+  // the clamp in "related products" does not beat the deck in the title, but costs confidence
+  assert.equal(detection.product_type.value, "Deck");
+  assert.ok(detection.product_type.confidence < 1);
+  assert.deepEqual(taxonomy.reviewReasons(detection), []);
+});
+
+test("matches found only in the page body are flagged for review", () => {
+  const detection = taxonomy.detect({ title: "Kite 12m", body: "Kite 12m Branduri: Core" });
+  assert.equal(detection.vendor.value, "Core");
+  assert.deepEqual(taxonomy.reviewReasons(detection), [
+    "Vendor Core has low confidence 0.1 (found in body)",
+    "Product type not detected"
+  ]);
+});